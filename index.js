@@ -3,3 +3,4 @@
  * @namespace roles
  */
 export { default } from './lib/RolesModule.js'
+export { hasScope, matchesScope } from './lib/utils.js'
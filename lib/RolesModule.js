@@ -1,4 +1,18 @@
 import AbstractApiModule from 'adapt-authoring-api'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import yaml from 'js-yaml'
+import { addRoleVersion, buildAuditQuery, buildRoleMembersQuery, diffRoleAssignments, getDescendantRoles, getExcessScopes, getInvalidRoleDefinitions, getPortableRole, getRemovedConfigRoles, getRoleParents, getScopeChanges, getTemplateParameterErrors, getUnknownScopes, getUserRoleIds, grantsFullAccess, hasRoleChanged, hasScope, indexRoles, instantiateRoleTemplate, isAssignmentExpired, matchesRoleRule, mergeResolvedScopes, reassignUserRoles, replaceParentRole, resolveScopes, restoreRoleVersion, updateClaimRoles, updateUserRole, validateRoleGraph } from './utils.js'
+/**
+ * Version of the bundle format used for role import/export
+ * @type {Number}
+ */
+const ROLE_BUNDLE_VERSION = 1
+/**
+ * Config settings which are re-read by reloadConfigRoles
+ * @type {Array<String>}
+ */
+const RELOADABLE_CONFIG = ['roleDefinitions', 'defaultRoleRules', 'defaultRolesForAuthTypes', 'defaultRoles', 'claimRoleMappings']
 /**
  * Module which handles user roles
  * @memberof roles
@@ -8,45 +22,392 @@ class RolesModule extends AbstractApiModule {
   /** @override */
   async init () {
     await super.init()
+    // checked by checkRoleAssignment rather than by any route, so has to be registered manually
+    this.registerScopes('assign:roles')
     try {
       await this.initConfigRoles()
-
-      const hasRoles = this.getConfig('defaultRolesForAuthTypes').length || this.getConfig('defaultRoles').length
-      if (hasRoles) await this.initDefaultRoles()
+    } catch (e) {
+      this.log('error', e)
+    }
+    // applied regardless, so that new users still get their default roles if the config roles fail
+    try {
+      await this.initDefaultRoles()
     } catch (e) {
       this.log('error', e)
     }
     this.cache.isEnabled = true
-    const [authlocal, users] = await this.app.waitForModule('auth-local', 'users')
+    this.requestHook.tap(this.onProtectBuiltInRole, this)
+    this.requestHook.tap(this.onValidateRoleRequest, this)
+    this.requestHook.tap(this.onDeleteRole, this)
+    this.requestHook.tap(this.onAuditRoleRequest, this)
+    this.requestHook.tap(this.onVersionRoleRequest, this)
+    this.postInsertHook.tap(this.invalidateRoleCache, this)
+    this.postUpdateHook.tap(this.invalidateRoleCache, this)
+    this.postDeleteHook.tap(this.invalidateRoleCache, this)
+    this.postDeleteHook.tap(this.removeGroupRole, this)
+    this.postInsertHook.tap(doc => this.onAuditRoleChange(`role:${doc.shortName}`, undefined, doc))
+    this.postUpdateHook.tap((original, doc) => this.onAuditRoleChange(`role:${original._id}`, original, doc))
+    this.postDeleteHook.tap(doc => this.onAuditRoleChange(`role:${doc._id}`, doc))
+    const [auth, authlocal, users] = await this.app.waitForModule('auth', 'auth-local', 'users')
     authlocal.registerHook.tap(this.onUpdateRoles.bind(this))
+    if (auth.loginHook) {
+      auth.loginHook.tap(this.onUserLogin, this)
+    } else if (this.getConfig('claimRoleMappings').length) {
+      this.log('warn', 'claimRoleMappings have been configured, but the auth module has no login hook, so they will not be applied')
+    }
     users.requestHook.tap(this.onUpdateRoles.bind(this))
+    users.postInsertHook.tap(doc => this.onAuditUserRoles(`user:${doc.email}`, doc))
+    users.postUpdateHook.tap((original, doc) => this.onAuditUserRoles(`user:${original._id}`, doc))
     users.accessCheckHook.tap(this.onCheckUserAccess, this)
+
+    const expiryInterval = this.getConfig('assignmentExpiryInterval')
+    if (expiryInterval > 0) {
+      setInterval(() => this.removeExpiredAssignments().catch(e => this.log('error', e)), expiryInterval).unref()
+    }
   }
 
   /**
-   * Adds any role definitions from the current config file to the database
-   * @return {Promise}
+   * Works out which of a set of role definitions need to be inserted, and which will replace existing roles (matched by shortName)
+   * @param {Array<Object>} definitions The role definitions
+   * @return {Promise<RoleChanges>}
    */
-  async initConfigRoles () {
+  async planRoleChanges (definitions) {
+    const docs = await Promise.all(definitions.map(r => this.findOne({ shortName: r.shortName }, { strict: false })))
+    return {
+      insert: definitions.filter((r, i) => !docs[i]),
+      replace: definitions
+        .map((definition, i) => docs[i] && { doc: docs[i], definition, changed: hasRoleChanged(docs[i], definition) })
+        .filter(Boolean)
+    }
+  }
+
+  /**
+   * Writes role changes to the database. Existing roles are replaced outright (keeping their version history), and all changes are recorded in the audit log
+   * @param {RoleChanges} changes The changes to make (see planRoleChanges)
+   * @param {String} actor Who is responsible for the changes (for the audit log)
+   * @return {Promise<Array<Object>>} The settled result of each change
+   */
+  async applyRoleChanges (changes, actor) {
     const mongodb = await this.app.waitForModule('mongodb')
-    return Promise.allSettled(this.getConfig('roleDefinitions').map(async r => {
-      const doc = await this.findOne({ shortName: r.shortName }, { strict: false })
-      if (doc) {
+    const results = await Promise.allSettled([
+      ...changes.replace.map(async ({ doc, definition: r, changed }) => {
         try {
-          await mongodb.replace(this.collectionName, { _id: doc._id }, r)
+          await mongodb.replace(this.collectionName, { _id: doc._id }, { ...r, ...addRoleVersion(doc, r, { actor }) })
           this.log('debug', 'REPLACE', this.schemaName, r.shortName)
+          if (changed) {
+            await this.logAudit({ action: 'replace', actor, role: doc._id, shortName: r.shortName, before: doc, after: r })
+          }
         } catch (e) {
           if (e.code !== 11000) this.log('warn', `failed to update '${r.shortName}' role, ${e.message}`)
+          throw e
+        }
+      }),
+      ...changes.insert.map(async r => {
+        try {
+          const doc = await this.insert({ ...r, ...addRoleVersion(undefined, r, { actor }) }, { validate: false })
+          this.log('debug', 'INSERT', this.schemaName, r.shortName)
+          await this.logAudit({ action: 'insert', actor, role: doc._id, shortName: r.shortName, after: r })
+        } catch (e) {
+          if (e.code !== 11000) this.log('warn', `failed to add '${r.shortName}' role, ${e.message}`)
+          throw e
+        }
+      })
+    ])
+    // replacements bypass the update hooks, so the cache has to be cleared here
+    this.invalidateRoleCache()
+    return results
+  }
+
+  /**
+   * Works out the changes needed to bring the database in line with the role definitions in the current config file. Any definitions which would leave the role inheritance invalid are logged and left out (see getInvalidRoleDefinitions), so that they don't stop the rest from being applied
+   * @param {Array<Object>} roleDefinitions The role definitions to plan for (defaults to roleDefinitions)
+   * @return {Promise<ConfigRolesPlan>}
+   */
+  async planConfigRoles (roleDefinitions = this.getConfig('roleDefinitions')) {
+    const definitions = roleDefinitions.filter(r => !r.parameters).map(r => ({ ...r, isBuiltIn: true }))
+    const existing = await this.find()
+    const instances = this.planTemplateRoles(existing, roleDefinitions.filter(r => r.parameters))
+    const invalid = getInvalidRoleDefinitions([...definitions, ...instances.map(i => i.definition)], existing)
+    invalid.forEach(({ shortName, error }) => {
+      this.log('warn', `not applying '${shortName}' role definition, ${error.code}`, JSON.stringify(error.data))
+    })
+    const isValid = r => !invalid.some(i => i.shortName === r.shortName)
+    const { insert, replace } = await this.planRoleChanges(definitions.filter(isValid))
+    return {
+      insert,
+      replace: [...replace, ...instances.filter(i => isValid(i.definition))],
+      remove: this.getConfig('configRoleReconciliation') !== 'off' ? getRemovedConfigRoles(definitions, existing) : []
+    }
+  }
+
+  /**
+   * Works out how roles created from role templates need to change to match the current version of their template. Roles whose template no longer exists are left alone, as are roles whose parameters no longer suit the template (e.g. if the template has gained a parameter), which are logged
+   * @param {Array<Object>} existing The existing role documents
+   * @param {Array<Object>} templates The role templates (defaults to those returned by getRoleTemplates)
+   * @return {Array<Object>} Roles to be replaced, in the same format as RoleChanges#replace
+   */
+  planTemplateRoles (existing, templates = this.getRoleTemplates()) {
+    return existing
+      .map(doc => {
+        const template = templates.find(t => t.shortName === doc.template?.name)
+        if (!template) return undefined
+        const errors = getTemplateParameterErrors(template, doc.template.parameters)
+        if (errors.length) {
+          this.log('warn', `not updating '${doc.shortName}' role from template '${template.shortName}', ${errors.join(', ')}`)
+          return undefined
+        }
+        const definition = { ...instantiateRoleTemplate(template, doc.template.parameters, { shortName: doc.shortName }), isBuiltIn: false }
+        return { doc, definition, changed: hasRoleChanged(doc, definition) }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Returns the role templates defined in roleDefinitions (i.e. any definitions with parameters)
+   * @return {Array<Object>}
+   */
+  getRoleTemplates () {
+    return this.getConfig('roleDefinitions').filter(r => r.parameters)
+  }
+
+  /**
+   * Returns a single role template
+   * @param {String} name The template's shortName
+   * @return {Object}
+   * @throws {AdaptError} UNKNOWN_ROLE_TEMPLATE if the template doesn't exist
+   */
+  getRoleTemplate (name) {
+    const template = this.getRoleTemplates().find(t => t.shortName === name)
+    if (!template) throw this.app.errors.UNKNOWN_ROLE_TEMPLATE.setData({ name })
+    return template
+  }
+
+  /**
+   * Creates a role from a role template. The new role is subject to the same checks as roles added via the API, and remembers the template and parameters used so that later changes to the template can be applied to it (see planTemplateRoles)
+   * @param {external:ExpressRequest} req The request
+   * @param {String} name The template's shortName
+   * @param {Object} data
+   * @param {Object<String,String>} data.parameters The template parameter values
+   * @param {String} [data.shortName] The shortName to give the role (generated from the template and parameters if omitted)
+   * @return {Promise<Object>} The new role
+   * @throws {AdaptError} UNKNOWN_ROLE_TEMPLATE if the template doesn't exist
+   * @throws {AdaptError} INVALID_ROLE_TEMPLATE if the parameters are invalid, or the role already exists
+   */
+  async createRoleFromTemplate (req, name, { parameters, shortName } = {}) {
+    const template = this.getRoleTemplate(name)
+    const errors = getTemplateParameterErrors(template, parameters)
+    if (errors.length) {
+      throw this.app.errors.INVALID_ROLE_TEMPLATE.setData({ name, reason: errors.join(', ') })
+    }
+    const role = { ...instantiateRoleTemplate(template, parameters, { shortName }), isBuiltIn: false }
+    const allRoles = await this.find()
+    if (allRoles.some(r => r.shortName === role.shortName)) {
+      throw this.app.errors.INVALID_ROLE_TEMPLATE.setData({ name, reason: `role '${role.shortName}' already exists` })
+    }
+    this.validateRoleInheritance([...allRoles, role])
+    this.validateRoleScopes(role)
+    // as in onValidateRoleRequest, the new role doesn't have an _id yet so use its shortName
+    await this.checkRoleDelegation(req, [{ role: role.shortName }], { allRoles: [...allRoles, { ...role, _id: role.shortName }], ranked: false })
+    const actor = req.auth.user._id
+    const doc = await this.insert({ ...role, ...addRoleVersion(undefined, role, { actor }) })
+    await this.logAudit({ action: 'insert', actor, role: doc._id, shortName: role.shortName, after: role })
+    this.log('debug', 'INSERT', this.schemaName, role.shortName, `from template '${name}'`)
+    return doc
+  }
+
+  /**
+   * Adds any role definitions from the current config file to the database, and reconciles any roles which have since been removed from the config (see configRoleReconciliation)
+   * @return {Promise}
+   */
+  async initConfigRoles () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const plan = await this.planConfigRoles()
+    // other modules' routes won't necessarily have been added yet, so wait until everything has loaded
+    this.app.onReady()
+      .then(() => this.checkConfigRoleScopes())
+      .catch(e => this.log('warn', `failed to check config role scopes, ${e.message}`))
+    const mode = this.getConfig('configRoleReconciliation')
+    const removals = mode === 'prune' ? plan.remove : []
+    if (mode === 'warn' && plan.remove.length) {
+      this.log('warn', `the following roles are no longer defined in roleDefinitions but still exist in the database: ${plan.remove.map(r => r.shortName).join(', ')}. Set configRoleReconciliation to 'prune' to remove them`)
+    }
+    if (this.getConfig('configRoleDryRun')) {
+      const report = {
+        insert: plan.insert.map(r => r.shortName),
+        replace: plan.replace.filter(r => r.changed).map(r => r.definition.shortName),
+        remove: removals.map(r => r.shortName)
+      }
+      this.log('info', 'config roles dry run, no changes made', JSON.stringify(report))
+      return report
+    }
+    const results = await this.applyRoleChanges(plan, 'config')
+    // removals are done last so that any newly added roles are taken into account when checking dependents
+    const removed = await Promise.allSettled(removals.map(async r => {
+      try {
+        const dependents = await this.getRoleDependents(r)
+        if (dependents.users.length || dependents.roles.length) {
+          return this.log('warn', `not removing '${r.shortName}' role, it is still in use by ${dependents.users.length} user(s) and ${dependents.roles.length} role(s)`)
         }
-        return
+        await mongodb.delete(this.collectionName, { _id: r._id })
+        // deleting directly bypasses the delete hooks
+        await this.removeGroupRole(r)
+        this.log('debug', 'DELETE', this.schemaName, r.shortName)
+        await this.logAudit({ action: 'delete', actor: 'config', role: r._id, shortName: r.shortName, before: r })
+      } catch (e) {
+        this.log('warn', `failed to remove '${r.shortName}' role, ${e.message}`)
       }
+    }))
+    if (removals.length) this.invalidateRoleCache()
+    return results.concat(removed)
+  }
+
+  /**
+   * Logs a warning for any config-defined roles which reference unknown scopes
+   */
+  checkConfigRoleScopes () {
+    const knownScopes = this.getKnownScopes()
+    // templates are skipped, as their placeholders won't match any known scopes
+    this.getConfig('roleDefinitions').filter(r => !r.parameters).forEach(r => {
+      const unknown = getUnknownScopes([...r.scopes, ...(r.denyScopes ?? [])], knownScopes)
+      if (unknown.length) this.log('warn', `'${r.shortName}' role defines unknown scopes: ${unknown.join(', ')}`)
+    })
+  }
+
+  /**
+   * Adds scopes to the list of known scopes. Scopes required by API module routes are picked up automatically, so this is only needed for scopes which are checked elsewhere
+   * @param {...String} scopes The scopes to register
+   */
+  registerScopes (...scopes) {
+    scopes.forEach(s => this.registeredScopes.add(s))
+  }
+
+  /**
+   * Returns every known scope, i.e. those required by the routes of any API module, plus any added via registerScopes
+   * @return {Array<String>}
+   */
+  getKnownScopes () {
+    const scopes = new Set(this.registeredScopes)
+    Object.values(this.app.dependencyloader.instances).forEach(m => {
+      if (!Array.isArray(m.routes)) return
+      m.routes.forEach(r => Object.values(r.permissions ?? {}).forEach(p => p?.forEach(s => scopes.add(s))))
+    })
+    return [...scopes].sort()
+  }
+
+  /**
+   * Checks that a role only references known scopes
+   * @param {Object} role The role data
+   * @throws {AdaptError} UNKNOWN_SCOPES if any scopes are unknown
+   */
+  validateRoleScopes (role) {
+    const unknown = getUnknownScopes([...(role.scopes ?? []), ...(role.denyScopes ?? [])], this.getKnownScopes())
+    if (unknown.length) throw this.app.errors.UNKNOWN_SCOPES.setData({ shortName: role.shortName, scopes: unknown })
+  }
+
+  /**
+   * Serialises roles into a portable bundle which can be imported into another instance
+   * @param {Object} options
+   * @param {Boolean} options.includeBuiltIn Whether built-in roles should be included
+   * @return {Promise<RoleBundle>}
+   */
+  async exportRoles ({ includeBuiltIn = false } = {}) {
+    const roles = await this.find()
+    return {
+      version: ROLE_BUNDLE_VERSION,
+      roles: roles.filter(r => includeBuiltIn || !r.isBuiltIn).map(getPortableRole)
+    }
+  }
+
+  /**
+   * Parses and checks the structure of a role bundle
+   * @param {RoleBundle|String} bundle The bundle, or a JSON/YAML string representation of it
+   * @return {Array<Object>} The roles in the bundle
+   * @throws {AdaptError} INVALID_ROLE_IMPORT if the bundle can't be used
+   */
+  parseRoleBundle (bundle) {
+    if (typeof bundle === 'string') {
       try {
-        await this.insert(r, { validate: false })
-        this.log('debug', 'INSERT', this.schemaName, r.shortName)
+        bundle = yaml.load(bundle) // note that YAML is a superset of JSON
       } catch (e) {
-        if (e.code !== 11000) this.log('warn', `failed to add '${r.shortName}' role, ${e.message}`)
+        throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `failed to parse bundle, ${e.message}` })
       }
+    }
+    if (bundle?.version !== ROLE_BUNDLE_VERSION) {
+      throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `unsupported bundle version '${bundle?.version}'` })
+    }
+    if (!Array.isArray(bundle.roles)) {
+      throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: 'bundle must contain a roles array' })
+    }
+    return bundle.roles
+  }
+
+  /**
+   * Imports roles from a bundle. Roles are matched to existing roles by shortName; any which exist and differ are reported as conflicts. In merge mode conflicting roles are left alone, whereas in replace mode they are overwritten. Built-in roles and roles created from a role template (see hasRoleTemplate) are never overwritten.
+   * @param {external:ExpressRequest} req The request
+   * @param {RoleBundle|String} bundle The bundle to import (see parseRoleBundle)
+   * @param {Object} options
+   * @param {String} options.mode Either 'merge' or 'replace'
+   * @param {Boolean} options.dryRun Whether to report the changes without making them
+   * @return {Promise<RoleImportReport>}
+   * @throws {AdaptError} ROLE_DELEGATION_DENIED if any of the imported roles grant more than the requesting user holds
+   * @throws {AdaptError} LAST_SUPERUSER if replacing roles would leave no super users
+   */
+  async importRoles (req, bundle, { mode = 'merge', dryRun = false } = {}) {
+    if (!['merge', 'replace'].includes(mode)) {
+      throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `unknown mode '${mode}'` })
+    }
+    const definitions = await Promise.all(this.parseRoleBundle(bundle).map(async r => {
+      const role = getPortableRole(r)
+      this.validateRoleScopes(role)
+      return this.validate(this.schemaName, role, {})
     }))
+    const { insert, replace } = await this.planRoleChanges(definitions)
+    const conflicts = replace.filter(({ doc, definition }) => hasRoleChanged(getPortableRole(doc), getPortableRole(definition)))
+    const changes = {
+      insert,
+      replace: mode === 'replace' ? conflicts.filter(r => !r.doc.isBuiltIn && !this.hasRoleTemplate(r.doc)) : []
+    }
+    // new roles don't have an _id yet, so use the shortName to resolve them (as in onValidateRoleRequest)
+    const applied = [
+      ...changes.insert.map(r => ({ ...r, _id: r.shortName })),
+      ...changes.replace.map(r => ({ ...r.definition, _id: r.doc._id }))
+    ]
+    const existing = await this.find()
+    const updatedRoles = [...existing.filter(r => !applied.some(a => a.shortName === r.shortName)), ...applied]
+    this.validateRoleInheritance(updatedRoles)
+    await this.checkRoleDelegation(req, applied.map(r => ({ role: r._id })), { allRoles: updatedRoles, ranked: false })
+    if (changes.replace.length) {
+      await this.checkSuperUserRemains({ roles: updatedRoles })
+    }
+
+    const report = {
+      mode,
+      dryRun,
+      insert: changes.insert.map(r => r.shortName),
+      replace: changes.replace.map(r => r.definition.shortName),
+      conflicts: conflicts.map(({ doc }) => ({
+        shortName: doc.shortName,
+        reason: doc.isBuiltIn ? 'built-in' : this.hasRoleTemplate(doc) ? 'template' : 'exists'
+      })),
+      failed: []
+    }
+    if (!dryRun) {
+      const results = await this.applyRoleChanges(changes, req.auth.user._id)
+      const shortNames = [...report.replace, ...report.insert]
+      report.failed = shortNames.filter((s, i) => results[i].status === 'rejected')
+    }
+    return report
+  }
+
+  /**
+   * Checks that the inheritance graph formed by a set of roles is valid
+   * @param {Array<Object>} roles The complete set of roles
+   * @throws {AdaptError} ROLE_INHERITANCE_CYCLE if any roles extend each other in a loop
+   * @throws {AdaptError} UNKNOWN_PARENT_ROLE if any role extends a role which doesn't exist
+   */
+  validateRoleInheritance (roles) {
+    const [error] = validateRoleGraph(roles)
+    if (error) throw this.app.errors[error.code].setData(error.data)
   }
 
   /**
@@ -66,86 +427,1489 @@ class RolesModule extends AbstractApiModule {
    * @returns {Array<String>} Array of scopes
    */
   async getScopesForRole (_id) {
-    const allRoles = await this.find()
-    const scopes = []
-    let role = allRoles.find(r => r._id.toString() === _id.toString())
-    do {
-      scopes.push(...role.scopes)
-      role = allRoles.find(r => r.shortName === role.extends)
-    } while (role)
-    return scopes
+    const { scopes } = await this.getRoleCache()
+    if (!scopes.has(_id.toString())) {
+      throw this.app.errors.NOT_FOUND.setData({ id: _id.toString(), type: this.schemaName })
+    }
+    return scopes.get(_id.toString()).scopes
+  }
+
+  /**
+   * Returns the effective scopes for a user, merged from all of their assigned roles (including those from any groups they're a member of)
+   * @param {String | ObjectId} userId The _id of the user
+   * @param {RoleContext} [context] Context to resolve scopes for. Only global roles are included if omitted
+   * @returns {Promise<EffectiveScopes>}
+   */
+  async getScopesForUser (userId, context) {
+    const users = await this.app.waitForModule('users')
+    const user = await users.findOne({ _id: userId }, { projection: { roles: 1, roleAssignments: 1 } })
+    const { byId, groups } = await this.getRoleCache()
+    const roleIds = getUserRoleIds(user, groups, context).filter(_id => byId.has(_id))
+    return {
+      roles: roleIds.map(_id => byId.get(_id).shortName),
+      ...await this.resolveRoleScopes(roleIds)
+    }
+  }
+
+  /**
+   * Checks whether a user has been granted the required scope by any of their roles (wildcards are supported)
+   * @param {String | ObjectId} userId The _id of the user
+   * @param {String} scope The required scope
+   * @param {RoleContext} [context] Context to check within
+   * @returns {Promise<Boolean>}
+   */
+  async userHasScope (userId, scope, context) {
+    const { scopes } = await this.getScopesForUser(userId, context)
+    return hasScope(scopes, scope)
+  }
+
+  /**
+   * Checks whether the user making a request has the required scope, either globally or within the given context. Scopes granted via the user's groups are included
+   * @param {external:ExpressRequest} req
+   * @param {String} scope The required scope
+   * @param {RoleContext} [context] Context to check within
+   * @returns {Promise<Boolean>}
+   */
+  async hasScopeInContext (req, scope, context) {
+    if (hasScope(req.auth.scopes, scope)) {
+      return true
+    }
+    // the request's scopes don't include those granted via user groups or role assignments, so these have to be resolved separately
+    return this.userHasScope(req.auth.user._id, scope, context)
+  }
+
+  /**
+   * Checks whether the user making a request is allowed to do something. Scopes are resolved in the same way as for roles (i.e. inheritance and wildcards are supported), and super users are allowed to do anything. This is the recommended way for other modules to make their own permission checks.
+   * @param {external:ExpressRequest} req
+   * @param {String} scope The required scope
+   * @param {RoleContext} [resource] The resource being accessed. Any roles the user has been assigned for the resource are also taken into account
+   * @returns {Promise<Boolean>}
+   * @example
+   * if (await roles.can(req, 'write:content', { type: 'course', _id: courseId })) {
+   *   // ...
+   * }
+   */
+  async can (req, scope, resource) {
+    if (req.auth?.isSuper) {
+      return true
+    }
+    if (!req.auth?.user) {
+      return false
+    }
+    return this.hasScopeInContext(req, scope, resource)
+  }
+
+  /**
+   * Creates an express middleware which only allows requests through if the user has all of the required scopes (see can), and otherwise responds with UNAUTHORISED. An options object can be passed as the final argument
+   * @param {...String} scopes The required scopes
+   * @param {Object} [options]
+   * @param {Function} [options.getResource] Function which is passed the request, and returns the RoleContext for the resource being accessed (can be async)
+   * @returns {Function}
+   * @example
+   * router.addRoute({
+   *   route: '/:_id/publish',
+   *   handlers: { post: [roles.requireScopes('publish:adapt', { getResource: req => ({ type: 'course', _id: req.params._id }) }), publishHandler] }
+   * })
+   */
+  requireScopes (...scopes) {
+    const { getResource } = typeof scopes.at(-1) === 'object' ? scopes.pop() : {}
+    return async (req, res, next) => {
+      try {
+        const resource = await getResource?.(req)
+        for (const scope of scopes) {
+          if (!await this.can(req, scope, resource)) {
+            this.log('error', 'UNAUTHORISED', req.auth?.user?._id?.toString(), req.method, req.originalUrl, scope)
+            throw this.app.errors.UNAUTHORISED.setData({ method: req.method, url: req.originalUrl })
+          }
+        }
+      } catch (e) {
+        return next(e)
+      }
+      next()
+    }
+  }
+
+  /**
+   * Returns the rules used to pick the default roles for new users, in the order they're evaluated. Any defaultRolesForAuthTypes and defaultRoles are converted into rules which follow those in defaultRoleRules
+   * @return {Array<DefaultRoleRule>}
+   */
+  getDefaultRoleRules () {
+    return [
+      ...this.getConfig('defaultRoleRules'),
+      ...Object.entries(this.getConfig('defaultRolesForAuthTypes')).map(([authType, roles]) => ({ match: { authType }, roles })),
+      { roles: this.getConfig('defaultRoles') }
+    ]
   }
 
   /**
-   * Handles setting defined default roles when new users are added
+   * Returns the _ids of the default roles for a new user, taken from the first matching rule (see getDefaultRoleRules)
+   * @param {Object} data The new user's data
+   * @return {Promise<Array<String>>}
+   */
+  async getDefaultRoles (data) {
+    const rule = this.getDefaultRoleRules().find(r => matchesRoleRule(r, data))
+    if (!rule) {
+      return []
+    }
+    const { roles } = await this.getRoleCache()
+    return roles.filter(r => rule.roles.includes(r.shortName)).map(r => r._id.toString())
+  }
+
+  /**
+   * Checks that every role referenced by the default role settings exists
+   * @return {Promise}
+   * @throws {AdaptError} UNKNOWN_DEFAULT_ROLES if any of the rules reference roles which don't exist
+   */
+  async validateDefaultRoles () {
+    const { roles } = await this.getRoleCache()
+    const missing = [...new Set(this.getDefaultRoleRules().flatMap(r => r.roles))].filter(s => !roles.some(r => r.shortName === s))
+    if (missing.length) {
+      throw this.app.errors.UNKNOWN_DEFAULT_ROLES.setData({ roles: missing })
+    }
+  }
+
+  /**
+   * Handles setting defined default roles when new users are added. The rules are read each time a user is added, so any changes made by reloadConfigRoles are picked up automatically
    * @return {Promise}
+   * @throws {AdaptError} UNKNOWN_DEFAULT_ROLES if any of the rules reference roles which don't exist
    */
   async initDefaultRoles () {
-    const rolesforAll = await this.shortNamesToIds(this.getConfig('defaultRoles'))
-    const rolesForAuth = Object.entries(this.getConfig('defaultRolesForAuthTypes')).reduce((m, [k, v]) => {
-      return { ...m, [k]: this.shortNamesToIds(v) }
-    }, {})
     const users = await this.app.waitForModule('users')
-    users.preInsertHook.tap(data => {
+    users.preInsertHook.tap(async data => {
       if (!data.roles || !data.roles.length) {
-        data.roles = rolesForAuth[data.authType] || rolesforAll || []
+        data.roles = await this.getDefaultRoles(data)
+      }
+    })
+    await this.validateDefaultRoles()
+  }
+
+  /**
+   * Returns the _ids of the roles mapped from a user's identity provider claims. Every matching rule in claimRoleMappings applies, and any roles which don't exist are ignored
+   * @param {Object} claims The claims supplied by the identity provider
+   * @return {Promise<Array<String>>}
+   */
+  async getClaimRoles (claims) {
+    const shortNames = this.getConfig('claimRoleMappings').filter(r => matchesRoleRule(r, claims)).flatMap(r => r.roles)
+    const { roles } = await this.getRoleCache()
+    return roles.filter(r => shortNames.includes(r.shortName)).map(r => r._id.toString())
+  }
+
+  /**
+   * Handles applying claimRoleMappings when a user logs in. Roles previously added from the user's claims are removed if they no longer match, but roles assigned by any other means are left alone. Any removals which would leave no super users are skipped (and retried on the next login)
+   * @param {Object} user The user logging in
+   * @param {Object} claims The claims supplied by the identity provider
+   * @return {Promise}
+   */
+  async onUserLogin (user, claims) {
+    if (!claims || !this.getConfig('claimRoleMappings').length) {
+      return
+    }
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    const existing = await users.findOne({ _id: user._id }, { projection: { roles: 1, claimRoles: 1 } })
+    const mapped = await this.getClaimRoles(claims)
+    let updated = updateClaimRoles(existing, mapped)
+    if (updated.removed.length) {
+      const userId = user._id.toString()
+      try {
+        await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === userId ? { ...u, roles: updated.roles } : u })
+      } catch (e) {
+        if (e.code !== 'LAST_SUPERUSER') throw e
+        this.log('warn', `not removing claim roles from user ${userId}, as no super users would remain`)
+        updated = updateClaimRoles(existing, [...mapped, ...updated.removed])
       }
+    }
+    const { roles, claimRoles, added, removed } = updated
+    if (!added.length && !removed.length) {
+      return
+    }
+    await mongodb.update(users.collectionName, { _id: user._id }, { $set: { roles, claimRoles } })
+    const before = { roles: existing.roles ?? [] }
+    await this.logAudit({
+      action: 'assign',
+      actor: 'config',
+      targetUser: user._id,
+      roles: [...new Set([...before.roles, ...roles].map(r => r.toString()))],
+      before,
+      after: { roles }
     })
   }
 
+  /**
+   * Returns a config value for this module, taking into account any settings loaded by reloadConfigRoles
+   * @override
+   * @param {String} key The config key
+   * @return {*}
+   */
+  getConfig (key) {
+    return this.reloadedConfig && key in this.reloadedConfig ? this.reloadedConfig[key] : super.getConfig(key)
+  }
+
+  /**
+   * Reads the current role settings (see RELOADABLE_CONFIG) from the user config file, validated against the module's config schema in the same way as on startup. Settings missing from the file are given their schema defaults, so that removing a setting restores the default on reload
+   * @return {Promise<Object>}
+   */
+  async readRoleConfig () {
+    const configPath = path.join(this.app.rootDir, 'conf', `${process.env.NODE_ENV}.config.js`)
+    // the query string makes sure the file is read again rather than returned from the module cache
+    const { default: config } = await import(`${pathToFileURL(configPath)}?t=${Date.now()}`)
+    const settings = config[this.name] ?? {}
+    const jsonschema = await this.app.waitForModule('jsonschema')
+    const schema = await jsonschema.createSchema(path.join(this.rootDir, 'conf', 'config.schema.json'))
+    // validation fills in any schema defaults, so this has to be a copy to avoid altering the imported config
+    const validated = await schema.validate(structuredClone(settings))
+    return Object.fromEntries(RELOADABLE_CONFIG.map(k => [k, validated[k]]))
+  }
+
+  /**
+   * Re-reads the role settings from the config file and applies them without the need for a restart. roleDefinitions are applied in the same way as on startup (see initConfigRoles), the default role settings are used for any users added from now on, and any users whose effective scopes have changed are disavowed so that their new permissions take effect
+   * @return {Promise<RoleReloadReport>}
+   */
+  async reloadConfigRoles () {
+    const config = await this.readRoleConfig()
+    // planned up front so that invalid roleDefinitions are rejected before any settings are changed
+    await this.planConfigRoles(config.roleDefinitions)
+    this.reloadedConfig = config
+    const before = await this.getRoleCache()
+    await this.initConfigRoles()
+    this.invalidateRoleCache()
+    const report = await this.disavowChangedRoleMembers(before, await this.getRoleCache())
+    await this.validateDefaultRoles()
+    this.log('info', `reloaded config roles, ${report.roles.length} role(s) changed, ${report.users.length} user(s) disavowed`)
+    return report
+  }
+
+  /**
+   * Compares two snapshots of the role cache, and disavows the users holding any role whose effective scopes differ between them (including roles which were added or removed, and users who hold the role via a user group), so that their new permissions take effect
+   * @param {RoleIndex} before The role cache before the change
+   * @param {RoleIndex} after The role cache after the change
+   * @return {Promise<RoleReloadReport>}
+   */
+  async disavowChangedRoleMembers (before, after) {
+    const toKey = resolved => resolved && [...resolved.scopes].sort().join()
+    const changed = [...new Set([...before.scopes.keys(), ...after.scopes.keys()])]
+      .filter(_id => toKey(before.scopes.get(_id)) !== toKey(after.scopes.get(_id)))
+      .map(_id => after.byId.get(_id) ?? before.byId.get(_id))
+    let users = []
+    if (changed.length) {
+      const [auth, mongodb, usersModule] = await this.app.waitForModule('auth', 'mongodb', 'users')
+      const query = buildRoleMembersQuery(changed.map(r => r._id), [...before.groups, ...after.groups])
+      users = await mongodb.find(usersModule.collectionName, query, { projection: { _id: 1 } })
+      await Promise.all(users.map(u => auth.authentication.disavowUser({ userId: u._id })))
+    }
+    return { roles: changed.map(r => r.shortName), users: users.map(u => u._id.toString()) }
+  }
+
   /** @override */
   async setValues () {
     await super.setValues()
     /** @ignore */ this.schemaName = 'role'
     /** @ignore */ this.collectionName = 'roles'
+    /**
+     * DB collection used to store the role audit log
+     * @type {String}
+     */
+    this.auditCollectionName = 'roleaudit'
+    /**
+     * Schema used for user groups
+     * @type {String}
+     */
+    this.groupSchemaName = 'rolegroup'
+    /**
+     * DB collection used to store user groups
+     * @type {String}
+     */
+    this.groupCollectionName = 'rolegroups'
+    /**
+     * Scopes registered via registerScopes
+     * @type {Set<String>}
+     */
+    this.registeredScopes = new Set()
+    /**
+     * Config settings loaded by reloadConfigRoles, which override those loaded on startup
+     * @type {Object}
+     */
+    this.reloadedConfig = undefined
+    /**
+     * Cached role lookups used when resolving scopes (see getRoleCache)
+     * @type {Promise<RoleIndex>}
+     */
+    this.roleCache = undefined
+    /**
+     * Usage statistics for roleCache
+     * @type {Object}
+     */
+    this.roleCacheStats = { hits: 0, misses: 0, invalidations: 0 }
+    /**
+     * Audit entries for API requests which are waiting for the change to be written, grouped by document and held in request order (see deferAudit)
+     * @type {Map<String,Array<RoleAuditEntry>>}
+     */
+    this.pendingAudits = new Map()
   }
 
   /**
-   * Handler for requests which attempt to update roles
+   * Returns the cached role lookups, building them from the database if needed. The cache stays valid until roles are changed (see invalidateRoleCache), so that access checks don't need to load and resolve every role each time
+   * @returns {Promise<RoleIndex>}
+   */
+  async getRoleCache () {
+    if (this.roleCache) {
+      this.roleCacheStats.hits++
+      return this.roleCache
+    }
+    this.roleCacheStats.misses++
+    const cache = this.roleCache = this.buildRoleCache()
+    try {
+      return await cache
+    } catch (e) {
+      if (this.roleCache === cache) this.roleCache = undefined
+      throw e
+    }
+  }
+
+  /**
+   * Loads all roles and indexes them for the role cache. Roles are read from the database directly rather than using find, so that results are never served from the API data cache
+   * @returns {Promise<RoleIndex>}
+   */
+  async buildRoleCache () {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const [roles, groups] = await Promise.all([
+      mongodb.find(this.collectionName, {}),
+      mongodb.find(this.groupCollectionName, {})
+    ])
+    return indexRoles(roles, groups)
+  }
+
+  /**
+   * Clears the role cache so that it is rebuilt on next use. Called whenever roles are inserted, updated or deleted
+   */
+  invalidateRoleCache () {
+    this.roleCache = undefined
+    this.roleCacheStats.invalidations++
+  }
+
+  /**
+   * Returns usage statistics for the role cache
+   * @returns {RoleCacheStats}
+   */
+  getRoleCacheStats () {
+    return { ...this.roleCacheStats, isCached: !!this.roleCache }
+  }
+
+  /**
+   * Resolves the combined scopes granted by a set of roles using the role cache
+   * @param {Array<String|ObjectId>} roleIds The _ids of the roles (unknown _ids are ignored)
+   * @returns {Promise<ResolvedScopes>}
+   */
+  async resolveRoleScopes (roleIds) {
+    const { scopes } = await this.getRoleCache()
+    return mergeResolvedScopes(roleIds.map(_id => scopes.get(_id.toString())).filter(Boolean))
+  }
+
+  /**
+   * Prevents built-in roles (i.e. those defined in the config) from being modified or deleted via the API, and roles created from a role template from being modified, unless allowBuiltInRoleChanges is enabled
    * @param {external:ExpressRequest} req
    * @returns {Promise}
    */
-  async onUpdateRoles (req) {
-    if (req.apiData?.modifying !== false || (req.method !== 'DELETE' && !req.apiData?.data.roles)) {
+  async onProtectBuiltInRole (req) {
+    if (!req.apiData.modifying || !['PUT', 'PATCH', 'DELETE'].includes(req.method) || this.getConfig('allowBuiltInRoleChanges')) {
       return
     }
-    if (!req.auth.isSuper) {
-      const reject = reason => {
-        this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), reason)
-        throw this.app.errors.UNAUTHORISED
-      }
-      if (!req.auth.scopes.includes('assign:roles')) {
-        reject('assign role')
-      }
-      if (req.apiData.data.roles.includes(await this.getSuperRoleId())) {
-        reject('assign superuser')
-      }
-      if (await this.isTargetSuper(req.apiData.query._id)) {
-        reject('modify superuser')
-      }
+    const role = await this.findOne({ _id: req.apiData.query._id }, { strict: false })
+    if (role?.isBuiltIn) {
+      throw this.app.errors.BUILT_IN_ROLE_LOCKED.setData({ shortName: role.shortName })
     }
-    if (req.method !== 'POST') {
-      const auth = await this.app.waitForModule('auth')
-      await auth.authentication.disavowUser({ userId: req.params._id || req.body._id })
+    if (req.method !== 'DELETE' && role && this.hasRoleTemplate(role)) {
+      throw this.app.errors.TEMPLATE_ROLE_LOCKED.setData({ shortName: role.shortName, template: role.template.name })
     }
   }
 
-  async onCheckUserAccess (req) { // note access checks don't run for super users
-    if (req.apiData.modifying && await this.isTargetSuper(req.apiData.query._id)) {
-      throw this.app.errors.UNAUTHORISED
+  /**
+   * Checks whether a role was created from a role template which still exists. Any changes to these roles would be overwritten by the template (see planTemplateRoles)
+   * @param {Object} role The role document
+   * @returns {Boolean}
+   */
+  hasRoleTemplate (role) {
+    return !!role.template && this.getRoleTemplates().some(t => t.shortName === role.template.name)
+  }
+
+  /**
+   * Validates the inheritance and scopes of roles which are added or modified via the API, and makes sure users can't create roles which grant more than they hold themselves
+   * @param {external:ExpressRequest} req
+   * @returns {Promise}
+   */
+  async onValidateRoleRequest (req) {
+    if (!req.apiData.modifying || !['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      return
+    }
+    const allRoles = await this.find()
+    const target = req.method !== 'POST' && allRoles.find(r => r._id.toString() === req.apiData.query._id?.toString())
+    const role = req.method === 'PATCH' ? { ...target, ...req.apiData.data } : req.apiData.data
+    this.validateRoleInheritance([...allRoles.filter(r => r !== target), role])
+    this.validateRoleScopes({ shortName: role.shortName, scopes: req.apiData.data.scopes, denyScopes: req.apiData.data.denyScopes })
+    // new roles don't have an _id yet, so use the shortName to resolve them. Ranks aren't considered here, as otherwise users could create roles with any scopes
+    const updatedRole = { ...role, _id: target?._id ?? role.shortName }
+    await this.checkRoleDelegation(req, [{ role: updatedRole._id }], { allRoles: [...allRoles.filter(r => r !== target), updatedRole], ranked: false })
+    if (target && (await this.getSuperRoleIds(allRoles)).includes(target._id.toString())) {
+      await this.checkSuperUserRemains({ roles: [...allRoles.filter(r => r !== target), role] })
     }
-    return true
   }
 
-  async getSuperRoleId () {
-    const superRole = await this.findOne({ scopes: ['*:*'] })
-    return superRole._id.toString()
+  /**
+   * Returns the users, roles and user groups which depend on a role, i.e. users who hold the role (see getRoleMembersQuery), roles which extend it, and groups which hold it
+   * @param {Object} role The role document
+   * @returns {Promise<Object>} Object with users, roles and groups arrays
+   */
+  async getRoleDependents (role) {
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    const [dependentUsers, allRoles, { groups }] = await Promise.all([
+      this.getRoleMembersQuery(role).then(query => mongodb.find(users.collectionName, query)),
+      this.find(),
+      this.getRoleCache()
+    ])
+    return {
+      users: dependentUsers,
+      roles: allRoles.filter(r => getRoleParents(r).includes(role.shortName)),
+      groups: groups.filter(g => g.roles?.some(r => r.toString() === role._id.toString()))
+    }
   }
 
-  async isTargetSuper (_id) {
-    const users = await this.app.waitForModule('users')
-    const user = await users.findOne({ _id }, { projection: { roles: 1 } })
-    return user.roles.length === 1 && user.roles[0].toString() === await this.getSuperRoleId()
+  /**
+   * Removes a deleted role from any user groups which hold it
+   * @param {Object} role The deleted role document
+   * @returns {Promise}
+   */
+  async removeGroupRole (role) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.updateMany(this.groupCollectionName, { roles: role._id }, { $pull: { roles: role._id } })
+    this.invalidateRoleCache()
+  }
+
+  /**
+   * Returns a users query which matches the users holding a role, either globally, in any context or via a user group (see buildRoleMembersQuery)
+   * @param {Object} role The role document
+   * @param {Object} options
+   * @param {Boolean} [options.indirect] Whether to also match users who hold a role which inherits from the role
+   * @returns {Promise<Object>}
+   */
+  async getRoleMembersQuery (role, { indirect = false } = {}) {
+    const { roles, groups } = await this.getRoleCache()
+    const ids = [role._id]
+    if (indirect) ids.push(...getDescendantRoles(roles, role.shortName).map(r => r._id))
+    return buildRoleMembersQuery(ids, groups)
+  }
+
+  /**
+   * Adds a memberCount to each role, i.e. the number of users who hold it either directly or via a user group
+   * @param {Array<Object>} roles The role documents
+   * @returns {Promise<Array<Object>>}
+   */
+  async addMemberCounts (roles) {
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    return Promise.all(roles.map(async r => ({
+      ...r,
+      memberCount: await mongodb.count(users.collectionName, await this.getRoleMembersQuery(r))
+    })))
+  }
+
+  /**
+   * Moves everything which depends on a role over to another role: affected users are assigned the new role (and disavowed), user groups which hold the role are given the new role instead, and child roles are updated to extend the new role. Each user and group is subject to the same checks as if the new role were being assigned to them directly, and nothing is changed unless every check passes
+   * @param {external:ExpressRequest} req The request
+   * @param {Object} role The role document being replaced
+   * @param {Object} newRole The replacement role document
+   * @returns {Promise<Object>} The dependents which were reassigned (see getRoleDependents)
+   * @throws {AdaptError} UNAUTHORISED or ROLE_DELEGATION_DENIED if the requesting user can't assign the new role to any of the users
+   */
+  async reassignRole (req, role, newRole) {
+    const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+    const actor = req.auth.user._id
+    const dependents = await this.getRoleDependents(role)
+    const isRole = r => r.toString() === role._id.toString()
+    // group members are reassigned by updating the group itself
+    const assignedUsers = dependents.users.filter(u => (u.roles ?? []).some(isRole) || (u.roleAssignments ?? []).some(a => isRole(a.role)))
+    const updatedGroups = dependents.groups.map(g => ({
+      ...g,
+      roles: [...g.roles.filter(r => !isRole(r) && r.toString() !== newRole._id.toString()), newRole._id]
+    }))
+    for (const u of assignedUsers) {
+      const contexts = [
+        ...((u.roles ?? []).some(isRole) ? [undefined] : []),
+        ...(u.roleAssignments ?? []).filter(a => isRole(a.role)).map(a => a.context)
+      ]
+      await this.checkRoleAssignment(req, u._id, { roles: [newRole._id], contexts })
+      await this.checkRoleDelegation(req, contexts.map(context => ({ role: newRole._id, context })))
+    }
+    for (const [i, g] of dependents.groups.entries()) {
+      await this.checkGroupChange(req, g, updatedGroups[i])
+    }
+    const updatedRoles = dependents.roles.map(r => ({ ...r, extends: replaceParentRole(r, role.shortName, newRole.shortName) }))
+    const otherRoles = (await this.find()).filter(r => r.shortName !== role.shortName && !dependents.roles.some(d => d.shortName === r.shortName))
+    this.validateRoleInheritance([...otherRoles, ...updatedRoles])
+    const { groups } = await this.getRoleCache()
+    await this.checkSuperUserRemains({
+      roles: [...otherRoles, ...updatedRoles],
+      groups: groups.map(g => updatedGroups.find(u => u._id.toString() === g._id.toString()) ?? g),
+      updateUser: u => reassignUserRoles(u, role._id, newRole._id)
+    })
+
+    await Promise.all(assignedUsers.map(async u => {
+      const updated = reassignUserRoles(u, role._id, newRole._id)
+      await mongodb.update(users.collectionName, { _id: u._id }, { $set: updated })
+      await auth.authentication.disavowUser({ userId: u._id })
+      await this.logAudit({
+        action: 'assign',
+        actor,
+        targetUser: u._id,
+        roles: [role._id.toString(), newRole._id.toString()],
+        before: { roles: u.roles, roleAssignments: u.roleAssignments },
+        after: updated
+      })
+    }))
+    // one at a time, as each group change is checked against the previous ones
+    for (const g of updatedGroups) {
+      await this.writeGroup(req, { _id: g._id, data: { roles: g.roles } })
+    }
+    await Promise.all(updatedRoles.map((r, i) => this.update({ _id: r._id }, { extends: r.extends, ...addRoleVersion(dependents.roles[i], r, { actor }) })))
+    return dependents
+  }
+
+  /**
+   * Prevents roles from being deleted while users or other roles depend on them. Dependents can instead be moved to another role by passing a reassignTo query parameter with the _id of the replacement role
+   * @param {external:ExpressRequest} req
+   * @returns {Promise}
+   */
+  async onDeleteRole (req) {
+    if (req.method !== 'DELETE' || !req.apiData.modifying) {
+      return
+    }
+    const { reassignTo } = req.apiData.query
+    delete req.apiData.query.reassignTo
+
+    const role = await this.findOne({ _id: req.apiData.query._id }, { strict: false })
+    if (!role) {
+      return
+    }
+    if (reassignTo && reassignTo !== role._id.toString()) {
+      const newRole = await this.findOne({ _id: reassignTo })
+      await this.reassignRole(req, role, newRole)
+      return
+    }
+    const dependents = await this.getRoleDependents(role)
+    if (dependents.users.length || dependents.roles.length) {
+      throw this.app.errors.ROLE_IN_USE.setData({
+        shortName: role.shortName,
+        users: dependents.users.map(u => u._id.toString()),
+        roles: dependents.roles.map(r => r.shortName)
+      })
+    }
+  }
+
+  /**
+   * Checks whether the requesting user is allowed to change another user's roles. Super users can make any change.
+   * @param {external:ExpressRequest} req The request
+   * @param {String | ObjectId} userId _id of the user being modified
+   * @param {Object} changes
+   * @param {Array<String | ObjectId>} changes.roles _ids of the roles being assigned
+   * @param {Array<RoleContext>} changes.contexts The contexts affected by the change (undefined for global roles)
+   * @returns {Promise}
+   * @throws {AdaptError} UNAUTHORISED if the change isn't allowed
+   */
+  async checkRoleAssignment (req, userId, { roles, contexts }) {
+    if (req.auth.isSuper) {
+      return
+    }
+    const reject = reason => {
+      this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), reason)
+      throw this.app.errors.UNAUTHORISED
+    }
+    for (const context of contexts) {
+      if (!await this.can(req, 'assign:roles', context)) {
+        reject('assign role')
+      }
+    }
+    const [reason] = await this.getSuperUserViolations(req, userId, roles)
+    if (reason) {
+      reject(reason)
+    }
+  }
+
+  /**
+   * Returns the reasons that the superuser protections would prevent the requesting user from changing another user's roles: only super users can assign roles which grant full access, or modify users who have full access
+   * @param {external:ExpressRequest} req The request
+   * @param {String | ObjectId} userId _id of the user being modified
+   * @param {Array<String | ObjectId>} roles _ids of the roles being assigned
+   * @returns {Promise<Array<String>>} The reasons (empty if the change is allowed)
+   */
+  async getSuperUserViolations (req, userId, roles) {
+    if (req.auth.isSuper) {
+      return []
+    }
+    const superRoleIds = await this.getSuperRoleIds()
+    const reasons = []
+    if (roles.some(r => superRoleIds.includes(r.toString()))) {
+      reasons.push('assign superuser')
+    }
+    if (await this.isTargetSuper(userId)) {
+      reasons.push('modify superuser')
+    }
+    return reasons
+  }
+
+  /**
+   * Checks whether the requesting user is allowed to grant roles to other users. A role can be granted if the user already holds all of the role's resolved scopes (globally, or in the context the role is being granted in), or if the role is ranked at or below the user's own most senior role in roleRanks. Super users can grant any role.
+   * @param {external:ExpressRequest} req The request
+   * @param {Array<RoleAssignment>} assignments The roles being granted
+   * @param {Object} options
+   * @param {Array<Object>} [options.allRoles] The role documents to resolve against (defaults to all roles in the database)
+   * @param {Boolean} [options.ranked] Whether roleRanks should be taken into account
+   * @returns {Promise}
+   * @throws {AdaptError} ROLE_DELEGATION_DENIED if any of the roles can't be granted
+   */
+  async checkRoleDelegation (req, assignments, { allRoles, ranked = true } = {}) {
+    if (req.auth.isSuper || !assignments.length) {
+      return
+    }
+    allRoles ??= (await this.getRoleCache()).roles
+    const ranks = ranked ? this.getConfig('roleRanks') : []
+    for (const { role: roleId, context } of assignments) {
+      const role = allRoles.find(r => r._id.toString() === roleId.toString())
+      if (!role) {
+        continue
+      }
+      const assigner = await this.getScopesForUser(req.auth.user._id, context)
+      const scopes = getExcessScopes(resolveScopes(allRoles, [role._id]).scopes, assigner.scopes)
+      if (!scopes.length) {
+        continue
+      }
+      const rank = ranks.indexOf(role.shortName)
+      const ownRank = Math.min(...assigner.roles.map(r => ranks.indexOf(r)).filter(i => i > -1))
+      if (rank === -1 || rank < ownRank) {
+        this.log('error', 'ROLE_DELEGATION_DENIED', req.auth.user._id.toString(), role.shortName, scopes)
+        throw this.app.errors.ROLE_DELEGATION_DENIED.setData({ shortName: role.shortName, scopes })
+      }
+    }
+  }
+
+  /**
+   * Assigns a role to (or removes a role from) many users at once. The same checks are made as when changing a single user's roles, and any users which fail these are skipped.
+   * @param {external:ExpressRequest} req The request (used for the permission checks)
+   * @param {Object} options
+   * @param {String | ObjectId} options.roleId _id of the role
+   * @param {Array<String>} [options.userIds] _ids of the users to update
+   * @param {Object} [options.query] Query used to select the users to update if userIds isn't specified
+   * @param {RoleContext} [options.context] Context to limit the assignment to
+   * @param {Boolean} [options.remove] Whether the role should be removed rather than assigned
+   * @returns {Promise<Array<BulkAssignmentResult>>}
+   */
+  async bulkAssignRole (req, { roleId, userIds, query, context, remove = false }) {
+    if (!Array.isArray(userIds) && !query) {
+      throw this.app.errors.INVALID_ROLE_ASSIGNMENT.setData({ reason: 'either a list of users or a user query must be specified' })
+    }
+    if (context && (!context.type || !context._id)) {
+      throw this.app.errors.INVALID_ROLE_ASSIGNMENT.setData({ reason: 'context must have a type and _id' })
+    }
+    const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+    const role = await this.findOne({ _id: roleId })
+    if (!remove) {
+      await this.checkRoleDelegation(req, [{ role: role._id, context }])
+    }
+    const targets = await users.find(userIds ? { _id: { $in: userIds } } : query)
+    const missing = (userIds ?? [])
+      .filter(id => !targets.some(u => u._id.toString() === id.toString()))
+      .map(id => ({ _id: id.toString(), success: false, error: 'NOT_FOUND' }))
+
+    const checked = await Promise.all(targets.map(async u => {
+      try {
+        await this.checkRoleAssignment(req, u._id, { roles: [role._id], contexts: [context] })
+      } catch (e) {
+        return { user: u, error: e.code }
+      }
+      const before = { roles: u.roles ?? [], roleAssignments: u.roleAssignments ?? [] }
+      const after = updateUserRole(before, role._id, { context, remove })
+      const changed = after.roles.length !== before.roles.length || after.roleAssignments.length !== before.roleAssignments.length
+      return { user: u, before, after: changed ? after : undefined }
+    }))
+    if (remove) {
+      const updates = new Map(checked.filter(c => c.after).map(c => [c.user._id.toString(), c.after]))
+      try {
+        await this.checkSuperUserRemains({ updateUser: u => updates.get(u._id.toString()) ?? u })
+      } catch (e) {
+        if (e.code !== 'LAST_SUPERUSER') throw e
+        // leave all current super users untouched rather than picking which one to keep
+        const superUserIds = (await this.getSuperUsers()).map(u => u._id.toString())
+        checked.filter(c => superUserIds.includes(c.user._id.toString())).forEach(c => Object.assign(c, { error: e.code, after: undefined }))
+      }
+    }
+    const changes = checked.filter(c => c.after)
+    if (changes.length) {
+      const [field, value] = context ? ['roleAssignments', { role: role._id, context }] : ['roles', role._id]
+      const pullValue = context ? { role: role._id, 'context.type': context.type, 'context._id': context._id } : role._id
+      await mongodb.updateMany(users.collectionName, { _id: { $in: changes.map(c => c.user._id) } }, remove ? { $pull: { [field]: pullValue } } : { $addToSet: { [field]: value } })
+      await Promise.all(changes.map(async ({ user, before, after }) => {
+        await auth.authentication.disavowUser({ userId: user._id })
+        await this.logAudit({
+          action: 'assign',
+          actor: req.auth.user._id,
+          targetUser: user._id,
+          roles: [role._id.toString()],
+          before,
+          after
+        })
+      }))
+    }
+    return [
+      ...checked.map(({ user, error }) => error ? { _id: user._id.toString(), success: false, error } : { _id: user._id.toString(), success: true }),
+      ...missing
+    ]
+  }
+
+  /**
+   * Returns a user group
+   * @param {String | ObjectId} _id _id of the group
+   * @returns {Promise<Object>}
+   * @throws {AdaptError} NOT_FOUND if the group doesn't exist
+   */
+  async getGroup (_id) {
+    const { groups } = await this.getRoleCache()
+    const group = groups.find(g => g._id.toString() === _id.toString())
+    if (!group) {
+      throw this.app.errors.NOT_FOUND.setData({ type: this.groupSchemaName, id: _id })
+    }
+    return group
+  }
+
+  /**
+   * Checks whether the requesting user is allowed to make a change to a user group. Changing a group changes the roles of its members, so the same checks are made as when changing each member's roles directly
+   * @param {external:ExpressRequest} req The request
+   * @param {Object} [before] The group prior to the change (omit for new groups)
+   * @param {Object} [after] The group after the change (omit for deleted groups)
+   * @returns {Promise<Array<String | ObjectId>>} The _ids of the members whose roles would change
+   */
+  async checkGroupChange (req, before, after) {
+    const { groups } = await this.getRoleCache()
+    const updatedGroups = groups.filter(g => g._id.toString() !== before?._id.toString())
+    if (after) updatedGroups.push(after)
+    const members = [...before?.members ?? [], ...after?.members ?? []]
+      .filter((m, i, all) => all.findIndex(m2 => m2.toString() === m.toString()) === i)
+    const granted = new Set()
+    const changed = []
+    for (const _id of members) {
+      const rolesBefore = getUserRoleIds({ _id }, groups)
+      const rolesAfter = getUserRoleIds({ _id }, updatedGroups)
+      const added = rolesAfter.filter(r => !rolesBefore.includes(r))
+      if (!added.length && rolesAfter.length === rolesBefore.length) {
+        continue
+      }
+      await this.checkRoleAssignment(req, _id, { roles: added, contexts: [undefined] })
+      added.forEach(r => granted.add(r))
+      changed.push(_id)
+    }
+    await this.checkRoleDelegation(req, [...granted].map(role => ({ role })))
+    if (changed.length) {
+      await this.checkSuperUserRemains({ groups: updatedGroups })
+    }
+    return changed
+  }
+
+  /**
+   * Adds, updates or deletes a user group. Any members whose roles change as a result are disavowed so that their new permissions take effect
+   * @param {external:ExpressRequest} req The request
+   * @param {Object} changes
+   * @param {String | ObjectId} [changes._id] _id of the group to change (omit to add a new group)
+   * @param {Object} [changes.data] The new group data, which is merged with any existing data (omit to delete the group)
+   * @returns {Promise<Object>} The group document (undefined if the group was deleted)
+   */
+  async writeGroup (req, { _id, data }) {
+    const before = _id ? await this.getGroup(_id) : undefined
+    const members = await this.checkGroupChange(req, before, data && { ...before, ...data })
+    // groups share the API functions with roles, but the role hooks don't apply to them
+    const options = { schemaName: this.groupSchemaName, collectionName: this.groupCollectionName, invokePreHook: false, invokePostHook: false }
+    let doc
+    if (!before) doc = await this.insert(data, options)
+    else if (data) doc = await this.update({ _id: before._id }, data, options)
+    else await this.delete({ _id: before._id }, options)
+    this.invalidateRoleCache()
+    await this.logAudit({
+      action: !before ? 'insert' : data ? 'update' : 'delete',
+      actor: req.auth.user._id,
+      group: (doc ?? before)._id,
+      before,
+      after: doc
+    })
+    if (members.length) {
+      const auth = await this.app.waitForModule('auth')
+      await Promise.all(members.map(userId => auth.authentication.disavowUser({ userId })))
+    }
+    return doc
+  }
+
+  /**
+   * Works out the impact of changing a role without making the change: the effective scopes of every user who holds the role (or a role which extends it) are compared before and after
+   * @param {Object} data The role's _id, plus any attributes to change. New roles can be simulated by omitting the _id
+   * @returns {Promise<SimulationReport>}
+   */
+  async simulateRoleChange (data) {
+    const { roles: allRoles, groups } = await this.getRoleCache()
+    const target = data._id && allRoles.find(r => r._id.toString() === data._id.toString())
+    if (data._id && !target) {
+      throw this.app.errors.NOT_FOUND.setData({ id: data._id.toString(), type: this.schemaName })
+    }
+    // new roles don't have an _id yet, so use the shortName to resolve them
+    const role = { ...target, ...data, _id: target?._id ?? data.shortName }
+    const roles = [...allRoles.filter(r => r !== target), role]
+    this.validateRoleInheritance(roles)
+    if (!target) {
+      return { users: [], protections: [] }
+    }
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    const affected = await mongodb.find(users.collectionName, await this.getRoleMembersQuery(target, { indirect: true }), {
+      projection: { roles: 1, roleAssignments: 1 }
+    })
+    const protections = []
+    try {
+      await this.checkSuperUserRemains({ roles })
+    } catch (e) {
+      if (e.code !== 'LAST_SUPERUSER') throw e
+      protections.push({ code: e.code })
+    }
+    return {
+      users: affected.flatMap(u => {
+        return getScopeChanges({ roles: allRoles, groups, user: u }, { roles, groups, user: u }).map(c => ({ _id: u._id.toString(), ...c }))
+      }),
+      protections
+    }
+  }
+
+  /**
+   * Works out the impact of changing a user's roles without making the change, including whether the change would be blocked by the superuser protections (see onUpdateRoles and onCheckUserAccess)
+   * @param {external:ExpressRequest} req The request (the protections are checked against the requesting user)
+   * @param {Object} data
+   * @param {String | ObjectId} data._id _id of the user
+   * @param {Array<String>} [data.roles] The user's new global roles
+   * @param {Array<RoleAssignment>} [data.roleAssignments] The user's new role assignments
+   * @returns {Promise<SimulationReport>}
+   */
+  async simulateUserChange (req, { _id, roles, roleAssignments }) {
+    const { roles: allRoles, groups } = await this.getRoleCache()
+    const existing = { _id, ...await this.getUserRoles(_id) }
+    const updated = { _id, roles: roles ?? existing.roles, roleAssignments: roleAssignments ?? existing.roleAssignments }
+    const changedAssignments = roleAssignments ? diffRoleAssignments(existing.roleAssignments, roleAssignments) : []
+    const reasons = await this.getSuperUserViolations(req, _id, [...(roles ?? []), ...changedAssignments.map(a => a.role)])
+    const protections = reasons.map(reason => ({ code: 'UNAUTHORISED', reason }))
+    try {
+      await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === _id.toString() ? updated : u })
+    } catch (e) {
+      if (e.code !== 'LAST_SUPERUSER') throw e
+      protections.push({ code: e.code })
+    }
+    return {
+      users: getScopeChanges({ roles: allRoles, groups, user: existing }, { roles: allRoles, groups, user: updated }).map(c => ({ _id: _id.toString(), ...c })),
+      protections
+    }
+  }
+
+  /**
+   * Handler for requests which attempt to update roles
+   * @param {external:ExpressRequest} req
+   * @returns {Promise}
+   */
+  async onUpdateRoles (req) {
+    const { roles, roleAssignments } = req.apiData?.data ?? {}
+    if (!req.apiData?.modifying || (req.method !== 'DELETE' && !roles && !roleAssignments)) {
+      return
+    }
+    const existing = await this.getUserRoles(req.apiData.query._id)
+    const changedAssignments = roleAssignments ? diffRoleAssignments(existing.roleAssignments, roleAssignments) : []
+    const contexts = roles || req.method === 'DELETE' ? [undefined] : []
+    await this.checkRoleAssignment(req, req.apiData.query._id, {
+      roles: [...(roles ?? []), ...changedAssignments.map(a => a.role)],
+      contexts: [...contexts, ...changedAssignments.map(a => a.context)]
+    })
+    await this.checkRoleDelegation(req, [
+      ...(roles ?? []).filter(r => !existing.roles.some(e => e.toString() === r.toString())).map(role => ({ role })),
+      ...changedAssignments.filter(a => roleAssignments.includes(a))
+    ])
+    const updated = req.method !== 'DELETE'
+      ? { roles: roles ?? existing.roles, roleAssignments: roleAssignments ?? existing.roleAssignments }
+      : undefined
+    if (req.method !== 'POST') {
+      const userId = req.apiData.query._id.toString()
+      await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === userId ? updated : u })
+    }
+    if (req.method !== 'DELETE') {
+      // new users don't have an _id yet, so are matched by email instead
+      const key = req.method === 'POST' ? `user:${req.apiData.data.email}` : `user:${req.apiData.query._id}`
+      this.deferAudit(req, key, { action: 'assign', actor: req.auth.user?._id, before: existing })
+    }
+    if (req.method !== 'POST') {
+      const auth = await this.app.waitForModule('auth')
+      await auth.authentication.disavowUser({ userId: req.params._id || req.body._id })
+    }
+  }
+
+  /**
+   * Request handler for retrieving a user's effective scopes
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async effectiveScopesHandler (req, res, next) {
+    try {
+      const { contextType, contextId } = req.query
+      const context = contextType && contextId ? { type: contextType, _id: contextId } : undefined
+      res.json(await this.getScopesForUser(req.params.userId, context))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  async onCheckUserAccess (req) { // note access checks don't run for super users
+    if (req.apiData.modifying && await this.isTargetSuper(req.apiData.query._id)) {
+      throw this.app.errors.UNAUTHORISED
+    }
+    return true
+  }
+
+  /**
+   * Returns the existing roles and role assignments for a user
+   * @param {String | ObjectId} [userId] The _id of the user
+   * @returns {Promise<Object>} The user's roles and roleAssignments (both empty if the user doesn't exist)
+   */
+  async getUserRoles (userId) {
+    let user
+    if (userId) {
+      const users = await this.app.waitForModule('users')
+      user = await users.findOne({ _id: userId }, { strict: false, projection: { roles: 1, roleAssignments: 1 } })
+    }
+    return { roles: user?.roles ?? [], roleAssignments: user?.roleAssignments ?? [] }
+  }
+
+  /**
+   * Records an entry in the role audit log. Failures are logged rather than thrown, so that auditing never blocks the change itself
+   * @param {RoleAuditEntry} entry The entry data (timestamp is added automatically)
+   * @returns {Promise}
+   */
+  async logAudit (entry) {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      await mongodb.insert(this.auditCollectionName, {
+        ...entry,
+        actor: entry.actor?.toString(),
+        targetUser: entry.targetUser?.toString(),
+        role: entry.role?.toString(),
+        group: entry.group?.toString(),
+        timestamp: new Date()
+      })
+    } catch (e) {
+      this.log('warn', `failed to record role audit entry, ${e.message}`)
+    }
+  }
+
+  /**
+   * Holds an audit entry for an API request until the change has been written to the database (see takePendingAudit). Each request keeps its own entry, so concurrent requests for the same document don't overwrite each other. Entries are discarded once the response has been sent or the connection closed, so nothing is recorded for requests which fail or are aborted
+   * @param {external:ExpressRequest} req
+   * @param {String} key Identifies the document being changed
+   * @param {RoleAuditEntry} entry The entry data
+   */
+  deferAudit (req, key, entry) {
+    this.pendingAudits.set(key, [...(this.pendingAudits.get(key) ?? []), entry])
+    const discard = () => {
+      const pending = this.pendingAudits.get(key)?.filter(e => e !== entry) ?? []
+      if (pending.length) this.pendingAudits.set(key, pending)
+      else this.pendingAudits.delete(key)
+    }
+    req.res?.once('finish', discard).once('close', discard)
+  }
+
+  /**
+   * Removes and returns the oldest audit entry held for a document by deferAudit
+   * @param {String} key Identifies the document which was changed
+   * @returns {RoleAuditEntry|undefined} The entry, or undefined if the change wasn't made via the API
+   */
+  takePendingAudit (key) {
+    const [entry, ...pending] = this.pendingAudits.get(key) ?? []
+    if (pending.length) this.pendingAudits.set(key, pending)
+    else this.pendingAudits.delete(key)
+    return entry
+  }
+
+  /**
+   * Notes changes to roles made via the API, so that they can be recorded in the audit log once written (see onAuditRoleChange)
+   * @param {external:ExpressRequest} req
+   * @returns {Promise}
+   */
+  async onAuditRoleRequest (req) {
+    const action = { POST: 'insert', PUT: 'update', PATCH: 'update', DELETE: 'delete' }[req.method]
+    if (!req.apiData.modifying || !action) {
+      return
+    }
+    // new roles don't have an _id yet, so are matched by shortName instead
+    const key = req.method === 'POST' ? `role:${req.apiData.data.shortName}` : `role:${req.apiData.query._id}`
+    this.deferAudit(req, key, { action, actor: req.auth.user._id })
+  }
+
+  /**
+   * Records a change to a role made via the API in the audit log, once it has been written. Changes made by other means are ignored, as they're audited separately
+   * @param {String} key Identifies the role (see onAuditRoleRequest)
+   * @param {Object} [before] The role prior to the change
+   * @param {Object} [after] The role after the change
+   * @returns {Promise}
+   */
+  async onAuditRoleChange (key, before, after) {
+    const entry = this.takePendingAudit(key)
+    if (!entry) {
+      return
+    }
+    const role = after ?? before
+    await this.logAudit({ ...entry, role: role._id, shortName: role.shortName, before, after })
+  }
+
+  /**
+   * Records a change to a user's roles made via the API in the audit log, once it has been written (see onUpdateRoles)
+   * @param {String} key Identifies the user
+   * @param {Object} user The user after the change
+   * @returns {Promise}
+   */
+  async onAuditUserRoles (key, user) {
+    const entry = this.takePendingAudit(key)
+    if (!entry) {
+      return
+    }
+    const after = { roles: user.roles ?? [], roleAssignments: user.roleAssignments ?? [] }
+    const roleIds = [entry.before, after].flatMap(u => [...u.roles, ...u.roleAssignments.map(a => a.role)]).map(r => r.toString())
+    await this.logAudit({ ...entry, targetUser: user._id, roles: [...new Set(roleIds)], after })
+  }
+
+  /**
+   * Adds a new version to the history of roles which are added or modified via the API
+   * @param {external:ExpressRequest} req
+   * @returns {Promise}
+   */
+  async onVersionRoleRequest (req) {
+    if (!req.apiData.modifying || !['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      return
+    }
+    const existing = req.method !== 'POST' ? await this.findOne({ _id: req.apiData.query._id }, { strict: false }) : undefined
+    const role = req.method === 'PATCH' ? { ...existing, ...req.apiData.data } : req.apiData.data
+    Object.assign(req.apiData.data, addRoleVersion(existing, role, { actor: req.auth.user._id }))
+  }
+
+  /**
+   * Returns the version history for a role, oldest first
+   * @param {String | ObjectId} _id _id of the role
+   * @returns {Promise<Array<RoleVersion>>}
+   */
+  async getRoleHistory (_id) {
+    const role = await this.findOne({ _id })
+    // roles which pre-date versioning won't have a history yet
+    return addRoleVersion(role, role).history
+  }
+
+  /**
+   * Restores a role to a previous version. The restored role is subject to the same checks as any other role change, and any users whose effective scopes change as a result are disavowed
+   * @param {external:ExpressRequest} req The request
+   * @param {String | ObjectId} _id _id of the role
+   * @param {Number} version The version to restore
+   * @returns {Promise<RoleRollbackReport>}
+   */
+  async rollbackRole (req, _id, version) {
+    const allRoles = await this.find()
+    const role = allRoles.find(r => r._id.toString() === _id.toString())
+    if (!role) {
+      throw this.app.errors.NOT_FOUND.setData({ type: this.schemaName, id: _id })
+    }
+    if (role.isBuiltIn && !this.getConfig('allowBuiltInRoleChanges')) {
+      throw this.app.errors.BUILT_IN_ROLE_LOCKED.setData({ shortName: role.shortName })
+    }
+    if (this.hasRoleTemplate(role) && !this.getConfig('allowBuiltInRoleChanges')) {
+      throw this.app.errors.TEMPLATE_ROLE_LOCKED.setData({ shortName: role.shortName, template: role.template.name })
+    }
+    const entry = addRoleVersion(role, role).history.find(v => v.version === version)
+    if (!entry) {
+      throw this.app.errors.UNKNOWN_ROLE_VERSION.setData({ shortName: role.shortName, version })
+    }
+    const restored = restoreRoleVersion(role, entry)
+    const otherRoles = allRoles.filter(r => r !== role)
+    this.validateRoleInheritance([...otherRoles, restored])
+    this.validateRoleScopes(restored)
+    await this.checkRoleDelegation(req, [{ role: role._id }], { allRoles: [...otherRoles, restored], ranked: false })
+    if ((await this.getSuperRoleIds(allRoles)).includes(role._id.toString())) {
+      await this.checkSuperUserRemains({ roles: [...otherRoles, restored] })
+    }
+    const mongodb = await this.app.waitForModule('mongodb')
+    const before = await this.getRoleCache()
+    const versioned = addRoleVersion(role, restored, { actor: req.auth.user._id })
+    await mongodb.replace(this.collectionName, { _id: role._id }, { ...restored, ...versioned })
+    await this.logAudit({ action: 'rollback', actor: req.auth.user._id, role: role._id, shortName: role.shortName, before: role, after: restored })
+    this.invalidateRoleCache()
+    const report = await this.disavowChangedRoleMembers(before, await this.getRoleCache())
+    this.log('info', `rolled back '${role.shortName}' role to version ${version}, ${report.users.length} user(s) disavowed`)
+    return { version: versioned.version, ...report }
+  }
+
+  /**
+   * Request handler for listing all known scopes, along with the roles which grant each one
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async scopesHandler (req, res, next) {
+    try {
+      const allRoles = await this.find()
+      const resolved = allRoles.map(r => ({ shortName: r.shortName, scopes: resolveScopes(allRoles, [r._id]).scopes }))
+      res.json(this.getKnownScopes().map(scope => ({
+        scope,
+        roles: resolved.filter(r => hasScope(r.scopes, scope)).map(r => r.shortName)
+      })))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for previewing the impact of a change to a role, or to a user's roles
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async simulateHandler (req, res, next) {
+    try {
+      const { role, user } = req.apiData.data
+      if (!role === !user) {
+        throw this.app.errors.INVALID_SIMULATION.setData({ reason: 'exactly one of role or user must be specified' })
+      }
+      if (user && !user._id) {
+        throw this.app.errors.INVALID_SIMULATION.setData({ reason: 'user must have an _id' })
+      }
+      res.json(role ? await this.simulateRoleChange(role) : await this.simulateUserChange(req, user))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for reloading the role settings from the config file. Only available to super users
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async reloadHandler (req, res, next) {
+    try {
+      if (!req.auth.isSuper) {
+        this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), 'reload config roles')
+        throw this.app.errors.UNAUTHORISED.setData({ method: req.method, url: req.originalUrl })
+      }
+      res.json(await this.reloadConfigRoles())
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for retrieving a role's version history
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async historyHandler (req, res, next) {
+    try {
+      res.json(await this.getRoleHistory(req.params._id))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for restoring a previous version of a role
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async rollbackHandler (req, res, next) {
+    try {
+      res.json(await this.rollbackRole(req, req.params._id, Number(req.params.version)))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for exporting roles
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async exportHandler (req, res, next) {
+    try {
+      const bundle = await this.exportRoles({ includeBuiltIn: req.query.includeBuiltIn === 'true' })
+      if (req.query.format === 'yaml') {
+        return res.type('yaml').send(yaml.dump(bundle))
+      }
+      res.json(bundle)
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for importing roles
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async importHandler (req, res, next) {
+    try {
+      const { bundle, mode, dryRun } = req.apiData.data
+      res.json(await this.importRoles(req, bundle, { mode, dryRun: dryRun === true }))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Adds member counts to the standard role listing
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async queryHandler (req, res, next) {
+    const json = res.json.bind(res)
+    res.json = roles => {
+      this.addMemberCounts(roles).then(json).catch(next)
+      return res
+    }
+    return super.queryHandler(req, res, next)
+  }
+
+  /**
+   * Request handler for listing the users who hold a role
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async membersHandler (req, res, next) {
+    try {
+      const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+      const role = await this.findOne({ _id: req.params._id })
+      const query = await this.getRoleMembersQuery(role, { indirect: req.query.indirect === 'true' })
+      const mongoOpts = { limit: parseInt(req.query.limit) || undefined, page: req.query.page }
+      // pagination is calculated from the apiData, so this needs to target the users collection
+      Object.assign(req.apiData, { collectionName: users.collectionName, query })
+      await this.setUpPagination(req, res, mongoOpts)
+      const projection = { email: 1, firstName: 1, lastName: 1, roles: 1, roleAssignments: 1 }
+      res.json(await mongodb.find(users.collectionName, query, { limit: mongoOpts.limit, skip: mongoOpts.skip, projection }))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for assigning a role to multiple users
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async assignHandler (req, res, next) {
+    try {
+      const { users, query, context } = req.apiData.data
+      res.json(await this.bulkAssignRole(req, { roleId: req.params._id, userIds: users, query, context }))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for removing a role from multiple users
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async unassignHandler (req, res, next) {
+    try {
+      const { users, query, context } = req.apiData.data
+      res.json(await this.bulkAssignRole(req, { roleId: req.params._id, userIds: users, query, context, remove: true }))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for managing user groups
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async groupsHandler (req, res, next) {
+    try {
+      const { _id } = req.params
+      if (req.method === 'GET') {
+        return res.json(_id ? await this.getGroup(_id) : (await this.getRoleCache()).groups)
+      }
+      const doc = await this.writeGroup(req, { _id, data: req.method !== 'DELETE' ? req.apiData.data : undefined })
+      if (!doc) {
+        return res.sendStatus(204)
+      }
+      res.status(req.method === 'POST' ? 201 : 200).json(doc)
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for listing role templates
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async templatesHandler (req, res, next) {
+    try {
+      res.json(this.getRoleTemplates())
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for creating roles from role templates
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async instantiateHandler (req, res, next) {
+    try {
+      res.status(201).json(await this.createRoleFromTemplate(req, req.params.name, req.apiData.data))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Request handler for querying the role audit log
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   * @returns {Promise}
+   */
+  async auditHandler (req, res, next) {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const query = buildAuditQuery(req.query)
+      const mongoOpts = { limit: parseInt(req.query.limit) || undefined, page: req.query.page }
+      // pagination is calculated from the apiData, so this needs to target the audit collection
+      Object.assign(req.apiData, { collectionName: this.auditCollectionName, query })
+      await this.setUpPagination(req, res, mongoOpts)
+      res.json(await mongodb.find(this.auditCollectionName, query, { sort: { timestamp: -1 }, limit: mongoOpts.limit, skip: mongoOpts.skip }))
+    } catch (e) {
+      next(e)
+    }
+  }
+
+  /**
+   * Removes any expired role assignments from users, and disavows the affected users so that existing sessions don't outlive the assignment
+   * @returns {Promise<Array<String>>} The _ids of the affected users
+   */
+  async removeExpiredAssignments () {
+    const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+    const now = new Date()
+    const candidates = await mongodb.find(users.collectionName, { 'roleAssignments.validUntil': { $exists: true } })
+    const expired = candidates.filter(u => u.roleAssignments.some(a => isAssignmentExpired(a, now)))
+    await Promise.all(expired.map(async u => {
+      const roleAssignments = u.roleAssignments.filter(a => !isAssignmentExpired(a, now))
+      await mongodb.update(users.collectionName, { _id: u._id }, { $set: { roleAssignments } })
+      await auth.authentication.disavowUser({ userId: u._id })
+      this.log('debug', 'EXPIRED', 'roleAssignments', u._id.toString())
+    }))
+    return expired.map(u => u._id.toString())
+  }
+
+  /**
+   * Returns the _ids of all roles which grant full access, either directly or through inheritance
+   * @param {Array<Object>} [allRoles] The complete set of roles (fetched if not specified)
+   * @returns {Promise<Array<String>>}
+   */
+  async getSuperRoleIds (allRoles) {
+    if (!allRoles) {
+      const { scopes } = await this.getRoleCache()
+      return [...scopes].filter(([, s]) => grantsFullAccess(s.scopes)).map(([_id]) => _id)
+    }
+    return allRoles.filter(r => grantsFullAccess(resolveScopes(allRoles, [r._id]).scopes)).map(r => r._id.toString())
+  }
+
+  /**
+   * Returns the _id of a role which grants full access
+   * @deprecated Multiple roles can grant full access, use getSuperRoleIds instead
+   * @returns {Promise<String|undefined>}
+   */
+  async getSuperRoleId () {
+    const [_id] = await this.getSuperRoleIds()
+    return _id
+  }
+
+  /**
+   * Checks whether a user has full access through their global roles (including those from any groups they're a member of)
+   * @param {String | ObjectId} _id The _id of the user
+   * @returns {Promise<Boolean>}
+   */
+  async isTargetSuper (_id) {
+    const { groups } = await this.getRoleCache()
+    const { scopes } = await this.resolveRoleScopes(getUserRoleIds({ _id, ...await this.getUserRoles(_id) }, groups))
+    return grantsFullAccess(scopes)
+  }
+
+  /**
+   * Returns all users who have full access through their global roles (including those from any groups they're a member of)
+   * @param {Array<Object>} [allRoles] The complete set of roles (fetched if not specified)
+   * @returns {Promise<Array<Object>>} The users' _id, roles and roleAssignments
+   */
+  async getSuperUsers (allRoles) {
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    const cache = await this.getRoleCache()
+    const roles = allRoles ?? cache.roles
+    const superRoleIds = await this.getSuperRoleIds(roles)
+    const ids = roles.filter(r => superRoleIds.includes(r._id.toString())).map(r => r._id)
+    const members = cache.groups
+      .filter(g => g.roles?.some(r => superRoleIds.includes(r.toString())))
+      .flatMap(g => g.members ?? [])
+    const query = { $or: [{ roles: { $in: ids } }, { 'roleAssignments.role': { $in: ids } }] }
+    if (members.length) query.$or.push({ _id: { $in: members } })
+    const candidates = await mongodb.find(users.collectionName, query, { projection: { roles: 1, roleAssignments: 1 } })
+    return candidates.filter(u => grantsFullAccess(resolveScopes(roles, getUserRoleIds(u, cache.groups)).scopes))
+  }
+
+  /**
+   * Makes sure that a change won't remove full access from every user, which would lock everyone out of administration. Has no effect if there are currently no super users.
+   * @param {Object} changes
+   * @param {Array<Object>} [changes.roles] The complete set of roles after the change (defaults to the current roles)
+   * @param {Array<Object>} [changes.groups] The complete set of user groups after the change (defaults to the current groups)
+   * @param {Function} [changes.updateUser] Function which is passed each current super user, and should return their roles after the change (or nothing if the user is being deleted)
+   * @returns {Promise}
+   * @throws {AdaptError} LAST_SUPERUSER if no super users would remain
+   */
+  async checkSuperUserRemains ({ roles, groups, updateUser = u => u } = {}) {
+    const superUsers = await this.getSuperUsers()
+    if (!superUsers.length) {
+      return
+    }
+    const cache = await this.getRoleCache()
+    const allRoles = roles ?? cache.roles
+    const remains = superUsers.some(u => {
+      const updated = updateUser(u)
+      return updated && grantsFullAccess(resolveScopes(allRoles, getUserRoleIds({ ...updated, _id: u._id }, groups ?? cache.groups)).scopes)
+    })
+    if (!remains) throw this.app.errors.LAST_SUPERUSER
   }
 }
 
@@ -0,0 +1,152 @@
+/**
+ * This file exists to define the below types for documentation purposes.
+ */
+/**
+ * The scopes resolved from one or more roles
+ * @memberof roles
+ * @typedef {Object} ResolvedScopes
+ * @property {Array<String>} scopes De-duplicated list of granted scopes, plus any denied scopes prefixed with '!'
+ * @property {Object<String,Array<String>>} sources Map of each scope to the shortNames of the roles which define it
+ */
+/**
+ * The effective permissions of a single user
+ * @memberof roles
+ * @typedef {ResolvedScopes} EffectiveScopes
+ * @property {Array<String>} roles The shortNames of the roles assigned to the user
+ */
+/**
+ * A rule used to pick the default roles for new users, or to map identity provider claims to roles (see claimRoleMappings)
+ * @memberof roles
+ * @typedef {Object} DefaultRoleRule
+ * @property {Object<String,String|Array<String>>} [match] User fields (or claims) to match, and the values to match against (see matchesRoleRule)
+ * @property {Array<String>} roles The shortNames of the roles to apply
+ */
+/**
+ * The changes made by reloading the role settings from the config file
+ * @memberof roles
+ * @typedef {Object} RoleReloadReport
+ * @property {Array<String>} roles The shortNames of the roles whose scopes changed (including any which were added or removed)
+ * @property {Array<String>} users The _ids of the users who were disavowed as a result
+ */
+/**
+ * The changes made by rolling a role back to a previous version
+ * @memberof roles
+ * @typedef {RoleReloadReport} RoleRollbackReport
+ * @property {Number} version The role's new version number
+ */
+/**
+ * A previous definition of a role
+ * @memberof roles
+ * @typedef {Object} RoleVersion
+ * @property {Number} version The version number
+ * @property {String} [displayName] The role's displayName
+ * @property {String | Array<String>} [extends] The role(s) extended
+ * @property {Array<String>} [scopes] The role's scopes
+ * @property {Array<String>} [denyScopes] The role's denied scopes
+ * @property {String} [actor] _id of the user who created the version ('config' for changes applied from the config file)
+ * @property {Date} [timestamp] When the version was created
+ */
+/**
+ * A change to a user's effective scopes
+ * @memberof roles
+ * @typedef {Object} ScopeChange
+ * @property {String} [_id] The _id of the user
+ * @property {RoleContext} [context] The context the change applies to (global if omitted)
+ * @property {Array<String>} added Scopes which would be granted
+ * @property {Array<String>} removed Scopes which would no longer be granted
+ */
+/**
+ * The predicted impact of a change to a role or to a user's roles
+ * @memberof roles
+ * @typedef {Object} SimulationReport
+ * @property {Array<ScopeChange>} users The changes to each affected user's effective scopes
+ * @property {Array<Object>} protections The superuser protections which would prevent the change, each with an error code, plus a reason for UNAUTHORISED
+ */
+/**
+ * Lookup tables for a set of roles
+ * @memberof roles
+ * @typedef {Object} RoleIndex
+ * @property {Array<Object>} roles All role documents
+ * @property {Array<Object>} groups All user group documents
+ * @property {Map<String,Object>} byId Map of each role's _id to its document
+ * @property {Map<String,ResolvedScopes>} scopes Map of each role's _id to the scopes it grants (including inherited scopes)
+ */
+/**
+ * Usage statistics for the resolved scope cache
+ * @memberof roles
+ * @typedef {Object} RoleCacheStats
+ * @property {Number} hits Number of lookups served from the cache
+ * @property {Number} misses Number of lookups which required the cache to be built
+ * @property {Number} invalidations Number of times the cache has been cleared due to role changes
+ * @property {Boolean} isCached Whether the cache is currently populated
+ */
+/**
+ * A context which a role assignment can be bound to
+ * @memberof roles
+ * @typedef {Object} RoleContext
+ * @property {String} type The type of context (e.g. 'course', 'group' or 'tenant')
+ * @property {String} _id The _id of the context
+ */
+/**
+ * A role assigned to a user, optionally bound to a specific context
+ * @memberof roles
+ * @typedef {Object} RoleAssignment
+ * @property {String} role The _id of the assigned role
+ * @property {RoleContext} [context] The context the role applies to (applies everywhere if omitted)
+ * @property {Date} [validFrom] The date the assignment comes into effect
+ * @property {Date} [validUntil] The date the assignment expires
+ */
+/**
+ * A record of a change made to a role, a user group or a user's roles
+ * @memberof roles
+ * @typedef {Object} RoleAuditEntry
+ * @property {String} action The type of change (one of assign, insert, update, replace, delete or rollback)
+ * @property {String} actor _id of the user who made the change ('config' for changes applied from the config file)
+ * @property {String} [targetUser] _id of the user whose roles were changed
+ * @property {String} [role] _id of the role which was changed
+ * @property {String} [group] _id of the user group which was changed
+ * @property {String} [shortName] shortName of the role which was changed
+ * @property {Array<String>} [roles] _ids of the roles held by the target user before and after the change
+ * @property {Object} [before] The data prior to the change
+ * @property {Object} [after] The data after the change
+ * @property {Date} timestamp When the change was made
+ */
+/**
+ * A set of changes to be made to the roles in the database
+ * @memberof roles
+ * @typedef {Object} RoleChanges
+ * @property {Array<Object>} insert Role definitions which don't yet exist in the database
+ * @property {Array<Object>} replace Existing roles to be replaced, as objects with the existing doc, the new definition and whether the role has changed
+ */
+/**
+ * The changes needed to bring the database in line with the roleDefinitions config. Roles created from role templates are replaced with the latest version of their template
+ * @memberof roles
+ * @typedef {RoleChanges} ConfigRolesPlan
+ * @property {Array<Object>} remove Database roles which were added from the config but are no longer defined there
+ */
+/**
+ * A portable set of roles, as used for import/export
+ * @memberof roles
+ * @typedef {Object} RoleBundle
+ * @property {Number} version The version of the bundle format
+ * @property {Array<Object>} roles The roles, without any instance-specific data
+ */
+/**
+ * The outcome of a role import
+ * @memberof roles
+ * @typedef {Object} RoleImportReport
+ * @property {String} mode The import mode used
+ * @property {Boolean} dryRun Whether the import was a dry run (in which case no changes were made)
+ * @property {Array<String>} insert shortNames of the roles which were added
+ * @property {Array<String>} replace shortNames of the existing roles which were overwritten
+ * @property {Array<Object>} conflicts Existing roles which differ from the bundle, as objects with a shortName and reason ('exists', 'built-in' or 'template')
+ * @property {Array<String>} failed shortNames of any roles which couldn't be written
+ */
+/**
+ * The outcome of a bulk role assignment for a single user
+ * @memberof roles
+ * @typedef {Object} BulkAssignmentResult
+ * @property {String} _id _id of the user
+ * @property {Boolean} success Whether the user's roles were updated (or already matched the request)
+ * @property {String} [error] Error code explaining why the update failed
+ */
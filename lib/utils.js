@@ -0,0 +1,34 @@
+export { addRoleVersion } from './utils/addRoleVersion.js'
+export { buildAuditQuery } from './utils/buildAuditQuery.js'
+export { buildRoleMembersQuery } from './utils/buildRoleMembersQuery.js'
+export { diffRoleAssignments } from './utils/diffRoleAssignments.js'
+export { getAssignedRoleIds } from './utils/getAssignedRoleIds.js'
+export { getDescendantRoles } from './utils/getDescendantRoles.js'
+export { getExcessScopes } from './utils/getExcessScopes.js'
+export { getInvalidRoleDefinitions } from './utils/getInvalidRoleDefinitions.js'
+export { getPortableRole } from './utils/getPortableRole.js'
+export { getRemovedConfigRoles } from './utils/getRemovedConfigRoles.js'
+export { getRoleParents } from './utils/getRoleParents.js'
+export { getRoleVersion } from './utils/getRoleVersion.js'
+export { getScopeChanges } from './utils/getScopeChanges.js'
+export { getTemplateParameterErrors } from './utils/getTemplateParameterErrors.js'
+export { getUnknownScopes } from './utils/getUnknownScopes.js'
+export { getUserRoleIds } from './utils/getUserRoleIds.js'
+export { grantsFullAccess } from './utils/grantsFullAccess.js'
+export { hasRoleChanged } from './utils/hasRoleChanged.js'
+export { hasScope } from './utils/hasScope.js'
+export { indexRoles } from './utils/indexRoles.js'
+export { instantiateRoleTemplate } from './utils/instantiateRoleTemplate.js'
+export { isAssignmentActive } from './utils/isAssignmentActive.js'
+export { isAssignmentExpired } from './utils/isAssignmentExpired.js'
+export { matchesContext } from './utils/matchesContext.js'
+export { matchesRoleRule } from './utils/matchesRoleRule.js'
+export { matchesScope } from './utils/matchesScope.js'
+export { mergeResolvedScopes } from './utils/mergeResolvedScopes.js'
+export { reassignUserRoles } from './utils/reassignUserRoles.js'
+export { replaceParentRole } from './utils/replaceParentRole.js'
+export { resolveScopes } from './utils/resolveScopes.js'
+export { restoreRoleVersion } from './utils/restoreRoleVersion.js'
+export { updateClaimRoles } from './utils/updateClaimRoles.js'
+export { updateUserRole } from './utils/updateUserRole.js'
+export { validateRoleGraph } from './utils/validateRoleGraph.js'
@@ -0,0 +1,21 @@
+import { getRoleVersion } from './getRoleVersion.js'
+import { hasRoleChanged } from './hasRoleChanged.js'
+/**
+ * Works out the version data for a role which is being written to the database. A new version is only added if the role's versioned attributes have changed (see getRoleVersion). Roles which pre-date versioning are treated as being on version 1.
+ * @param {Object} [existing] The existing role document (if any)
+ * @param {Object} role The role data being written
+ * @param {Object} [options]
+ * @param {String | ObjectId} [options.actor] _id of the user making the change
+ * @param {Date} [options.timestamp] When the change was made
+ * @return {Object} The version and history attributes to store with the role
+ * @memberof roles
+ */
+export function addRoleVersion (existing, role, { actor, timestamp = new Date() } = {}) {
+  const history = existing?.history ?? (existing ? [getRoleVersion(existing, { version: existing.version ?? 1 })] : [])
+  const latest = history[history.length - 1]
+  if (latest && !hasRoleChanged(getRoleVersion(latest), getRoleVersion(role))) {
+    return { version: latest.version, history }
+  }
+  const version = (latest?.version ?? 0) + 1
+  return { version, history: [...history, getRoleVersion(role, { version, actor, timestamp })] }
+}
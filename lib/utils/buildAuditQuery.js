@@ -0,0 +1,23 @@
+/**
+ * Generates a database query for role audit entries from a set of filters
+ * @param {Object} filters
+ * @param {String} [filters.actor] _id of the user who made the changes
+ * @param {String} [filters.user] _id of the user whose roles were changed
+ * @param {String} [filters.role] _id of a role involved in the changes
+ * @param {String} [filters.from] Only include entries from this date onwards
+ * @param {String} [filters.to] Only include entries up to this date
+ * @return {Object} The query
+ * @memberof roles
+ */
+export function buildAuditQuery ({ actor, user, role, from, to } = {}) {
+  const query = {}
+  if (actor) query.actor = actor
+  if (user) query.targetUser = user
+  if (role) query.$or = [{ role }, { roles: role }]
+  if (from || to) {
+    query.timestamp = {}
+    if (from) query.timestamp.$gte = new Date(from)
+    if (to) query.timestamp.$lte = new Date(to)
+  }
+  return query
+}
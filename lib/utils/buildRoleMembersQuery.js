@@ -0,0 +1,21 @@
+/**
+ * Generates a users query which matches the users holding any of the given roles, whether globally, in any context, or as a member of a user group which holds the role
+ * @param {Array<String | ObjectId>} roleIds _ids of the roles
+ * @param {Array<Object>} [groups] All user group documents
+ * @return {Object} The query
+ * @memberof roles
+ */
+export function buildRoleMembersQuery (roleIds, groups = []) {
+  const ids = roleIds.map(r => r.toString())
+  const members = groups
+    .filter(g => g.roles?.some(r => ids.includes(r.toString())))
+    .flatMap(g => g.members ?? [])
+    .filter((m, i, all) => all.findIndex(m2 => m2.toString() === m.toString()) === i)
+  return {
+    $or: [
+      { roles: { $in: roleIds } },
+      { 'roleAssignments.role': { $in: roleIds } },
+      ...(members.length ? [{ _id: { $in: members } }] : [])
+    ]
+  }
+}
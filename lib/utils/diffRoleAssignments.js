@@ -0,0 +1,18 @@
+/**
+ * Returns the role assignments which differ between two lists, i.e. those which have been added or removed. A change to an assignment's validFrom or validUntil date counts as removing the old assignment and adding the new one
+ * @param {Array<RoleAssignment>} before The original assignments
+ * @param {Array<RoleAssignment>} after The updated assignments
+ * @return {Array<RoleAssignment>}
+ * @memberof roles
+ */
+export function diffRoleAssignments (before = [], after = []) {
+  // dates may be either Date objects or strings, so are compared as timestamps
+  const toTime = d => d && new Date(d).getTime()
+  const toKey = a => [a.role, a.context?.type, a.context?._id, toTime(a.validFrom), toTime(a.validUntil)].map(v => v?.toString() ?? '').join('/')
+  const beforeKeys = before.map(toKey)
+  const afterKeys = after.map(toKey)
+  return [
+    ...after.filter((a, i) => !beforeKeys.includes(afterKeys[i])),
+    ...before.filter((a, i) => !afterKeys.includes(beforeKeys[i]))
+  ]
+}
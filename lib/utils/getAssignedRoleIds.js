@@ -0,0 +1,15 @@
+import { isAssignmentActive } from './isAssignmentActive.js'
+import { matchesContext } from './matchesContext.js'
+/**
+ * Returns the _ids of all roles which apply to a user in the given context, made up of the user's global roles plus any matching role assignments which are currently active
+ * @param {Object} user The user document
+ * @param {RoleContext} [context] The context to resolve roles for (global roles only if omitted)
+ * @param {Date} [date] The date to check assignment validity against (defaults to now)
+ * @return {Array<String>}
+ * @memberof roles
+ */
+export function getAssignedRoleIds (user, context, date = new Date()) {
+  const assignments = (user.roleAssignments ?? []).filter(a => matchesContext(a, context) && isAssignmentActive(a, date))
+  const roleIds = [...(user.roles ?? []), ...assignments.map(a => a.role)].map(r => r.toString())
+  return [...new Set(roleIds)]
+}
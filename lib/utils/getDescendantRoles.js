@@ -0,0 +1,22 @@
+import { getRoleParents } from './getRoleParents.js'
+/**
+ * Returns every role which inherits from a role, either directly or via another role
+ * @param {Array<Object>} roles The complete set of roles
+ * @param {String} shortName shortName of the role
+ * @return {Array<Object>}
+ * @memberof roles
+ */
+export function getDescendantRoles (roles, shortName) {
+  const descendants = []
+  const queue = [shortName]
+  while (queue.length) {
+    const parent = queue.shift()
+    roles.forEach(r => {
+      if (r.shortName !== shortName && !descendants.includes(r) && getRoleParents(r).includes(parent)) {
+        descendants.push(r)
+        queue.push(r.shortName)
+      }
+    })
+  }
+  return descendants
+}
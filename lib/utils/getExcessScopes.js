@@ -0,0 +1,13 @@
+import { hasScope } from './hasScope.js'
+import { matchesScope } from './matchesScope.js'
+/**
+ * Returns any of the scopes which aren't covered by the granted scopes. A scope is also considered excess if it would cover a scope which the granted scopes deny (e.g. 'write:*' when 'write:users' is denied). Denied scopes in the list being checked are ignored, as these only ever reduce access.
+ * @param {Array<String>} scopes The scopes to check
+ * @param {Array<String>} grantedScopes The scopes which have been granted
+ * @return {Array<String>}
+ * @memberof roles
+ */
+export function getExcessScopes (scopes = [], grantedScopes = []) {
+  const denied = grantedScopes.filter(s => s.startsWith('!')).map(s => s.slice(1))
+  return scopes.filter(s => !s.startsWith('!') && (!hasScope(grantedScopes, s) || denied.some(d => matchesScope(s, d))))
+}
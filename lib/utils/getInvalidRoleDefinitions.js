@@ -0,0 +1,24 @@
+import { validateRoleGraph } from './validateRoleGraph.js'
+/**
+ * Works out which role definitions can't be applied because they would leave the role inheritance graph invalid (see validateRoleGraph). The existing version of a role is kept in place of an invalid definition, so any other definitions which extend it are only invalid if the role doesn't already exist.
+ * @param {Array<Object>} definitions The role definitions to be applied
+ * @param {Array<Object>} existing The existing role documents
+ * @return {Array<Object>} The invalid definitions' shortNames, each with the error which made it invalid
+ * @memberof roles
+ */
+export function getInvalidRoleDefinitions (definitions, existing) {
+  const invalid = []
+  for (;;) {
+    const names = definitions.map(d => d.shortName).filter(n => !invalid.some(i => i.shortName === n))
+    const roles = [...existing.filter(r => !names.includes(r.shortName)), ...definitions.filter(d => names.includes(d.shortName))]
+    const found = validateRoleGraph(roles).flatMap(error => {
+      const shortNames = error.code === 'ROLE_INHERITANCE_CYCLE' ? error.data.cycle.split(' > ') : [error.data.shortName]
+      return shortNames.filter(n => names.includes(n)).map(shortName => ({ shortName, error }))
+    })
+    // errors caused by the existing roles alone can't be fixed by leaving out definitions
+    if (!found.length) {
+      return invalid
+    }
+    found.forEach(f => !invalid.some(i => i.shortName === f.shortName) && invalid.push(f))
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Attributes which are included when a role is exported
+ * @type {Array<String>}
+ */
+const PORTABLE_ATTRIBUTES = ['shortName', 'displayName', 'extends', 'scopes', 'denyScopes']
+/**
+ * Strips a role down to the attributes which can be moved between instances (i.e. no _ids or other instance-specific data). Note that roles reference their parents by shortName, so no further conversion is needed.
+ * @param {Object} role The role
+ * @return {Object}
+ * @memberof roles
+ */
+export function getPortableRole (role) {
+  return Object.fromEntries(PORTABLE_ATTRIBUTES.filter(k => role[k] !== undefined).map(k => [k, role[k]]))
+}
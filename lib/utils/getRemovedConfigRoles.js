@@ -0,0 +1,10 @@
+/**
+ * Returns the roles which were originally added from the config but are no longer defined there
+ * @param {Array<Object>} definitions The current role definitions
+ * @param {Array<Object>} roles The existing role documents
+ * @return {Array<Object>}
+ * @memberof roles
+ */
+export function getRemovedConfigRoles (definitions, roles) {
+  return roles.filter(r => r.isBuiltIn && !definitions.some(d => d.shortName === r.shortName))
+}
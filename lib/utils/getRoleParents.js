@@ -0,0 +1,12 @@
+/**
+ * Returns the shortNames of the roles which a role directly extends
+ * @param {Object} role The role document
+ * @return {Array<String>}
+ * @memberof roles
+ */
+export function getRoleParents (role) {
+  if (!role?.extends) {
+    return []
+  }
+  return Array.isArray(role.extends) ? role.extends : [role.extends]
+}
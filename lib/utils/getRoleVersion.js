@@ -0,0 +1,19 @@
+/**
+ * Role attributes which are recorded in the version history
+ * @type {Array<String>}
+ */
+const VERSIONED_ATTRIBUTES = ['displayName', 'extends', 'scopes', 'denyScopes']
+/**
+ * Creates a version history entry from a role. Only the attributes which affect a role's permissions (plus its displayName) are recorded, and undefined values are omitted.
+ * @param {Object} role The role
+ * @param {Object} [meta]
+ * @param {Number} [meta.version] The version number
+ * @param {String | ObjectId} [meta.actor] _id of the user responsible for the version
+ * @param {Date} [meta.timestamp] When the version was created
+ * @return {RoleVersion}
+ * @memberof roles
+ */
+export function getRoleVersion (role, { version, actor, timestamp } = {}) {
+  const entry = { version, ...Object.fromEntries(VERSIONED_ATTRIBUTES.map(k => [k, role[k]])), actor: actor?.toString(), timestamp }
+  return Object.fromEntries(Object.entries(entry).filter(([, v]) => v !== undefined))
+}
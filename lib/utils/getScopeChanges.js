@@ -0,0 +1,30 @@
+import { getUserRoleIds } from './getUserRoleIds.js'
+import { resolveScopes } from './resolveScopes.js'
+/**
+ * Compares a user's effective scopes before and after a change to either their roles, the roles themselves or the user groups they belong to. Global scopes are compared, as well as the scopes in each context the user has role assignments for. Only scopes which differ are returned.
+ * @param {Object} before
+ * @param {Array<Object>} before.roles All role documents before the change
+ * @param {Array<Object>} [before.groups] All user group documents before the change
+ * @param {Object} before.user The user's _id, roles and roleAssignments before the change
+ * @param {Object} after
+ * @param {Array<Object>} after.roles All role documents after the change
+ * @param {Array<Object>} [after.groups] All user group documents after the change
+ * @param {Object} after.user The user's _id, roles and roleAssignments after the change
+ * @return {Array<ScopeChange>}
+ * @memberof roles
+ */
+export function getScopeChanges (before, after) {
+  const contexts = [...before.user.roleAssignments ?? [], ...after.user.roleAssignments ?? []]
+    .filter(a => a.context)
+    .map(a => a.context)
+    .filter((c, i, all) => all.findIndex(c2 => c2.type === c.type && c2._id.toString() === c._id.toString()) === i)
+  return [undefined, ...contexts].map(context => {
+    const scopesBefore = resolveScopes(before.roles, getUserRoleIds(before.user, before.groups ?? [], context)).scopes
+    const scopesAfter = resolveScopes(after.roles, getUserRoleIds(after.user, after.groups ?? [], context)).scopes
+    return {
+      ...(context && { context }),
+      added: scopesAfter.filter(s => !scopesBefore.includes(s)),
+      removed: scopesBefore.filter(s => !scopesAfter.includes(s))
+    }
+  }).filter(c => c.added.length || c.removed.length)
+}
@@ -0,0 +1,22 @@
+/**
+ * Characters allowed in template parameter values. Scope separators and wildcards are excluded, so that a value can only ever narrow the scopes defined by a template
+ * @type {RegExp}
+ */
+const PARAMETER_VALUE = /^[\w.-]+$/
+/**
+ * Checks the parameter values used to instantiate a role template. Every parameter defined by the template must be given (and no others), and values must be strings containing only letters, numbers, '_', '.' and '-'.
+ * @param {Object} template The role template
+ * @param {Object<String,String>} parameters The parameter values
+ * @return {Array<String>} A description of each problem found (empty if the parameters are valid)
+ * @memberof roles
+ */
+export function getTemplateParameterErrors (template, parameters = {}) {
+  const missing = template.parameters.filter(p => parameters[p] === undefined)
+  const unknown = Object.keys(parameters).filter(p => !template.parameters.includes(p))
+  const invalid = template.parameters.filter(p => parameters[p] !== undefined && (typeof parameters[p] !== 'string' || !PARAMETER_VALUE.test(parameters[p])))
+  return [
+    ...missing.map(p => `missing parameter '${p}'`),
+    ...unknown.map(p => `unknown parameter '${p}'`),
+    ...invalid.map(p => `invalid value for parameter '${p}'`)
+  ]
+}
@@ -0,0 +1,11 @@
+import { matchesScope } from './matchesScope.js'
+/**
+ * Returns any scopes which don't correspond to a known scope. Scopes containing wildcards are only considered known if they match at least one known scope.
+ * @param {Array<String>} scopes The scopes to check
+ * @param {Array<String>} knownScopes The list of known scopes
+ * @return {Array<String>}
+ * @memberof roles
+ */
+export function getUnknownScopes (scopes = [], knownScopes) {
+  return scopes.filter(s => !knownScopes.some(k => matchesScope(s, k)))
+}
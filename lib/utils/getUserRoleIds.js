@@ -0,0 +1,17 @@
+import { getAssignedRoleIds } from './getAssignedRoleIds.js'
+/**
+ * Returns the _ids of all roles which apply to a user in the given context, made up of the user's own roles (see getAssignedRoleIds) plus the roles of every group the user is a member of. Note that group roles apply in every context.
+ * @param {Object} user The user document (must include the _id)
+ * @param {Array<Object>} groups All user group documents
+ * @param {RoleContext} [context] The context to resolve roles for (global roles only if omitted)
+ * @param {Date} [date] The date to check assignment validity against (defaults to now)
+ * @return {Array<String>}
+ * @memberof roles
+ */
+export function getUserRoleIds (user, groups, context, date) {
+  const groupRoleIds = groups
+    .filter(g => g.members?.some(m => m.toString() === user._id?.toString()))
+    .flatMap(g => g.roles ?? [])
+    .map(r => r.toString())
+  return [...new Set([...getAssignedRoleIds(user, context, date), ...groupRoleIds])]
+}
@@ -0,0 +1,9 @@
+/**
+ * Checks whether a set of resolved scopes gives unrestricted access, i.e. includes '*:*' without any denied scopes
+ * @param {Array<String>} scopes The resolved scopes (see resolveScopes)
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function grantsFullAccess (scopes = []) {
+  return scopes.includes('*:*') && !scopes.some(s => s.startsWith('!'))
+}
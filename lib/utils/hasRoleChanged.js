@@ -0,0 +1,16 @@
+/**
+ * Document attributes which aren't part of a role's definition
+ * @type {Array<String>}
+ */
+const IGNORED_ATTRIBUTES = ['_id', 'version', 'history']
+/**
+ * Checks whether a role definition differs from the stored role document (ignoring the document's _id and version history)
+ * @param {Object} doc The existing role document
+ * @param {Object} definition The role definition
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function hasRoleChanged (doc, definition) {
+  const keys = new Set([...Object.keys(doc), ...Object.keys(definition)])
+  return [...keys].filter(k => !IGNORED_ATTRIBUTES.includes(k)).some(k => JSON.stringify(doc[k]) !== JSON.stringify(definition[k]))
+}
@@ -0,0 +1,14 @@
+import { matchesScope } from './matchesScope.js'
+/**
+ * Checks whether a list of granted scopes satisfies the required scope, taking wildcards into account. Entries prefixed with '!' are treated as denied scopes, and override any matching grant.
+ * @param {Array<String>} grantedScopes The scopes which have been granted
+ * @param {String} requiredScope The scope to check for
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function hasScope (grantedScopes = [], requiredScope) {
+  if (grantedScopes.some(s => s.startsWith('!') && matchesScope(s.slice(1), requiredScope))) {
+    return false
+  }
+  return grantedScopes.some(s => matchesScope(s, requiredScope))
+}
@@ -0,0 +1,16 @@
+import { resolveScopes } from './resolveScopes.js'
+/**
+ * Indexes a set of roles by _id, and resolves the scopes granted by each role (see resolveScopes), so that these can be looked up without needing to walk the inheritance chain
+ * @param {Array<Object>} roles All role documents
+ * @param {Array<Object>} [groups] All user group documents
+ * @return {RoleIndex}
+ * @memberof roles
+ */
+export function indexRoles (roles, groups = []) {
+  return {
+    roles,
+    groups,
+    byId: new Map(roles.map(r => [r._id.toString(), r])),
+    scopes: new Map(roles.map(r => [r._id.toString(), resolveScopes(roles, [r._id])]))
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Attributes which may contain template placeholders
+ * @type {Array<String>}
+ */
+const TEMPLATE_ATTRIBUTES = ['displayName', 'extends', 'scopes', 'denyScopes']
+/**
+ * Creates a role from a role template, replacing each '{name}' placeholder in the template's displayName, extends, scopes and denyScopes with the value of the matching parameter. Unless a shortName is given, one is generated from the template's shortName and the parameter values (e.g. 'pluginmanager-adapt-contrib-text').
+ * @param {Object} template The role template (a role definition with a list of parameters)
+ * @param {Object<String,String>} parameters The parameter values
+ * @param {Object} [options]
+ * @param {String} [options.shortName] The shortName to give the role
+ * @return {Object} The role, which references the template and parameters used to create it
+ * @memberof roles
+ */
+export function instantiateRoleTemplate (template, parameters, { shortName } = {}) {
+  const substitute = value => Array.isArray(value)
+    ? value.map(substitute)
+    : value.replace(/\{(\w+)\}/g, (match, p) => parameters[p] ?? match)
+  return {
+    shortName: shortName ?? [template.shortName, ...template.parameters.map(p => parameters[p])].join('-'),
+    ...Object.fromEntries(TEMPLATE_ATTRIBUTES.filter(k => template[k] !== undefined).map(k => [k, substitute(template[k])])),
+    template: { name: template.shortName, parameters }
+  }
+}
@@ -0,0 +1,12 @@
+import { isAssignmentExpired } from './isAssignmentExpired.js'
+/**
+ * Checks whether a role assignment is currently in effect, taking into account any validFrom/validUntil dates
+ * @param {RoleAssignment} assignment The role assignment
+ * @param {Date} [date] The date to check against (defaults to now)
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function isAssignmentActive (assignment, date = new Date()) {
+  const hasStarted = assignment.validFrom === undefined || new Date(assignment.validFrom) <= date
+  return hasStarted && !isAssignmentExpired(assignment, date)
+}
@@ -0,0 +1,10 @@
+/**
+ * Checks whether a time-limited role assignment has expired
+ * @param {RoleAssignment} assignment The role assignment
+ * @param {Date} [date] The date to check against (defaults to now)
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function isAssignmentExpired (assignment, date = new Date()) {
+  return assignment.validUntil !== undefined && new Date(assignment.validUntil) <= date
+}
@@ -0,0 +1,14 @@
+/**
+ * Checks whether a role assignment applies within the given context. Assignments without a context apply everywhere, whereas assignments bound to a context only apply when that same context is requested.
+ * @param {RoleAssignment} assignment The role assignment
+ * @param {RoleContext} [context] The context being checked
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function matchesContext (assignment, context) {
+  if (!assignment.context) {
+    return true
+  }
+  return assignment.context.type === context?.type &&
+    assignment.context._id?.toString() === context?._id?.toString()
+}
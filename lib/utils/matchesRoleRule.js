@@ -0,0 +1,14 @@
+/**
+ * Checks whether a user matches a default role rule. Each property of the rule's match object is compared against the same field of the user's data, and all of them must match for the rule to apply. Values may contain '*' wildcards (e.g. '*@example.com'), or be an array of values of which any can match. Fields with multiple values (e.g. a list of groups) match if any of their values do. Comparisons are case-insensitive, and a rule without a match object applies to every user.
+ * @param {DefaultRoleRule} rule The rule
+ * @param {Object} data The user data
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function matchesRoleRule (rule, data) {
+  const toRegExp = pattern => new RegExp(`^${pattern.split('*').map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i')
+  return Object.entries(rule.match ?? {}).every(([field, patterns]) => {
+    const values = [data[field]].flat().filter(v => v !== undefined)
+    return [patterns].flat().some(p => values.some(v => toRegExp(p).test(String(v))))
+  })
+}
@@ -0,0 +1,18 @@
+/**
+ * Checks whether a single scope pattern covers the required scope. Scopes take the form 'action:resource', and either part of the pattern may be a '*' wildcard (e.g. 'read:*', '*:content' or '*:*').
+ * @param {String} pattern The granted scope, which may contain wildcards
+ * @param {String} scope The required scope
+ * @return {Boolean}
+ * @memberof roles
+ */
+export function matchesScope (pattern, scope) {
+  if (pattern === scope) {
+    return true
+  }
+  const patternParts = pattern.split(':')
+  const scopeParts = scope.split(':')
+  if (patternParts.length !== 2 || scopeParts.length !== 2) {
+    return false
+  }
+  return patternParts.every((p, i) => p === '*' || p === scopeParts[i])
+}
@@ -0,0 +1,27 @@
+import { hasScope } from './hasScope.js'
+import { matchesScope } from './matchesScope.js'
+/**
+ * Combines the scopes resolved for several roles into a single set. A role's denied scopes only apply to that role (see resolveScopes), so a deny is dropped if any of the other roles grant everything it covers. Otherwise the deny is kept, and overrides matching grants from the others: a deny which only partly overlaps another role's grants errs on the side of denying access.
+ * @param {Array<ResolvedScopes>} resolved The resolved scopes for each role
+ * @return {ResolvedScopes}
+ * @memberof roles
+ */
+export function mergeResolvedScopes (resolved) {
+  const scopes = []
+  const sources = {}
+  const isGrantedElsewhere = (scope, i) => resolved.some((r, j) => j !== i && hasScope(r.scopes, scope))
+  resolved.forEach((r, i) => r.scopes.forEach(s => {
+    if (s.startsWith('!') && isGrantedElsewhere(s.slice(1), i)) {
+      return
+    }
+    if (!sources[s]) {
+      scopes.push(s)
+      sources[s] = []
+    }
+    r.sources[s]?.forEach(n => !sources[s].includes(n) && sources[s].push(n))
+  }))
+  const denied = scopes.filter(s => s.startsWith('!')).map(s => s.slice(1))
+  const isDenied = s => !s.startsWith('!') && denied.some(d => matchesScope(d, s))
+  scopes.filter(isDenied).forEach(s => delete sources[s])
+  return { scopes: scopes.filter(s => !isDenied(s)), sources }
+}
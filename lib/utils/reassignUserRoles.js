@@ -0,0 +1,16 @@
+/**
+ * Generates a user's updated role data with one role swapped for another, without introducing duplicates
+ * @param {Object} user The user document
+ * @param {String|ObjectId} fromId _id of the role to replace
+ * @param {String|ObjectId} toId _id of the replacement role
+ * @return {Object} The updated roles and roleAssignments
+ * @memberof roles
+ */
+export function reassignUserRoles (user, fromId, toId) {
+  const replace = r => r.toString() === fromId.toString() ? toId : r
+  const roles = (user.roles ?? []).map(replace)
+  return {
+    roles: roles.filter((r, i) => roles.findIndex(r2 => r2.toString() === r.toString()) === i),
+    roleAssignments: (user.roleAssignments ?? []).map(a => ({ ...a, role: replace(a.role) }))
+  }
+}
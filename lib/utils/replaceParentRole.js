@@ -0,0 +1,13 @@
+import { getRoleParents } from './getRoleParents.js'
+/**
+ * Generates a role's updated 'extends' value with one parent swapped for another
+ * @param {Object} role The role document
+ * @param {String} fromShortName shortName of the parent role to replace
+ * @param {String} toShortName shortName of the replacement parent role
+ * @return {String|Array<String>} The updated value (in the same form as the original)
+ * @memberof roles
+ */
+export function replaceParentRole (role, fromShortName, toShortName) {
+  const parents = [...new Set(getRoleParents(role).map(p => p === fromShortName ? toShortName : p))]
+  return Array.isArray(role.extends) ? parents : parents[0]
+}
@@ -0,0 +1,45 @@
+import { getRoleParents } from './getRoleParents.js'
+import { matchesScope } from './matchesScope.js'
+import { mergeResolvedScopes } from './mergeResolvedScopes.js'
+/**
+ * Resolves the combined list of scopes granted by a set of roles, following each role's 'extends' chain (or chains, where a role has multiple parents). Unknown role _ids are ignored, and each role is only visited once per chain, so cyclic inheritance cannot cause an infinite loop.
+ *
+ * Any denyScopes encountered take precedence over the scopes granted by the same chain, i.e. by the role itself and the roles it extends: matching grants are removed, and each deny is kept in the result prefixed with '!' so that it can also override wildcard grants (see hasScope). The chains are then combined with mergeResolvedScopes, so a deny doesn't take away scopes granted by the user's other roles.
+ * @param {Array<Object>} roles All role documents
+ * @param {Array<String|ObjectId>} roleIds The _ids of the roles to resolve
+ * @return {ResolvedScopes}
+ * @memberof roles
+ */
+export function resolveScopes (roles, roleIds) {
+  const resolveChain = root => {
+    const scopes = []
+    const sources = {}
+    const visited = new Set()
+    const addScope = (scope, role) => {
+      if (!sources[scope]) {
+        scopes.push(scope)
+        sources[scope] = []
+      }
+      if (!sources[scope].includes(role.shortName)) sources[scope].push(role.shortName)
+    }
+    const visit = role => {
+      if (!role || visited.has(role.shortName)) {
+        return
+      }
+      visited.add(role.shortName)
+      role.scopes.forEach(s => addScope(s, role))
+      role.denyScopes?.forEach(s => addScope(`!${s}`, role))
+      getRoleParents(role).forEach(p => visit(roles.find(r => r.shortName === p)))
+    }
+    visit(root)
+
+    const denied = scopes.filter(s => s.startsWith('!')).map(s => s.slice(1))
+    const isDenied = s => !s.startsWith('!') && denied.some(d => matchesScope(d, s))
+    scopes.filter(isDenied).forEach(s => delete sources[s])
+    return { scopes: scopes.filter(s => !isDenied(s)), sources }
+  }
+  return mergeResolvedScopes(roleIds
+    .map(_id => roles.find(r => r._id.toString() === _id.toString()))
+    .filter(Boolean)
+    .map(resolveChain))
+}
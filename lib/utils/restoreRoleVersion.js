@@ -0,0 +1,13 @@
+import { getRoleVersion } from './getRoleVersion.js'
+/**
+ * Returns a copy of a role with its versioned attributes replaced by those from a previous version. Any versioned attributes which weren't set in the previous version are removed.
+ * @param {Object} role The role document
+ * @param {RoleVersion} version The version to restore
+ * @return {Object}
+ * @memberof roles
+ */
+export function restoreRoleVersion (role, version) {
+  const restored = { ...role }
+  Object.keys(getRoleVersion(role)).forEach(k => delete restored[k])
+  return Object.assign(restored, getRoleVersion(version))
+}
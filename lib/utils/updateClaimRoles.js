@@ -0,0 +1,21 @@
+/**
+ * Updates a user's global roles to reflect the roles mapped from their identity provider claims. Roles which were previously added from claims but are no longer mapped are removed, and any mapped roles which the user doesn't already hold are added. Roles which were assigned by any other means are never removed.
+ * @param {Object} user The user's current roles
+ * @param {Array<String | ObjectId>} [user.roles] The user's global roles
+ * @param {Array<String | ObjectId>} [user.claimRoles] The roles which were previously added from claims
+ * @param {Array<String | ObjectId>} roleIds _ids of the roles mapped from the user's current claims
+ * @return {Object} The updated roles and claimRoles, plus the _ids of the roles which were added and removed
+ * @memberof roles
+ */
+export function updateClaimRoles ({ roles = [], claimRoles = [] }, roleIds) {
+  const includes = (list, id) => list.some(r => r.toString() === id.toString())
+  const removed = claimRoles.filter(r => !includes(roleIds, r) && includes(roles, r))
+  const added = roleIds.filter((r, i) => !includes(roles, r) && roleIds.findIndex(id => id.toString() === r.toString()) === i)
+  const kept = roles.filter(r => !includes(removed, r))
+  return {
+    roles: [...kept, ...added],
+    claimRoles: [...claimRoles.filter(r => includes(roleIds, r) && includes(roles, r)), ...added],
+    added,
+    removed
+  }
+}
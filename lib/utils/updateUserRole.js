@@ -0,0 +1,26 @@
+/**
+ * Adds a single role to (or removes a single role from) a user's existing roles. Roles with a context are added as role assignments, otherwise they're added to the user's global roles.
+ * @param {Object} user The user's current roles (see RolesModule#getUserRoles)
+ * @param {String | ObjectId} roleId _id of the role
+ * @param {Object} options
+ * @param {RoleContext} [options.context] Context the role applies to
+ * @param {Boolean} [options.remove] Whether the role should be removed rather than added
+ * @return {Object} The updated roles and roleAssignments
+ * @memberof roles
+ */
+export function updateUserRole ({ roles = [], roleAssignments = [] }, roleId, { context, remove = false } = {}) {
+  const isRole = r => r.toString() === roleId.toString()
+  if (!context) {
+    const hasRole = roles.some(isRole)
+    return {
+      roles: remove ? roles.filter(r => !isRole(r)) : hasRole ? roles : [...roles, roleId],
+      roleAssignments
+    }
+  }
+  const isAssignment = a => isRole(a.role) && a.context?.type === context.type && a.context?._id?.toString() === context._id.toString()
+  const hasAssignment = roleAssignments.some(isAssignment)
+  return {
+    roles,
+    roleAssignments: remove ? roleAssignments.filter(a => !isAssignment(a)) : hasAssignment ? roleAssignments : [...roleAssignments, { role: roleId, context }]
+  }
+}
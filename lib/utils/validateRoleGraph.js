@@ -0,0 +1,35 @@
+import { getRoleParents } from './getRoleParents.js'
+/**
+ * Checks the inheritance graph formed by a set of roles, reporting any roles which extend an unknown role, and any cycles
+ * @param {Array<Object>} roles The role documents/definitions to check
+ * @return {Array<Object>} List of problems found, each with an error code and error data (empty if the graph is valid)
+ * @memberof roles
+ */
+export function validateRoleGraph (roles) {
+  const errors = []
+  const rolesByName = new Map(roles.map(r => [r.shortName, r]))
+  rolesByName.forEach(role => {
+    getRoleParents(role).forEach(parent => {
+      if (!rolesByName.has(parent)) {
+        errors.push({ code: 'UNKNOWN_PARENT_ROLE', data: { shortName: role.shortName, parent } })
+      }
+    })
+  })
+  const visiting = []
+  const visited = new Set()
+  const visit = shortName => {
+    if (visiting.includes(shortName)) {
+      const cycle = [...visiting.slice(visiting.indexOf(shortName)), shortName]
+      return errors.push({ code: 'ROLE_INHERITANCE_CYCLE', data: { cycle: cycle.join(' > ') } })
+    }
+    if (visited.has(shortName) || !rolesByName.has(shortName)) {
+      return
+    }
+    visiting.push(shortName)
+    getRoleParents(rolesByName.get(shortName)).forEach(visit)
+    visiting.pop()
+    visited.add(shortName)
+  }
+  rolesByName.forEach((role, shortName) => visit(shortName))
+  return errors
+}
@@ -1,5 +1,12 @@
 import { describe, it, mock } from 'node:test'
 import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import yaml from 'js-yaml'
+import { addRoleVersion, buildAuditQuery, buildRoleMembersQuery, diffRoleAssignments, getDescendantRoles, getExcessScopes, getInvalidRoleDefinitions, getPortableRole, getRemovedConfigRoles, getRoleParents, getScopeChanges, getTemplateParameterErrors, getUnknownScopes, getUserRoleIds, grantsFullAccess, hasRoleChanged, hasScope, indexRoles, instantiateRoleTemplate, isAssignmentExpired, matchesRoleRule, mergeResolvedScopes, reassignUserRoles, replaceParentRole, resolveScopes, restoreRoleVersion, updateClaimRoles, updateUserRole, validateRoleGraph } from '../lib/utils.js'
 
 /**
  * RolesModule extends AbstractApiModule (extends AbstractModule) which
@@ -10,6 +17,14 @@ import assert from 'node:assert/strict'
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
+/** Build a stub AdaptError with the given code */
+function createError (code) {
+  return Object.assign(new Error(code), {
+    code,
+    setData (d) { this.data = d; return this }
+  })
+}
+
 /** Build a minimal RolesModule-like instance with sensible stub defaults */
 function createInstance (overrides) {
   const instance = {
@@ -18,6 +33,10 @@ function createInstance (overrides) {
     app: {
       waitForModule: mock.fn(async () => ({})),
       errors: {
+        NOT_FOUND: Object.assign(new Error('NOT_FOUND'), {
+          code: 'NOT_FOUND',
+          setData (d) { this.data = d; return this }
+        }),
         UNAUTHORISED: Object.assign(new Error('UNAUTHORISED'), {
           code: 'UNAUTHORISED',
           setData (d) { this.data = d; return this }
@@ -36,24 +55,41 @@ function createInstance (overrides) {
     find: mock.fn(async () => []),
     insert: mock.fn(async (data) => data),
     cache: { isEnabled: false },
+    getUserRoles: mock.fn(async () => ({ roles: [], roleAssignments: [] })),
+    logAudit: mock.fn(async () => {}),
+    pendingAudits: new Map(),
+    deferAudit,
+    takePendingAudit,
+    userHasScope: mock.fn(async () => false),
+    hasScopeInContext,
+    can,
+    checkRoleAssignment,
+    getSuperUserViolations,
+    getSuperRoleIds: mock.fn(async () => []),
+    checkSuperUserRemains: mock.fn(async () => {}),
+    checkRoleDelegation: mock.fn(async () => {}),
+    getRoleCache: mock.fn(async function () { return indexRoles(await this.find()) }),
+    invalidateRoleCache: mock.fn(),
+    resolveRoleScopes,
     ...overrides
   }
   return instance
 }
 
+const SUPER_TEST_ROLES = [
+  { _id: 'super1', shortName: 'superuser', scopes: ['*:*'] },
+  { _id: 'admin1', shortName: 'admin', extends: 'superuser', scopes: [] },
+  { _id: 'restricted1', shortName: 'restricted', scopes: [], denyScopes: ['write:users'] },
+  { _id: 'regular1', shortName: 'regular', scopes: ['read:content'] }
+]
+
 /** Build an instance pre-wired for isTargetSuper tests */
-function createIsTargetSuperInstance (userRoles) {
-  const usersModule = {
-    find: mock.fn(async () => [{ roles: userRoles }])
-  }
+function createIsTargetSuperInstance (roles, roleAssignments = []) {
   const inst = createInstance({
-    app: {
-      waitForModule: mock.fn(async () => usersModule),
-      errors: {}
-    },
-    getSuperRoleId: mock.fn(async () => 'super1')
+    find: mock.fn(async () => SUPER_TEST_ROLES),
+    getUserRoles: mock.fn(async () => ({ roles, roleAssignments }))
   })
-  return { inst, usersModule }
+  return { inst }
 }
 
 /** Build an instance pre-wired for onUpdateRoles disavow tests */
@@ -73,21 +109,36 @@ function createDisavowInstance () {
 function createConfigRolesInstance (roleDefinitions, overrides = {}) {
   const mongodbMock = {
     replace: mock.fn(async () => {}),
+    delete: mock.fn(async () => {}),
     ...overrides.mongodb
   }
+  const config = { configRoleReconciliation: 'warn', configRoleDryRun: false, ...overrides.config }
   const inst = createInstance({
     find: mock.fn(async () => []),
     insert: mock.fn(async (data) => data),
     getConfig: mock.fn((key) => {
       if (key === 'roleDefinitions') return roleDefinitions
-      return []
+      return config[key] ?? []
     }),
     collectionName: 'roles',
     schemaName: 'role',
     app: {
       waitForModule: mock.fn(async () => mongodbMock),
-      errors: {}
+      onReady: mock.fn(async () => {}),
+      errors: {
+        ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE'),
+        UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE')
+      }
     },
+    validateRoleInheritance,
+    planConfigRoles,
+    planRoleChanges,
+    planTemplateRoles,
+    getRoleTemplates,
+    applyRoleChanges,
+    checkConfigRoleScopes: mock.fn(),
+    getRoleDependents: mock.fn(async () => ({ users: [], roles: [], groups: [] })),
+    removeGroupRole: mock.fn(async () => {}),
     ...overrides
   })
   return { inst, mongodbMock }
@@ -100,15 +151,102 @@ async function setValues () {
   this.collectionName = 'roles'
 }
 
+async function getRoleCache () {
+  if (this.roleCache) {
+    this.roleCacheStats.hits++
+    return this.roleCache
+  }
+  this.roleCacheStats.misses++
+  const cache = this.roleCache = this.buildRoleCache()
+  try {
+    return await cache
+  } catch (e) {
+    if (this.roleCache === cache) this.roleCache = undefined
+    throw e
+  }
+}
+
+async function buildRoleCache () {
+  const mongodb = await this.app.waitForModule('mongodb')
+  const [roles, groups] = await Promise.all([
+    mongodb.find(this.collectionName, {}),
+    mongodb.find(this.groupCollectionName, {})
+  ])
+  return indexRoles(roles, groups)
+}
+
+function invalidateRoleCache () {
+  this.roleCache = undefined
+  this.roleCacheStats.invalidations++
+}
+
+function getRoleCacheStats () {
+  return { ...this.roleCacheStats, isCached: !!this.roleCache }
+}
+
+async function resolveRoleScopes (roleIds) {
+  const { scopes } = await this.getRoleCache()
+  return mergeResolvedScopes(roleIds.map(_id => scopes.get(_id.toString())).filter(Boolean))
+}
+
 async function getScopesForRole (_id) {
-  const allRoles = await this.find()
-  const scopes = []
-  let role = allRoles.find(r => r._id.toString() === _id.toString())
-  do {
-    scopes.push(...role.scopes)
-    role = allRoles.find(r => r.shortName === role.extends)
-  } while (role)
-  return scopes
+  const { scopes } = await this.getRoleCache()
+  if (!scopes.has(_id.toString())) {
+    throw this.app.errors.NOT_FOUND.setData({ id: _id.toString(), type: this.schemaName })
+  }
+  return scopes.get(_id.toString()).scopes
+}
+
+async function getScopesForUser (userId, context) {
+  const users = await this.app.waitForModule('users')
+  const user = await users.findOne({ _id: userId }, { projection: { roles: 1, roleAssignments: 1 } })
+  const { byId, groups } = await this.getRoleCache()
+  const roleIds = getUserRoleIds(user, groups, context).filter(_id => byId.has(_id))
+  return {
+    roles: roleIds.map(_id => byId.get(_id).shortName),
+    ...await this.resolveRoleScopes(roleIds)
+  }
+}
+
+async function userHasScope (userId, scope, context) {
+  const { scopes } = await this.getScopesForUser(userId, context)
+  return hasScope(scopes, scope)
+}
+
+async function hasScopeInContext (req, scope, context) {
+  if (hasScope(req.auth.scopes, scope)) {
+    return true
+  }
+  // the request's scopes don't include those granted via user groups or role assignments, so these have to be resolved separately
+  return this.userHasScope(req.auth.user._id, scope, context)
+}
+
+async function can (req, scope, resource) {
+  if (req.auth?.isSuper) {
+    return true
+  }
+  if (!req.auth?.user) {
+    return false
+  }
+  return this.hasScopeInContext(req, scope, resource)
+}
+
+function requireScopes (...scopes) {
+  const { getResource } = typeof scopes.at(-1) === 'object' ? scopes.pop() : {}
+  return async (req, res, next) => {
+    try {
+      const resource = await getResource?.(req)
+      for (const scope of scopes) {
+        if (!await this.can(req, scope, resource)) {
+          this.log('error', 'UNAUTHORISED', req.auth?.user?._id?.toString(), req.method, req.originalUrl, scope)
+          throw this.app.errors.UNAUTHORISED.setData({ method: req.method, url: req.originalUrl })
+        }
+      }
+    } catch (e) {
+      return next(e)
+    }
+    next()
+  }
 }
 
 async function shortNamesToIds (roles) {
@@ -118,44 +256,473 @@ async function shortNamesToIds (roles) {
   }))
 }
 
+async function getSuperRoleIds (allRoles) {
+  if (!allRoles) {
+    const { scopes } = await this.getRoleCache()
+    return [...scopes].filter(([, s]) => grantsFullAccess(s.scopes)).map(([_id]) => _id)
+  }
+  return allRoles.filter(r => grantsFullAccess(resolveScopes(allRoles, [r._id]).scopes)).map(r => r._id.toString())
+}
+
 async function getSuperRoleId () {
-  const [superRole] = await this.find({ scopes: ['*:*'] })
-  return superRole._id.toString()
+  const [_id] = await this.getSuperRoleIds()
+  return _id
 }
 
 async function isTargetSuper (_id) {
-  const users = await this.app.waitForModule('users')
-  const [user] = await users.find({ _id }, { projection: { roles: 1 } })
-  return user.roles.length === 1 &&
-    user.roles[0].toString() === await this.getSuperRoleId()
+  const { groups } = await this.getRoleCache()
+  const { scopes } = await this.resolveRoleScopes(getUserRoleIds({ _id, ...await this.getUserRoles(_id) }, groups))
+  return grantsFullAccess(scopes)
 }
 
-async function onUpdateRoles (req) {
-  if (req.apiData?.modifying !== false ||
-    (req.method !== 'DELETE' && !req.apiData?.data.roles)) {
+async function getSuperUsers (allRoles) {
+  const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+  const cache = await this.getRoleCache()
+  const roles = allRoles ?? cache.roles
+  const superRoleIds = await this.getSuperRoleIds(roles)
+  const ids = roles.filter(r => superRoleIds.includes(r._id.toString())).map(r => r._id)
+  const members = cache.groups
+    .filter(g => g.roles?.some(r => superRoleIds.includes(r.toString())))
+    .flatMap(g => g.members ?? [])
+  const query = { $or: [{ roles: { $in: ids } }, { 'roleAssignments.role': { $in: ids } }] }
+  if (members.length) query.$or.push({ _id: { $in: members } })
+  const candidates = await mongodb.find(users.collectionName, query, { projection: { roles: 1, roleAssignments: 1 } })
+  return candidates.filter(u => grantsFullAccess(resolveScopes(roles, getUserRoleIds(u, cache.groups)).scopes))
+}
+
+async function checkSuperUserRemains ({ roles, groups, updateUser = u => u } = {}) {
+  const superUsers = await this.getSuperUsers()
+  if (!superUsers.length) {
     return
   }
-  if (!req.auth.isSuper) {
-    const reject = reason => {
-      this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), reason)
-      throw this.app.errors.UNAUTHORISED
-    }
-    if (!req.auth.scopes.includes('assign:roles')) {
+  const cache = await this.getRoleCache()
+  const allRoles = roles ?? cache.roles
+  const remains = superUsers.some(u => {
+    const updated = updateUser(u)
+    return updated && grantsFullAccess(resolveScopes(allRoles, getUserRoleIds({ ...updated, _id: u._id }, groups ?? cache.groups)).scopes)
+  })
+  if (!remains) throw this.app.errors.LAST_SUPERUSER
+}
+
+async function checkRoleAssignment (req, userId, { roles, contexts }) {
+  if (req.auth.isSuper) {
+    return
+  }
+  const reject = reason => {
+    this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), reason)
+    throw this.app.errors.UNAUTHORISED
+  }
+  for (const context of contexts) {
+    if (!await this.can(req, 'assign:roles', context)) {
       reject('assign role')
     }
-    if (req.apiData.data.roles.includes(await this.getSuperRoleId())) {
-      reject('assign superuser')
+  }
+  const [reason] = await this.getSuperUserViolations(req, userId, roles)
+  if (reason) {
+    reject(reason)
+  }
+}
+
+async function getSuperUserViolations (req, userId, roles) {
+  if (req.auth.isSuper) {
+    return []
+  }
+  const superRoleIds = await this.getSuperRoleIds()
+  const reasons = []
+  if (roles.some(r => superRoleIds.includes(r.toString()))) {
+    reasons.push('assign superuser')
+  }
+  if (await this.isTargetSuper(userId)) {
+    reasons.push('modify superuser')
+  }
+  return reasons
+}
+
+async function simulateRoleChange (data) {
+  const { roles: allRoles, groups } = await this.getRoleCache()
+  const target = data._id && allRoles.find(r => r._id.toString() === data._id.toString())
+  if (data._id && !target) {
+    throw this.app.errors.NOT_FOUND.setData({ id: data._id.toString(), type: this.schemaName })
+  }
+  // new roles don't have an _id yet, so use the shortName to resolve them
+  const role = { ...target, ...data, _id: target?._id ?? data.shortName }
+  const roles = [...allRoles.filter(r => r !== target), role]
+  this.validateRoleInheritance(roles)
+  if (!target) {
+    return { users: [], protections: [] }
+  }
+  const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+  const affected = await mongodb.find(users.collectionName, await this.getRoleMembersQuery(target, { indirect: true }), {
+    projection: { roles: 1, roleAssignments: 1 }
+  })
+  const protections = []
+  try {
+    await this.checkSuperUserRemains({ roles })
+  } catch (e) {
+    if (e.code !== 'LAST_SUPERUSER') throw e
+    protections.push({ code: e.code })
+  }
+  return {
+    users: affected.flatMap(u => {
+      return getScopeChanges({ roles: allRoles, groups, user: u }, { roles, groups, user: u }).map(c => ({ _id: u._id.toString(), ...c }))
+    }),
+    protections
+  }
+}
+
+async function simulateUserChange (req, { _id, roles, roleAssignments }) {
+  const { roles: allRoles, groups } = await this.getRoleCache()
+  const existing = { _id, ...await this.getUserRoles(_id) }
+  const updated = { _id, roles: roles ?? existing.roles, roleAssignments: roleAssignments ?? existing.roleAssignments }
+  const changedAssignments = roleAssignments ? diffRoleAssignments(existing.roleAssignments, roleAssignments) : []
+  const reasons = await this.getSuperUserViolations(req, _id, [...(roles ?? []), ...changedAssignments.map(a => a.role)])
+  const protections = reasons.map(reason => ({ code: 'UNAUTHORISED', reason }))
+  try {
+    await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === _id.toString() ? updated : u })
+  } catch (e) {
+    if (e.code !== 'LAST_SUPERUSER') throw e
+    protections.push({ code: e.code })
+  }
+  return {
+    users: getScopeChanges({ roles: allRoles, groups, user: existing }, { roles: allRoles, groups, user: updated }).map(c => ({ _id: _id.toString(), ...c })),
+    protections
+  }
+}
+
+async function simulateHandler (req, res, next) {
+  try {
+    const { role, user } = req.apiData.data
+    if (!role === !user) {
+      throw this.app.errors.INVALID_SIMULATION.setData({ reason: 'exactly one of role or user must be specified' })
+    }
+    if (user && !user._id) {
+      throw this.app.errors.INVALID_SIMULATION.setData({ reason: 'user must have an _id' })
+    }
+    res.json(role ? await this.simulateRoleChange(role) : await this.simulateUserChange(req, user))
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function checkRoleDelegation (req, assignments, { allRoles, ranked = true } = {}) {
+  if (req.auth.isSuper || !assignments.length) {
+    return
+  }
+  allRoles ??= (await this.getRoleCache()).roles
+  const ranks = ranked ? this.getConfig('roleRanks') : []
+  for (const { role: roleId, context } of assignments) {
+    const role = allRoles.find(r => r._id.toString() === roleId.toString())
+    if (!role) {
+      continue
+    }
+    const assigner = await this.getScopesForUser(req.auth.user._id, context)
+    const scopes = getExcessScopes(resolveScopes(allRoles, [role._id]).scopes, assigner.scopes)
+    if (!scopes.length) {
+      continue
+    }
+    const rank = ranks.indexOf(role.shortName)
+    const ownRank = Math.min(...assigner.roles.map(r => ranks.indexOf(r)).filter(i => i > -1))
+    if (rank === -1 || rank < ownRank) {
+      this.log('error', 'ROLE_DELEGATION_DENIED', req.auth.user._id.toString(), role.shortName, scopes)
+      throw this.app.errors.ROLE_DELEGATION_DENIED.setData({ shortName: role.shortName, scopes })
+    }
+  }
+}
+
+async function bulkAssignRole (req, { roleId, userIds, query, context, remove = false }) {
+  if (!Array.isArray(userIds) && !query) {
+    throw this.app.errors.INVALID_ROLE_ASSIGNMENT.setData({ reason: 'either a list of users or a user query must be specified' })
+  }
+  if (context && (!context.type || !context._id)) {
+    throw this.app.errors.INVALID_ROLE_ASSIGNMENT.setData({ reason: 'context must have a type and _id' })
+  }
+  const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+  const role = await this.findOne({ _id: roleId })
+  if (!remove) {
+    await this.checkRoleDelegation(req, [{ role: role._id, context }])
+  }
+  const targets = await users.find(userIds ? { _id: { $in: userIds } } : query)
+  const missing = (userIds ?? [])
+    .filter(id => !targets.some(u => u._id.toString() === id.toString()))
+    .map(id => ({ _id: id.toString(), success: false, error: 'NOT_FOUND' }))
+
+  const checked = await Promise.all(targets.map(async u => {
+    try {
+      await this.checkRoleAssignment(req, u._id, { roles: [role._id], contexts: [context] })
+    } catch (e) {
+      return { user: u, error: e.code }
+    }
+    const before = { roles: u.roles ?? [], roleAssignments: u.roleAssignments ?? [] }
+    const after = updateUserRole(before, role._id, { context, remove })
+    const changed = after.roles.length !== before.roles.length || after.roleAssignments.length !== before.roleAssignments.length
+    return { user: u, before, after: changed ? after : undefined }
+  }))
+  if (remove) {
+    const updates = new Map(checked.filter(c => c.after).map(c => [c.user._id.toString(), c.after]))
+    try {
+      await this.checkSuperUserRemains({ updateUser: u => updates.get(u._id.toString()) ?? u })
+    } catch (e) {
+      if (e.code !== 'LAST_SUPERUSER') throw e
+      const superUserIds = (await this.getSuperUsers()).map(u => u._id.toString())
+      checked.filter(c => superUserIds.includes(c.user._id.toString())).forEach(c => Object.assign(c, { error: e.code, after: undefined }))
+    }
+  }
+  const changes = checked.filter(c => c.after)
+  if (changes.length) {
+    const [field, value] = context ? ['roleAssignments', { role: role._id, context }] : ['roles', role._id]
+    const pullValue = context ? { role: role._id, 'context.type': context.type, 'context._id': context._id } : role._id
+    await mongodb.updateMany(users.collectionName, { _id: { $in: changes.map(c => c.user._id) } }, remove ? { $pull: { [field]: pullValue } } : { $addToSet: { [field]: value } })
+    await Promise.all(changes.map(async ({ user, before, after }) => {
+      await auth.authentication.disavowUser({ userId: user._id })
+      await this.logAudit({
+        action: 'assign',
+        actor: req.auth.user._id,
+        targetUser: user._id,
+        roles: [role._id.toString()],
+        before,
+        after
+      })
+    }))
+  }
+  return [
+    ...checked.map(({ user, error }) => error ? { _id: user._id.toString(), success: false, error } : { _id: user._id.toString(), success: true }),
+    ...missing
+  ]
+}
+
+async function getGroup (_id) {
+  const { groups } = await this.getRoleCache()
+  const group = groups.find(g => g._id.toString() === _id.toString())
+  if (!group) {
+    throw this.app.errors.NOT_FOUND.setData({ type: this.groupSchemaName, id: _id })
+  }
+  return group
+}
+
+async function checkGroupChange (req, before, after) {
+  const { groups } = await this.getRoleCache()
+  const updatedGroups = groups.filter(g => g._id.toString() !== before?._id.toString())
+  if (after) updatedGroups.push(after)
+  const members = [...before?.members ?? [], ...after?.members ?? []]
+    .filter((m, i, all) => all.findIndex(m2 => m2.toString() === m.toString()) === i)
+  const granted = new Set()
+  const changed = []
+  for (const _id of members) {
+    const rolesBefore = getUserRoleIds({ _id }, groups)
+    const rolesAfter = getUserRoleIds({ _id }, updatedGroups)
+    const added = rolesAfter.filter(r => !rolesBefore.includes(r))
+    if (!added.length && rolesAfter.length === rolesBefore.length) {
+      continue
+    }
+    await this.checkRoleAssignment(req, _id, { roles: added, contexts: [undefined] })
+    added.forEach(r => granted.add(r))
+    changed.push(_id)
+  }
+  await this.checkRoleDelegation(req, [...granted].map(role => ({ role })))
+  if (changed.length) {
+    await this.checkSuperUserRemains({ groups: updatedGroups })
+  }
+  return changed
+}
+
+async function writeGroup (req, { _id, data }) {
+  const before = _id ? await this.getGroup(_id) : undefined
+  const members = await this.checkGroupChange(req, before, data && { ...before, ...data })
+  // groups share the API functions with roles, but the role hooks don't apply to them
+  const options = { schemaName: this.groupSchemaName, collectionName: this.groupCollectionName, invokePreHook: false, invokePostHook: false }
+  let doc
+  if (!before) doc = await this.insert(data, options)
+  else if (data) doc = await this.update({ _id: before._id }, data, options)
+  else await this.delete({ _id: before._id }, options)
+  this.invalidateRoleCache()
+  await this.logAudit({
+    action: !before ? 'insert' : data ? 'update' : 'delete',
+    actor: req.auth.user._id,
+    group: (doc ?? before)._id,
+    before,
+    after: doc
+  })
+  if (members.length) {
+    const auth = await this.app.waitForModule('auth')
+    await Promise.all(members.map(userId => auth.authentication.disavowUser({ userId })))
+  }
+  return doc
+}
+
+async function groupsHandler (req, res, next) {
+  try {
+    const { _id } = req.params
+    if (req.method === 'GET') {
+      return res.json(_id ? await this.getGroup(_id) : (await this.getRoleCache()).groups)
     }
-    if (await this.isTargetSuper(req.apiData.query._id)) {
-      reject('modify superuser')
+    const doc = await this.writeGroup(req, { _id, data: req.method !== 'DELETE' ? req.apiData.data : undefined })
+    if (!doc) {
+      return res.sendStatus(204)
     }
+    res.status(req.method === 'POST' ? 201 : 200).json(doc)
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function onUpdateRoles (req) {
+  const { roles, roleAssignments } = req.apiData?.data ?? {}
+  if (!req.apiData?.modifying || (req.method !== 'DELETE' && !roles && !roleAssignments)) {
+    return
+  }
+  const existing = await this.getUserRoles(req.apiData.query._id)
+  const changedAssignments = roleAssignments ? diffRoleAssignments(existing.roleAssignments, roleAssignments) : []
+  const contexts = roles || req.method === 'DELETE' ? [undefined] : []
+  await this.checkRoleAssignment(req, req.apiData.query._id, {
+    roles: [...(roles ?? []), ...changedAssignments.map(a => a.role)],
+    contexts: [...contexts, ...changedAssignments.map(a => a.context)]
+  })
+  await this.checkRoleDelegation(req, [
+    ...(roles ?? []).filter(r => !existing.roles.some(e => e.toString() === r.toString())).map(role => ({ role })),
+    ...changedAssignments.filter(a => roleAssignments.includes(a))
+  ])
+  const updated = req.method !== 'DELETE'
+    ? { roles: roles ?? existing.roles, roleAssignments: roleAssignments ?? existing.roleAssignments }
+    : undefined
+  if (req.method !== 'POST') {
+    const userId = req.apiData.query._id.toString()
+    await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === userId ? updated : u })
+  }
+  if (req.method !== 'DELETE') {
+    // new users don't have an _id yet, so are matched by email instead
+    const key = req.method === 'POST' ? `user:${req.apiData.data.email}` : `user:${req.apiData.query._id}`
+    this.deferAudit(req, key, { action: 'assign', actor: req.auth.user?._id, before: existing })
   }
   if (req.method !== 'POST') {
     const auth = await this.app.waitForModule('auth')
-    await auth.authentication.disavowUser({
-      userId: req.params._id || req.body._id
+    await auth.authentication.disavowUser({ userId: req.params._id || req.body._id })
+  }
+}
+
+async function removeExpiredAssignments () {
+  const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+  const now = new Date()
+  const candidates = await mongodb.find(users.collectionName, { 'roleAssignments.validUntil': { $exists: true } })
+  const expired = candidates.filter(u => u.roleAssignments.some(a => isAssignmentExpired(a, now)))
+  await Promise.all(expired.map(async u => {
+    const roleAssignments = u.roleAssignments.filter(a => !isAssignmentExpired(a, now))
+    await mongodb.update(users.collectionName, { _id: u._id }, { $set: { roleAssignments } })
+    await auth.authentication.disavowUser({ userId: u._id })
+    this.log('debug', 'EXPIRED', 'roleAssignments', u._id.toString())
+  }))
+  return expired.map(u => u._id.toString())
+}
+
+async function logAudit (entry) {
+  try {
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.insert(this.auditCollectionName, {
+      ...entry,
+      actor: entry.actor?.toString(),
+      targetUser: entry.targetUser?.toString(),
+      role: entry.role?.toString(),
+      group: entry.group?.toString(),
+      timestamp: new Date()
     })
+  } catch (e) {
+    this.log('warn', `failed to record role audit entry, ${e.message}`)
+  }
+}
+
+function deferAudit (req, key, entry) {
+  this.pendingAudits.set(key, [...(this.pendingAudits.get(key) ?? []), entry])
+  const discard = () => {
+    const pending = this.pendingAudits.get(key)?.filter(e => e !== entry) ?? []
+    if (pending.length) this.pendingAudits.set(key, pending)
+    else this.pendingAudits.delete(key)
+  }
+  req.res?.once('finish', discard).once('close', discard)
+}
+
+function takePendingAudit (key) {
+  const [entry, ...pending] = this.pendingAudits.get(key) ?? []
+  if (pending.length) this.pendingAudits.set(key, pending)
+  else this.pendingAudits.delete(key)
+  return entry
+}
+
+async function onAuditRoleRequest (req) {
+  const action = { POST: 'insert', PUT: 'update', PATCH: 'update', DELETE: 'delete' }[req.method]
+  if (!req.apiData.modifying || !action) {
+    return
+  }
+  // new roles don't have an _id yet, so are matched by shortName instead
+  const key = req.method === 'POST' ? `role:${req.apiData.data.shortName}` : `role:${req.apiData.query._id}`
+  this.deferAudit(req, key, { action, actor: req.auth.user._id })
+}
+
+async function onAuditRoleChange (key, before, after) {
+  const entry = this.takePendingAudit(key)
+  if (!entry) {
+    return
+  }
+  const role = after ?? before
+  await this.logAudit({ ...entry, role: role._id, shortName: role.shortName, before, after })
+}
+
+async function onAuditUserRoles (key, user) {
+  const entry = this.takePendingAudit(key)
+  if (!entry) {
+    return
+  }
+  const after = { roles: user.roles ?? [], roleAssignments: user.roleAssignments ?? [] }
+  const roleIds = [entry.before, after].flatMap(u => [...u.roles, ...u.roleAssignments.map(a => a.role)]).map(r => r.toString())
+  await this.logAudit({ ...entry, targetUser: user._id, roles: [...new Set(roleIds)], after })
+}
+
+async function onVersionRoleRequest (req) {
+  if (!req.apiData.modifying || !['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    return
+  }
+  const existing = req.method !== 'POST' ? await this.findOne({ _id: req.apiData.query._id }, { strict: false }) : undefined
+  const role = req.method === 'PATCH' ? { ...existing, ...req.apiData.data } : req.apiData.data
+  Object.assign(req.apiData.data, addRoleVersion(existing, role, { actor: req.auth.user._id }))
+}
+
+async function getRoleHistory (_id) {
+  const role = await this.findOne({ _id })
+  // roles which pre-date versioning won't have a history yet
+  return addRoleVersion(role, role).history
+}
+
+async function rollbackRole (req, _id, version) {
+  const allRoles = await this.find()
+  const role = allRoles.find(r => r._id.toString() === _id.toString())
+  if (!role) {
+    throw this.app.errors.NOT_FOUND.setData({ type: this.schemaName, id: _id })
+  }
+  if (role.isBuiltIn && !this.getConfig('allowBuiltInRoleChanges')) {
+    throw this.app.errors.BUILT_IN_ROLE_LOCKED.setData({ shortName: role.shortName })
+  }
+  if (this.hasRoleTemplate(role) && !this.getConfig('allowBuiltInRoleChanges')) {
+    throw this.app.errors.TEMPLATE_ROLE_LOCKED.setData({ shortName: role.shortName, template: role.template.name })
+  }
+  const entry = addRoleVersion(role, role).history.find(v => v.version === version)
+  if (!entry) {
+    throw this.app.errors.UNKNOWN_ROLE_VERSION.setData({ shortName: role.shortName, version })
   }
+  const restored = restoreRoleVersion(role, entry)
+  const otherRoles = allRoles.filter(r => r !== role)
+  this.validateRoleInheritance([...otherRoles, restored])
+  this.validateRoleScopes(restored)
+  await this.checkRoleDelegation(req, [{ role: role._id }], { allRoles: [...otherRoles, restored], ranked: false })
+  if ((await this.getSuperRoleIds(allRoles)).includes(role._id.toString())) {
+    await this.checkSuperUserRemains({ roles: [...otherRoles, restored] })
+  }
+  const mongodb = await this.app.waitForModule('mongodb')
+  const before = await this.getRoleCache()
+  const versioned = addRoleVersion(role, restored, { actor: req.auth.user._id })
+  await mongodb.replace(this.collectionName, { _id: role._id }, { ...restored, ...versioned })
+  await this.logAudit({ action: 'rollback', actor: req.auth.user._id, role: role._id, shortName: role.shortName, before: role, after: restored })
+  this.invalidateRoleCache()
+  const report = await this.disavowChangedRoleMembers(before, await this.getRoleCache())
+  this.log('info', `rolled back '${role.shortName}' role to version ${version}, ${report.users.length} user(s) disavowed`)
+  return { version: versioned.version, ...report }
 }
 
 async function onCheckUserAccess (req) {
@@ -166,90 +733,731 @@ async function onCheckUserAccess (req) {
   return true
 }
 
-async function initConfigRoles () {
+function validateRoleInheritance (roles) {
+  const [error] = validateRoleGraph(roles)
+  if (error) throw this.app.errors[error.code].setData(error.data)
+}
+
+async function onProtectBuiltInRole (req) {
+  if (!req.apiData.modifying || !['PUT', 'PATCH', 'DELETE'].includes(req.method) || this.getConfig('allowBuiltInRoleChanges')) {
+    return
+  }
+  const role = await this.findOne({ _id: req.apiData.query._id }, { strict: false })
+  if (role?.isBuiltIn) {
+    throw this.app.errors.BUILT_IN_ROLE_LOCKED.setData({ shortName: role.shortName })
+  }
+  if (req.method !== 'DELETE' && role && this.hasRoleTemplate(role)) {
+    throw this.app.errors.TEMPLATE_ROLE_LOCKED.setData({ shortName: role.shortName, template: role.template.name })
+  }
+}
+
+function hasRoleTemplate (role) {
+  return !!role.template && this.getRoleTemplates().some(t => t.shortName === role.template.name)
+}
+
+async function onValidateRoleRequest (req) {
+  if (!req.apiData.modifying || !['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    return
+  }
+  const allRoles = await this.find()
+  const target = req.method !== 'POST' && allRoles.find(r => r._id.toString() === req.apiData.query._id?.toString())
+  const role = req.method === 'PATCH' ? { ...target, ...req.apiData.data } : req.apiData.data
+  this.validateRoleInheritance([...allRoles.filter(r => r !== target), role])
+  this.validateRoleScopes({ shortName: role.shortName, scopes: req.apiData.data.scopes, denyScopes: req.apiData.data.denyScopes })
+  const updatedRole = { ...role, _id: target?._id ?? role.shortName }
+  await this.checkRoleDelegation(req, [{ role: updatedRole._id }], { allRoles: [...allRoles.filter(r => r !== target), updatedRole], ranked: false })
+  if (target && (await this.getSuperRoleIds(allRoles)).includes(target._id.toString())) {
+    await this.checkSuperUserRemains({ roles: [...allRoles.filter(r => r !== target), role] })
+  }
+}
+
+async function getRoleDependents (role) {
+  const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+  const [dependentUsers, allRoles, { groups }] = await Promise.all([
+    this.getRoleMembersQuery(role).then(query => mongodb.find(users.collectionName, query)),
+    this.find(),
+    this.getRoleCache()
+  ])
+  return {
+    users: dependentUsers,
+    roles: allRoles.filter(r => getRoleParents(r).includes(role.shortName)),
+    groups: groups.filter(g => g.roles?.some(r => r.toString() === role._id.toString()))
+  }
+}
+
+async function removeGroupRole (role) {
   const mongodb = await this.app.waitForModule('mongodb')
-  return Promise.allSettled(
-    this.getConfig('roleDefinitions').map(async r => {
-      const [doc] = await this.find({ shortName: r.shortName })
-      if (doc) {
-        try {
-          await mongodb.replace(this.collectionName, { _id: doc._id }, r)
-          this.log('debug', 'REPLACE', this.schemaName, r.shortName)
-        } catch (e) {
-          if (e.code !== 11000) {
-            this.log('warn',
-              `failed to update '${r.shortName}' role, ${e.message}`)
-          }
-        }
-        return
-      }
-      try {
-        await this.insert(r)
-        this.log('debug', 'INSERT', this.schemaName, r.shortName)
-      } catch (e) {
-        if (e.code !== 11000) {
-          this.log('warn',
-            `failed to add '${r.shortName}' role, ${e.message}`)
-        }
-      }
-    })
-  )
+  await mongodb.updateMany(this.groupCollectionName, { roles: role._id }, { $pull: { roles: role._id } })
+  this.invalidateRoleCache()
 }
 
-async function initDefaultRoles () {
-  const rolesforAll = await this.shortNamesToIds(
-    this.getConfig('defaultRoles')
-  )
-  const rolesForAuth = Object.entries(
-    this.getConfig('defaultRolesForAuthTypes')
-  ).reduce((m, [k, v]) => {
-    return { [m[k]]: this.shortNamesToIds(v) }
-  }, {})
-  const users = await this.app.waitForModule('users')
-  users.preInsertHook.tap(data => {
-    if (!data.roles || !data.roles.length) {
-      data.roles = rolesForAuth[data.authType] || rolesforAll || []
-    }
-  })
+async function getRoleMembersQuery (role, { indirect = false } = {}) {
+  const { roles, groups } = await this.getRoleCache()
+  const ids = [role._id]
+  if (indirect) ids.push(...getDescendantRoles(roles, role.shortName).map(r => r._id))
+  return buildRoleMembersQuery(ids, groups)
 }
 
-// ── Tests ────────────────────────────────────────────────────────────
+async function addMemberCounts (roles) {
+  const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+  return Promise.all(roles.map(async r => ({
+    ...r,
+    memberCount: await mongodb.count(users.collectionName, await this.getRoleMembersQuery(r))
+  })))
+}
 
-describe('RolesModule', () => {
-  // ── setValues ──────────────────────────────────────────────────────
+async function membersHandler (req, res, next) {
+  try {
+    const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+    const role = await this.findOne({ _id: req.params._id })
+    const query = await this.getRoleMembersQuery(role, { indirect: req.query.indirect === 'true' })
+    const mongoOpts = { limit: parseInt(req.query.limit) || undefined, page: req.query.page }
+    Object.assign(req.apiData, { collectionName: users.collectionName, query })
+    await this.setUpPagination(req, res, mongoOpts)
+    const projection = { email: 1, firstName: 1, lastName: 1, roles: 1, roleAssignments: 1 }
+    res.json(await mongodb.find(users.collectionName, query, { limit: mongoOpts.limit, skip: mongoOpts.skip, projection }))
+  } catch (e) {
+    next(e)
+  }
+}
 
-  describe('setValues', () => {
-    it('should set schemaName to "role"', async () => {
-      const inst = createInstance()
-      await setValues.call(inst)
-      assert.equal(inst.schemaName, 'role')
+async function auditHandler (req, res, next) {
+  try {
+    const mongodb = await this.app.waitForModule('mongodb')
+    const query = buildAuditQuery(req.query)
+    const mongoOpts = { limit: parseInt(req.query.limit) || undefined, page: req.query.page }
+    // pagination is calculated from the apiData, so this needs to target the audit collection
+    Object.assign(req.apiData, { collectionName: this.auditCollectionName, query })
+    await this.setUpPagination(req, res, mongoOpts)
+    res.json(await mongodb.find(this.auditCollectionName, query, { sort: { timestamp: -1 }, limit: mongoOpts.limit, skip: mongoOpts.skip }))
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function reassignRole (req, role, newRole) {
+  const [auth, mongodb, users] = await this.app.waitForModule('auth', 'mongodb', 'users')
+  const actor = req.auth.user._id
+  const dependents = await this.getRoleDependents(role)
+  const isRole = r => r.toString() === role._id.toString()
+  // group members are reassigned by updating the group itself
+  const assignedUsers = dependents.users.filter(u => (u.roles ?? []).some(isRole) || (u.roleAssignments ?? []).some(a => isRole(a.role)))
+  const updatedGroups = dependents.groups.map(g => ({
+    ...g,
+    roles: [...g.roles.filter(r => !isRole(r) && r.toString() !== newRole._id.toString()), newRole._id]
+  }))
+  for (const u of assignedUsers) {
+    const contexts = [
+      ...((u.roles ?? []).some(isRole) ? [undefined] : []),
+      ...(u.roleAssignments ?? []).filter(a => isRole(a.role)).map(a => a.context)
+    ]
+    await this.checkRoleAssignment(req, u._id, { roles: [newRole._id], contexts })
+    await this.checkRoleDelegation(req, contexts.map(context => ({ role: newRole._id, context })))
+  }
+  for (const [i, g] of dependents.groups.entries()) {
+    await this.checkGroupChange(req, g, updatedGroups[i])
+  }
+  const updatedRoles = dependents.roles.map(r => ({ ...r, extends: replaceParentRole(r, role.shortName, newRole.shortName) }))
+  const otherRoles = (await this.find()).filter(r => r.shortName !== role.shortName && !dependents.roles.some(d => d.shortName === r.shortName))
+  this.validateRoleInheritance([...otherRoles, ...updatedRoles])
+  const { groups } = await this.getRoleCache()
+  await this.checkSuperUserRemains({
+    roles: [...otherRoles, ...updatedRoles],
+    groups: groups.map(g => updatedGroups.find(u => u._id.toString() === g._id.toString()) ?? g),
+    updateUser: u => reassignUserRoles(u, role._id, newRole._id)
+  })
+
+  await Promise.all(assignedUsers.map(async u => {
+    const updated = reassignUserRoles(u, role._id, newRole._id)
+    await mongodb.update(users.collectionName, { _id: u._id }, { $set: updated })
+    await auth.authentication.disavowUser({ userId: u._id })
+    await this.logAudit({
+      action: 'assign',
+      actor,
+      targetUser: u._id,
+      roles: [role._id.toString(), newRole._id.toString()],
+      before: { roles: u.roles, roleAssignments: u.roleAssignments },
+      after: updated
     })
+  }))
+  // one at a time, as each group change is checked against the previous ones
+  for (const g of updatedGroups) {
+    await this.writeGroup(req, { _id: g._id, data: { roles: g.roles } })
+  }
+  await Promise.all(updatedRoles.map((r, i) => this.update({ _id: r._id }, { extends: r.extends, ...addRoleVersion(dependents.roles[i], r, { actor }) })))
+  return dependents
+}
 
-    it('should set collectionName to "roles"', async () => {
-      const inst = createInstance()
-      await setValues.call(inst)
-      assert.equal(inst.collectionName, 'roles')
+async function onDeleteRole (req) {
+  if (req.method !== 'DELETE' || !req.apiData.modifying) {
+    return
+  }
+  const { reassignTo } = req.apiData.query
+  delete req.apiData.query.reassignTo
+
+  const role = await this.findOne({ _id: req.apiData.query._id }, { strict: false })
+  if (!role) {
+    return
+  }
+  if (reassignTo && reassignTo !== role._id.toString()) {
+    const newRole = await this.findOne({ _id: reassignTo })
+    await this.reassignRole(req, role, newRole)
+    return
+  }
+  const dependents = await this.getRoleDependents(role)
+  if (dependents.users.length || dependents.roles.length) {
+    throw this.app.errors.ROLE_IN_USE.setData({
+      shortName: role.shortName,
+      users: dependents.users.map(u => u._id.toString()),
+      roles: dependents.roles.map(r => r.shortName)
     })
+  }
+}
+
+function checkConfigRoleScopes () {
+  const knownScopes = this.getKnownScopes()
+  // templates are skipped, as their placeholders won't match any known scopes
+  this.getConfig('roleDefinitions').filter(r => !r.parameters).forEach(r => {
+    const unknown = getUnknownScopes([...r.scopes, ...(r.denyScopes ?? [])], knownScopes)
+    if (unknown.length) this.log('warn', `'${r.shortName}' role defines unknown scopes: ${unknown.join(', ')}`)
   })
+}
 
-  // ── getScopesForRole ───────────────────────────────────────────────
+function registerScopes (...scopes) {
+  scopes.forEach(s => this.registeredScopes.add(s))
+}
 
-  describe('getScopesForRole', () => {
-    it('should return scopes for a single role', async () => {
-      const inst = createInstance({
-        find: mock.fn(async () => [
-          { _id: 'role1', shortName: 'admin', scopes: ['read:all', 'write:all'] }
-        ])
-      })
-      const result = await getScopesForRole.call(inst, 'role1')
-      assert.deepEqual(result, ['read:all', 'write:all'])
-    })
+function getKnownScopes () {
+  const scopes = new Set(this.registeredScopes)
+  Object.values(this.app.dependencyloader.instances).forEach(m => {
+    if (!Array.isArray(m.routes)) return
+    m.routes.forEach(r => Object.values(r.permissions ?? {}).forEach(p => p?.forEach(s => scopes.add(s))))
+  })
+  return [...scopes].sort()
+}
 
-    it('should accumulate scopes through role inheritance', async () => {
-      const inst = createInstance({
-        find: mock.fn(async () => [
-          { _id: 'role1', shortName: 'authuser', scopes: ['read:me'] },
-          {
+function validateRoleScopes (role) {
+  const unknown = getUnknownScopes([...(role.scopes ?? []), ...(role.denyScopes ?? [])], this.getKnownScopes())
+  if (unknown.length) throw this.app.errors.UNKNOWN_SCOPES.setData({ shortName: role.shortName, scopes: unknown })
+}
+
+async function scopesHandler (req, res, next) {
+  try {
+    const allRoles = await this.find()
+    const resolved = allRoles.map(r => ({ shortName: r.shortName, scopes: resolveScopes(allRoles, [r._id]).scopes }))
+    res.json(this.getKnownScopes().map(scope => ({
+      scope,
+      roles: resolved.filter(r => hasScope(r.scopes, scope)).map(r => r.shortName)
+    })))
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function planRoleChanges (definitions) {
+  const docs = await Promise.all(definitions.map(async r => (await this.find({ shortName: r.shortName }))[0]))
+  return {
+    insert: definitions.filter((r, i) => !docs[i]),
+    replace: definitions
+      .map((definition, i) => docs[i] && { doc: docs[i], definition, changed: hasRoleChanged(docs[i], definition) })
+      .filter(Boolean)
+  }
+}
+
+async function applyRoleChanges (changes, actor) {
+  const mongodb = await this.app.waitForModule('mongodb')
+  const results = await Promise.allSettled([
+    ...changes.replace.map(async ({ doc, definition: r, changed }) => {
+      try {
+        await mongodb.replace(this.collectionName, { _id: doc._id }, { ...r, ...addRoleVersion(doc, r, { actor }) })
+        this.log('debug', 'REPLACE', this.schemaName, r.shortName)
+        if (changed) {
+          await this.logAudit({ action: 'replace', actor, role: doc._id, shortName: r.shortName, before: doc, after: r })
+        }
+      } catch (e) {
+        if (e.code !== 11000) this.log('warn', `failed to update '${r.shortName}' role, ${e.message}`)
+        throw e
+      }
+    }),
+    ...changes.insert.map(async r => {
+      try {
+        const doc = await this.insert({ ...r, ...addRoleVersion(undefined, r, { actor }) }, { validate: false })
+        this.log('debug', 'INSERT', this.schemaName, r.shortName)
+        await this.logAudit({ action: 'insert', actor, role: doc._id, shortName: r.shortName, after: r })
+      } catch (e) {
+        if (e.code !== 11000) this.log('warn', `failed to add '${r.shortName}' role, ${e.message}`)
+        throw e
+      }
+    })
+  ])
+  // replacements bypass the update hooks, so the cache has to be cleared here
+  this.invalidateRoleCache()
+  return results
+}
+
+const ROLE_BUNDLE_VERSION = 1
+const RELOADABLE_CONFIG = ['roleDefinitions', 'defaultRoleRules', 'defaultRolesForAuthTypes', 'defaultRoles', 'claimRoleMappings']
+
+async function exportRoles ({ includeBuiltIn = false } = {}) {
+  const roles = await this.find()
+  return {
+    version: ROLE_BUNDLE_VERSION,
+    roles: roles.filter(r => includeBuiltIn || !r.isBuiltIn).map(getPortableRole)
+  }
+}
+
+async function exportHandler (req, res, next) {
+  try {
+    const bundle = await this.exportRoles({ includeBuiltIn: req.query.includeBuiltIn === 'true' })
+    if (req.query.format === 'yaml') {
+      return res.type('yaml').send(yaml.dump(bundle))
+    }
+    res.json(bundle)
+  } catch (e) {
+    next(e)
+  }
+}
+
+function parseRoleBundle (bundle) {
+  if (typeof bundle === 'string') {
+    try {
+      bundle = yaml.load(bundle) // note that YAML is a superset of JSON
+    } catch (e) {
+      throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `failed to parse bundle, ${e.message}` })
+    }
+  }
+  if (bundle?.version !== ROLE_BUNDLE_VERSION) {
+    throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `unsupported bundle version '${bundle?.version}'` })
+  }
+  if (!Array.isArray(bundle.roles)) {
+    throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: 'bundle must contain a roles array' })
+  }
+  return bundle.roles
+}
+
+async function importRoles (req, bundle, { mode = 'merge', dryRun = false } = {}) {
+  if (!['merge', 'replace'].includes(mode)) {
+    throw this.app.errors.INVALID_ROLE_IMPORT.setData({ reason: `unknown mode '${mode}'` })
+  }
+  const definitions = await Promise.all(this.parseRoleBundle(bundle).map(async r => {
+    const role = getPortableRole(r)
+    this.validateRoleScopes(role)
+    return this.validate(this.schemaName, role, {})
+  }))
+  const { insert, replace } = await this.planRoleChanges(definitions)
+  const conflicts = replace.filter(({ doc, definition }) => hasRoleChanged(getPortableRole(doc), getPortableRole(definition)))
+  const changes = {
+    insert,
+    replace: mode === 'replace' ? conflicts.filter(r => !r.doc.isBuiltIn && !this.hasRoleTemplate(r.doc)) : []
+  }
+  // new roles don't have an _id yet, so use the shortName to resolve them (as in onValidateRoleRequest)
+  const applied = [
+    ...changes.insert.map(r => ({ ...r, _id: r.shortName })),
+    ...changes.replace.map(r => ({ ...r.definition, _id: r.doc._id }))
+  ]
+  const existing = await this.find()
+  const updatedRoles = [...existing.filter(r => !applied.some(a => a.shortName === r.shortName)), ...applied]
+  this.validateRoleInheritance(updatedRoles)
+  await this.checkRoleDelegation(req, applied.map(r => ({ role: r._id })), { allRoles: updatedRoles, ranked: false })
+  if (changes.replace.length) {
+    await this.checkSuperUserRemains({ roles: updatedRoles })
+  }
+
+  const report = {
+    mode,
+    dryRun,
+    insert: changes.insert.map(r => r.shortName),
+    replace: changes.replace.map(r => r.definition.shortName),
+    conflicts: conflicts.map(({ doc }) => ({
+      shortName: doc.shortName,
+      reason: doc.isBuiltIn ? 'built-in' : this.hasRoleTemplate(doc) ? 'template' : 'exists'
+    })),
+    failed: []
+  }
+  if (!dryRun) {
+    const results = await this.applyRoleChanges(changes, req.auth.user._id)
+    const shortNames = [...report.replace, ...report.insert]
+    report.failed = shortNames.filter((s, i) => results[i].status === 'rejected')
+  }
+  return report
+}
+
+async function planConfigRoles (roleDefinitions = this.getConfig('roleDefinitions')) {
+  const definitions = roleDefinitions.filter(r => !r.parameters).map(r => ({ ...r, isBuiltIn: true }))
+  const existing = await this.find()
+  const instances = this.planTemplateRoles(existing, roleDefinitions.filter(r => r.parameters))
+  const invalid = getInvalidRoleDefinitions([...definitions, ...instances.map(i => i.definition)], existing)
+  invalid.forEach(({ shortName, error }) => {
+    this.log('warn', `not applying '${shortName}' role definition, ${error.code}`, JSON.stringify(error.data))
+  })
+  const isValid = r => !invalid.some(i => i.shortName === r.shortName)
+  const { insert, replace } = await this.planRoleChanges(definitions.filter(isValid))
+  return {
+    insert,
+    replace: [...replace, ...instances.filter(i => isValid(i.definition))],
+    remove: this.getConfig('configRoleReconciliation') !== 'off' ? getRemovedConfigRoles(definitions, existing) : []
+  }
+}
+
+function planTemplateRoles (existing, templates = this.getRoleTemplates()) {
+  return existing
+    .map(doc => {
+      const template = templates.find(t => t.shortName === doc.template?.name)
+      if (!template) return undefined
+      const errors = getTemplateParameterErrors(template, doc.template.parameters)
+      if (errors.length) {
+        this.log('warn', `not updating '${doc.shortName}' role from template '${template.shortName}', ${errors.join(', ')}`)
+        return undefined
+      }
+      const definition = { ...instantiateRoleTemplate(template, doc.template.parameters, { shortName: doc.shortName }), isBuiltIn: false }
+      return { doc, definition, changed: hasRoleChanged(doc, definition) }
+    })
+    .filter(Boolean)
+}
+
+function getRoleTemplates () {
+  return this.getConfig('roleDefinitions').filter(r => r.parameters)
+}
+
+function getRoleTemplate (name) {
+  const template = this.getRoleTemplates().find(t => t.shortName === name)
+  if (!template) throw this.app.errors.UNKNOWN_ROLE_TEMPLATE.setData({ name })
+  return template
+}
+
+async function createRoleFromTemplate (req, name, { parameters, shortName } = {}) {
+  const template = this.getRoleTemplate(name)
+  const errors = getTemplateParameterErrors(template, parameters)
+  if (errors.length) {
+    throw this.app.errors.INVALID_ROLE_TEMPLATE.setData({ name, reason: errors.join(', ') })
+  }
+  const role = { ...instantiateRoleTemplate(template, parameters, { shortName }), isBuiltIn: false }
+  const allRoles = await this.find()
+  if (allRoles.some(r => r.shortName === role.shortName)) {
+    throw this.app.errors.INVALID_ROLE_TEMPLATE.setData({ name, reason: `role '${role.shortName}' already exists` })
+  }
+  this.validateRoleInheritance([...allRoles, role])
+  this.validateRoleScopes(role)
+  // as in onValidateRoleRequest, the new role doesn't have an _id yet so use its shortName
+  await this.checkRoleDelegation(req, [{ role: role.shortName }], { allRoles: [...allRoles, { ...role, _id: role.shortName }], ranked: false })
+  const actor = req.auth.user._id
+  const doc = await this.insert({ ...role, ...addRoleVersion(undefined, role, { actor }) })
+  await this.logAudit({ action: 'insert', actor, role: doc._id, shortName: role.shortName, after: role })
+  this.log('debug', 'INSERT', this.schemaName, role.shortName, `from template '${name}'`)
+  return doc
+}
+
+async function initConfigRoles () {
+  const mongodb = await this.app.waitForModule('mongodb')
+  const plan = await this.planConfigRoles()
+  // other modules' routes won't necessarily have been added yet, so wait until everything has loaded
+  this.app.onReady()
+    .then(() => this.checkConfigRoleScopes())
+    .catch(e => this.log('warn', `failed to check config role scopes, ${e.message}`))
+  const mode = this.getConfig('configRoleReconciliation')
+  const removals = mode === 'prune' ? plan.remove : []
+  if (mode === 'warn' && plan.remove.length) {
+    this.log('warn', `the following roles are no longer defined in roleDefinitions but still exist in the database: ${plan.remove.map(r => r.shortName).join(', ')}. Set configRoleReconciliation to 'prune' to remove them`)
+  }
+  if (this.getConfig('configRoleDryRun')) {
+    const report = {
+      insert: plan.insert.map(r => r.shortName),
+      replace: plan.replace.filter(r => r.changed).map(r => r.definition.shortName),
+      remove: removals.map(r => r.shortName)
+    }
+    this.log('info', 'config roles dry run, no changes made', JSON.stringify(report))
+    return report
+  }
+  const results = await this.applyRoleChanges(plan, 'config')
+  // removals are done last so that any newly added roles are taken into account when checking dependents
+  const removed = await Promise.allSettled(removals.map(async r => {
+    try {
+      const dependents = await this.getRoleDependents(r)
+      if (dependents.users.length || dependents.roles.length) {
+        return this.log('warn', `not removing '${r.shortName}' role, it is still in use by ${dependents.users.length} user(s) and ${dependents.roles.length} role(s)`)
+      }
+      await mongodb.delete(this.collectionName, { _id: r._id })
+      // deleting directly bypasses the delete hooks
+      await this.removeGroupRole(r)
+      this.log('debug', 'DELETE', this.schemaName, r.shortName)
+      await this.logAudit({ action: 'delete', actor: 'config', role: r._id, shortName: r.shortName, before: r })
+    } catch (e) {
+      this.log('warn', `failed to remove '${r.shortName}' role, ${e.message}`)
+    }
+  }))
+  if (removals.length) this.invalidateRoleCache()
+  return results.concat(removed)
+}
+
+function getDefaultRoleRules () {
+  return [
+    ...this.getConfig('defaultRoleRules'),
+    ...Object.entries(this.getConfig('defaultRolesForAuthTypes')).map(([authType, roles]) => ({ match: { authType }, roles })),
+    { roles: this.getConfig('defaultRoles') }
+  ]
+}
+
+async function getDefaultRoles (data) {
+  const rule = this.getDefaultRoleRules().find(r => matchesRoleRule(r, data))
+  if (!rule) {
+    return []
+  }
+  const { roles } = await this.getRoleCache()
+  return roles.filter(r => rule.roles.includes(r.shortName)).map(r => r._id.toString())
+}
+
+async function validateDefaultRoles () {
+  const { roles } = await this.getRoleCache()
+  const missing = [...new Set(this.getDefaultRoleRules().flatMap(r => r.roles))].filter(s => !roles.some(r => r.shortName === s))
+  if (missing.length) {
+    throw this.app.errors.UNKNOWN_DEFAULT_ROLES.setData({ roles: missing })
+  }
+}
+
+async function initDefaultRoles () {
+  const users = await this.app.waitForModule('users')
+  users.preInsertHook.tap(async data => {
+    if (!data.roles || !data.roles.length) {
+      data.roles = await this.getDefaultRoles(data)
+    }
+  })
+  await this.validateDefaultRoles()
+}
+
+async function getClaimRoles (claims) {
+  const shortNames = this.getConfig('claimRoleMappings').filter(r => matchesRoleRule(r, claims)).flatMap(r => r.roles)
+  const { roles } = await this.getRoleCache()
+  return roles.filter(r => shortNames.includes(r.shortName)).map(r => r._id.toString())
+}
+
+async function onUserLogin (user, claims) {
+  if (!claims || !this.getConfig('claimRoleMappings').length) {
+    return
+  }
+  const [mongodb, users] = await this.app.waitForModule('mongodb', 'users')
+  const existing = await users.findOne({ _id: user._id }, { projection: { roles: 1, claimRoles: 1 } })
+  const mapped = await this.getClaimRoles(claims)
+  let updated = updateClaimRoles(existing, mapped)
+  if (updated.removed.length) {
+    const userId = user._id.toString()
+    try {
+      await this.checkSuperUserRemains({ updateUser: u => u._id.toString() === userId ? { ...u, roles: updated.roles } : u })
+    } catch (e) {
+      if (e.code !== 'LAST_SUPERUSER') throw e
+      this.log('warn', `not removing claim roles from user ${userId}, as no super users would remain`)
+      updated = updateClaimRoles(existing, [...mapped, ...updated.removed])
+    }
+  }
+  const { roles, claimRoles, added, removed } = updated
+  if (!added.length && !removed.length) {
+    return
+  }
+  await mongodb.update(users.collectionName, { _id: user._id }, { $set: { roles, claimRoles } })
+  const before = { roles: existing.roles ?? [] }
+  await this.logAudit({
+    action: 'assign',
+    actor: 'config',
+    targetUser: user._id,
+    roles: [...new Set([...before.roles, ...roles].map(r => r.toString()))],
+    before,
+    after: { roles }
+  })
+}
+
+async function readRoleConfig () {
+  const configPath = path.join(this.app.rootDir, 'conf', `${process.env.NODE_ENV}.config.js`)
+  // the query string makes sure the file is read again rather than returned from the module cache
+  const { default: config } = await import(`${pathToFileURL(configPath)}?t=${Date.now()}`)
+  const settings = config[this.name] ?? {}
+  const jsonschema = await this.app.waitForModule('jsonschema')
+  const schema = await jsonschema.createSchema(path.join(this.rootDir, 'conf', 'config.schema.json'))
+  // validation fills in any schema defaults, so this has to be a copy to avoid altering the imported config
+  const validated = await schema.validate(structuredClone(settings))
+  return Object.fromEntries(RELOADABLE_CONFIG.map(k => [k, validated[k]]))
+}
+
+async function reloadConfigRoles () {
+  const config = await this.readRoleConfig()
+  // planned up front so that invalid roleDefinitions are rejected before any settings are changed
+  await this.planConfigRoles(config.roleDefinitions)
+  this.reloadedConfig = config
+  const before = await this.getRoleCache()
+  await this.initConfigRoles()
+  this.invalidateRoleCache()
+  const report = await this.disavowChangedRoleMembers(before, await this.getRoleCache())
+  await this.validateDefaultRoles()
+  this.log('info', `reloaded config roles, ${report.roles.length} role(s) changed, ${report.users.length} user(s) disavowed`)
+  return report
+}
+
+async function disavowChangedRoleMembers (before, after) {
+  const toKey = resolved => resolved && [...resolved.scopes].sort().join()
+  const changed = [...new Set([...before.scopes.keys(), ...after.scopes.keys()])]
+    .filter(_id => toKey(before.scopes.get(_id)) !== toKey(after.scopes.get(_id)))
+    .map(_id => after.byId.get(_id) ?? before.byId.get(_id))
+  let users = []
+  if (changed.length) {
+    const [auth, mongodb, usersModule] = await this.app.waitForModule('auth', 'mongodb', 'users')
+    const query = buildRoleMembersQuery(changed.map(r => r._id), [...before.groups, ...after.groups])
+    users = await mongodb.find(usersModule.collectionName, query, { projection: { _id: 1 } })
+    await Promise.all(users.map(u => auth.authentication.disavowUser({ userId: u._id })))
+  }
+  return { roles: changed.map(r => r.shortName), users: users.map(u => u._id.toString()) }
+}
+
+async function reloadHandler (req, res, next) {
+  try {
+    if (!req.auth.isSuper) {
+      this.log('error', 'UNAUTHORISED', req.auth.user._id.toString(), 'reload config roles')
+      throw this.app.errors.UNAUTHORISED.setData({ method: req.method, url: req.originalUrl })
+    }
+    res.json(await this.reloadConfigRoles())
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function historyHandler (req, res, next) {
+  try {
+    res.json(await this.getRoleHistory(req.params._id))
+  } catch (e) {
+    next(e)
+  }
+}
+
+async function rollbackHandler (req, res, next) {
+  try {
+    res.json(await this.rollbackRole(req, req.params._id, Number(req.params.version)))
+  } catch (e) {
+    next(e)
+  }
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('RolesModule', () => {
+  // ── setValues ──────────────────────────────────────────────────────
+
+  describe('setValues', () => {
+    it('should set schemaName to "role"', async () => {
+      const inst = createInstance()
+      await setValues.call(inst)
+      assert.equal(inst.schemaName, 'role')
+    })
+
+    it('should set collectionName to "roles"', async () => {
+      const inst = createInstance()
+      await setValues.call(inst)
+      assert.equal(inst.collectionName, 'roles')
+    })
+  })
+
+  // ── role cache ───────────────────────────────────────────────────────
+
+  describe('role cache', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+      { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] },
+      { _id: 'r3', shortName: 'restricted', scopes: [], denyScopes: ['write:content'] }
+    ]
+    const groups = [{ _id: 'g1', displayName: 'Editors', members: ['u1'], roles: ['r2'] }]
+
+    function createCacheInstance (mongodbMock = { find: mock.fn(async collectionName => collectionName === 'roles' ? roles : groups) }) {
+      const inst = createInstance({
+        collectionName: 'roles',
+        groupCollectionName: 'rolegroups',
+        app: { waitForModule: mock.fn(async () => mongodbMock), errors: {} },
+        roleCache: undefined,
+        roleCacheStats: { hits: 0, misses: 0, invalidations: 0 },
+        getRoleCache,
+        buildRoleCache,
+        invalidateRoleCache,
+        getRoleCacheStats
+      })
+      return { inst, mongodbMock }
+    }
+
+    it('should build the cache from the database on first use', async () => {
+      const { inst, mongodbMock } = createCacheInstance()
+      const cache = await getRoleCache.call(inst)
+      assert.deepEqual(mongodbMock.find.mock.calls.map(c => c.arguments), [['roles', {}], ['rolegroups', {}]])
+      assert.deepEqual(cache.scopes.get('r2').scopes, ['write:content', 'read:me'])
+      assert.equal(cache.byId.get('r1').shortName, 'authuser')
+      assert.deepEqual(cache.groups, groups)
+    })
+
+    it('should not query the database again once built', async () => {
+      const { inst, mongodbMock } = createCacheInstance()
+      await getRoleCache.call(inst)
+      await getRoleCache.call(inst)
+      assert.equal(mongodbMock.find.mock.callCount(), 2)
+      assert.equal(inst.find.mock.callCount(), 0)
+    })
+
+    it('should only build the cache once for concurrent calls', async () => {
+      const { inst, mongodbMock } = createCacheInstance()
+      await Promise.all([getRoleCache.call(inst), getRoleCache.call(inst)])
+      assert.equal(mongodbMock.find.mock.callCount(), 2)
+    })
+
+    it('should rebuild the cache after it has been invalidated', async () => {
+      const { inst, mongodbMock } = createCacheInstance()
+      await getRoleCache.call(inst)
+      invalidateRoleCache.call(inst)
+      await getRoleCache.call(inst)
+      assert.equal(mongodbMock.find.mock.callCount(), 4)
+    })
+
+    it('should not keep a failed build', async () => {
+      let calls = 0
+      const { inst } = createCacheInstance({
+        find: mock.fn(async collectionName => {
+          if (calls++ === 0) throw new Error('DB_ERROR')
+          return collectionName === 'roles' ? roles : groups
+        })
+      })
+      await assert.rejects(async () => getRoleCache.call(inst), { message: 'DB_ERROR' })
+      const cache = await getRoleCache.call(inst)
+      assert.equal(cache.roles.length, 3)
+    })
+
+    it('should record hits, misses and invalidations', async () => {
+      const { inst } = createCacheInstance()
+      assert.deepEqual(getRoleCacheStats.call(inst), { hits: 0, misses: 0, invalidations: 0, isCached: false })
+      await getRoleCache.call(inst)
+      await getRoleCache.call(inst)
+      await getRoleCache.call(inst)
+      assert.deepEqual(getRoleCacheStats.call(inst), { hits: 2, misses: 1, invalidations: 0, isCached: true })
+      invalidateRoleCache.call(inst)
+      assert.deepEqual(getRoleCacheStats.call(inst), { hits: 2, misses: 1, invalidations: 1, isCached: false })
+    })
+
+    it('should resolve scopes for multiple roles from the cache', async () => {
+      const { inst } = createCacheInstance()
+      inst.resolveRoleScopes = resolveRoleScopes
+      const result = await resolveRoleScopes.call(inst, ['r2', 'r3', 'missing'])
+      assert.deepEqual(result, resolveScopes(roles, ['r2', 'r3']))
+    })
+  })
+
+  // ── getScopesForRole ───────────────────────────────────────────────
+
+  describe('getScopesForRole', () => {
+    it('should return scopes for a single role', async () => {
+      const inst = createInstance({
+        find: mock.fn(async () => [
+          { _id: 'role1', shortName: 'admin', scopes: ['read:all', 'write:all'] }
+        ])
+      })
+      const result = await getScopesForRole.call(inst, 'role1')
+      assert.deepEqual(result, ['read:all', 'write:all'])
+    })
+
+    it('should accumulate scopes through role inheritance', async () => {
+      const inst = createInstance({
+        find: mock.fn(async () => [
+          { _id: 'role1', shortName: 'authuser', scopes: ['read:me'] },
+          {
             _id: 'role2',
             shortName: 'editor',
             scopes: ['write:content'],
@@ -296,9 +1504,189 @@ describe('RolesModule', () => {
       })
       await assert.rejects(
         async () => getScopesForRole.call(inst, 'nonexistent'),
-        TypeError
+        { code: 'NOT_FOUND' }
       )
     })
+
+    it('should not duplicate scopes shared with a parent role', async () => {
+      const inst = createInstance({
+        find: mock.fn(async () => [
+          { _id: 'r1', shortName: 'base', scopes: ['read:me'] },
+          { _id: 'r2', shortName: 'child', scopes: ['read:me', 'write:me'], extends: 'base' }
+        ])
+      })
+      const result = await getScopesForRole.call(inst, 'r2')
+      assert.deepEqual(result, ['read:me', 'write:me'])
+    })
+  })
+
+  // ── getScopesForUser ───────────────────────────────────────────────
+
+  describe('getScopesForUser', () => {
+    function createUserScopesInstance (userRoles, roleAssignments = []) {
+      const usersModule = {
+        findOne: mock.fn(async () => ({ roles: userRoles, roleAssignments }))
+      }
+      const inst = createInstance({
+        app: { waitForModule: mock.fn(async () => usersModule), errors: {} },
+        find: mock.fn(async () => [
+          { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+          { _id: 'r2', shortName: 'contentcreator', scopes: ['publish:adapt'], extends: 'authuser' },
+          { _id: 'r3', shortName: 'reviewer', scopes: ['read:content', 'read:me'] }
+        ])
+      })
+      return { inst, usersModule }
+    }
+
+    it('should merge scopes from all assigned roles', async () => {
+      const { inst } = createUserScopesInstance(['r2', 'r3'])
+      const result = await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(result.scopes, ['publish:adapt', 'read:me', 'read:content'])
+    })
+
+    it('should include roles from the user\'s groups in every context', async () => {
+      const { inst, usersModule } = createUserScopesInstance(['r1'])
+      usersModule.findOne = mock.fn(async () => ({ _id: 'user1', roles: ['r1'], roleAssignments: [] }))
+      inst.getRoleCache = mock.fn(async function () {
+        return indexRoles(await this.find(), [{ _id: 'g1', members: ['user1'], roles: ['r3', 'r1'] }, { _id: 'g2', members: ['user2'], roles: ['r2'] }])
+      })
+      const result = await getScopesForUser.call(inst, 'user1', { type: 'course', _id: 'c1' })
+      assert.deepEqual(result.roles, ['authuser', 'reviewer'])
+      assert.deepEqual(result.scopes, ['read:me', 'read:content'])
+    })
+
+    it('should list the shortNames of the assigned roles', async () => {
+      const { inst } = createUserScopesInstance(['r2', 'r3'])
+      const result = await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(result.roles, ['contentcreator', 'reviewer'])
+    })
+
+    it('should report which roles each scope came from', async () => {
+      const { inst } = createUserScopesInstance(['r2', 'r3'])
+      const result = await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(result.sources['publish:adapt'], ['contentcreator'])
+      assert.deepEqual(result.sources['read:me'], ['authuser', 'reviewer'])
+    })
+
+    it('should return empty results for a user without roles', async () => {
+      const { inst } = createUserScopesInstance([])
+      const result = await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(result, { roles: [], scopes: [], sources: {} })
+    })
+
+    it('should only query the role fields of the user', async () => {
+      const { inst, usersModule } = createUserScopesInstance([])
+      await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(usersModule.findOne.mock.calls[0].arguments, [
+        { _id: 'user1' },
+        { projection: { roles: 1, roleAssignments: 1 } }
+      ])
+    })
+
+    it('should include assignments for the requested context', async () => {
+      const { inst } = createUserScopesInstance(['r1'], [
+        { role: 'r2', context: { type: 'course', _id: 'c1' } },
+        { role: 'r3', context: { type: 'course', _id: 'c2' } }
+      ])
+      const result = await getScopesForUser.call(inst, 'user1', { type: 'course', _id: 'c1' })
+      assert.deepEqual(result.roles, ['authuser', 'contentcreator'])
+      assert.deepEqual(result.scopes, ['read:me', 'publish:adapt'])
+    })
+
+    it('should exclude contextual assignments when no context is given', async () => {
+      const { inst } = createUserScopesInstance(['r1'], [
+        { role: 'r2', context: { type: 'course', _id: 'c1' } }
+      ])
+      const result = await getScopesForUser.call(inst, 'user1')
+      assert.deepEqual(result.roles, ['authuser'])
+    })
+  })
+
+  // ── can ──────────────────────────────────────────────────────────────
+
+  describe('can', () => {
+    it('should return true for super users', async () => {
+      const inst = createInstance()
+      assert.equal(await can.call(inst, { auth: { isSuper: true, scopes: [] } }, 'write:content'), true)
+    })
+
+    it('should return false for unauthenticated requests', async () => {
+      const inst = createInstance()
+      assert.equal(await can.call(inst, {}, 'read:content'), false)
+    })
+
+    it('should support wildcard scopes', async () => {
+      const inst = createInstance()
+      const req = { auth: { scopes: ['read:*'], user: { _id: 'u1' } } }
+      assert.equal(await can.call(inst, req, 'read:content'), true)
+      assert.equal(await can.call(inst, req, 'write:content'), false)
+    })
+
+    it('should check the user\'s roles for the resource', async () => {
+      const inst = createInstance({ userHasScope: mock.fn(async () => true) })
+      const resource = { type: 'course', _id: 'c1' }
+      const req = { auth: { scopes: [], user: { _id: 'u1' } } }
+      assert.equal(await can.call(inst, req, 'write:content', resource), true)
+      assert.deepEqual(inst.userHasScope.mock.calls[0].arguments, ['u1', 'write:content', resource])
+    })
+
+    it('should include scopes granted via the user\'s groups', async () => {
+      const roles = [{ _id: 'r1', shortName: 'assigner', scopes: ['assign:roles'] }]
+      const groups = [{ _id: 'g1', roles: ['r1'], members: ['u1'] }]
+      const inst = createInstance({
+        app: { waitForModule: mock.fn(async () => ({ findOne: async () => ({ _id: 'u1', roles: [] }) })), errors: {} },
+        getRoleCache: mock.fn(async () => indexRoles(roles, groups)),
+        getScopesForUser,
+        userHasScope
+      })
+      const req = { auth: { scopes: [], user: { _id: 'u1' } } }
+      assert.equal(await can.call(inst, req, 'assign:roles'), true)
+      assert.equal(await can.call(inst, req, 'write:roles'), false)
+    })
+  })
+
+  // ── requireScopes ────────────────────────────────────────────────────
+
+  describe('requireScopes', () => {
+    function createReq (scopes) {
+      return { method: 'POST', originalUrl: '/api/content', auth: { scopes, user: { _id: 'u1' } } }
+    }
+
+    it('should call next if the user has all scopes', async () => {
+      const inst = createInstance()
+      const next = mock.fn()
+      await requireScopes.call(inst, 'read:content', 'write:content')(createReq(['read:*', 'write:content']), {}, next)
+      assert.deepEqual(next.mock.calls[0].arguments, [])
+    })
+
+    it('should pass UNAUTHORISED to next if the user lacks a scope', async () => {
+      const inst = createInstance()
+      const next = mock.fn()
+      await requireScopes.call(inst, 'read:content', 'write:content')(createReq(['read:content']), {}, next)
+      assert.equal(next.mock.callCount(), 1)
+      const [e] = next.mock.calls[0].arguments
+      assert.equal(e.code, 'UNAUTHORISED')
+      assert.deepEqual(e.data, { method: 'POST', url: '/api/content' })
+      assert.equal(inst.log.mock.calls[0].arguments.at(-1), 'write:content')
+    })
+
+    it('should check scopes for the resource returned by getResource', async () => {
+      const inst = createInstance({ userHasScope: mock.fn(async () => true) })
+      const next = mock.fn()
+      const getResource = mock.fn(async req => ({ type: 'course', _id: req.params._id }))
+      const req = { ...createReq([]), params: { _id: 'c1' } }
+      await requireScopes.call(inst, 'write:content', { getResource })(req, {}, next)
+      assert.deepEqual(next.mock.calls[0].arguments, [])
+      assert.deepEqual(inst.userHasScope.mock.calls[0].arguments[2], { type: 'course', _id: 'c1' })
+    })
+
+    it('should pass errors from getResource to next', async () => {
+      const inst = createInstance()
+      const next = mock.fn()
+      const error = new Error('NOT_FOUND')
+      await requireScopes.call(inst, 'write:content', { getResource: async () => { throw error } })(createReq([]), {}, next)
+      assert.equal(next.mock.calls[0].arguments[0], error)
+    })
   })
 
   // ── shortNamesToIds ────────────────────────────────────────────────
@@ -354,32 +1742,39 @@ describe('RolesModule', () => {
     })
   })
 
-  // ── getSuperRoleId ─────────────────────────────────────────────────
+  // ── getSuperRoleIds ────────────────────────────────────────────────
 
-  describe('getSuperRoleId', () => {
-    it('should return the id of the super role', async () => {
-      const inst = createInstance({
-        find: mock.fn(async () => [{ _id: 'super1', scopes: ['*:*'] }])
-      })
-      const result = await getSuperRoleId.call(inst)
-      assert.equal(result, 'super1')
-    })
+  describe('getSuperRoleIds', () => {
+    const roles = [
+      { _id: 'super1', shortName: 'superuser', scopes: ['*:*'] },
+      { _id: 'super2', shortName: 'admin', extends: 'superuser', scopes: [] },
+      { _id: 'limited', shortName: 'limited', extends: 'superuser', scopes: [], denyScopes: ['write:users'] },
+      { _id: 'reader', shortName: 'reader', scopes: ['read:*'] }
+    ]
 
-    it('should query for scopes ["*:*"]', async () => {
-      const findMock = mock.fn(async () => [{ _id: 'x', scopes: ['*:*'] }])
-      const inst = createInstance({ find: findMock })
-      await getSuperRoleId.call(inst)
-      assert.deepEqual(findMock.mock.calls[0].arguments[0], { scopes: ['*:*'] })
+    it('should return every role which grants full access', async () => {
+      const inst = createInstance({ find: mock.fn(async () => roles) })
+      assert.deepEqual(await getSuperRoleIds.call(inst), ['super1', 'super2'])
     })
 
-    it('should throw if no super role exists', async () => {
-      const inst = createInstance({
-        find: mock.fn(async () => [])
-      })
-      await assert.rejects(
-        async () => getSuperRoleId.call(inst),
-        TypeError
-      )
+    it('should use the passed roles if specified', async () => {
+      const inst = createInstance()
+      assert.deepEqual(await getSuperRoleIds.call(inst, roles.slice(0, 1)), ['super1'])
+      assert.equal(inst.find.mock.callCount(), 0)
+    })
+  })
+
+  // ── getSuperRoleId ─────────────────────────────────────────────────
+
+  describe('getSuperRoleId', () => {
+    it('should return the id of a super role', async () => {
+      const inst = createInstance({ getSuperRoleIds: mock.fn(async () => ['super1', 'super2']) })
+      assert.equal(await getSuperRoleId.call(inst), 'super1')
+    })
+
+    it('should return undefined if no super role exists', async () => {
+      const inst = createInstance({ getSuperRoleIds: mock.fn(async () => []) })
+      assert.equal(await getSuperRoleId.call(inst), undefined)
     })
   })
 
@@ -392,8 +1787,46 @@ describe('RolesModule', () => {
       assert.equal(result, true)
     })
 
-    it('should return false if user has multiple roles', async () => {
-      const { inst } = createIsTargetSuperInstance(['super1', 'other'])
+    it('should return true if user has the super role alongside other roles', async () => {
+      const { inst } = createIsTargetSuperInstance(['super1', 'regular1'])
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, true)
+    })
+
+    it('should return true if user has a role which inherits full access', async () => {
+      const { inst } = createIsTargetSuperInstance(['admin1'])
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, true)
+    })
+
+    it('should return true if full access is granted by a global role assignment', async () => {
+      const { inst } = createIsTargetSuperInstance([], [{ role: 'super1' }])
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, true)
+    })
+
+    it('should return true if full access is granted by a group', async () => {
+      const { inst } = createIsTargetSuperInstance(['regular1'])
+      inst.getRoleCache = mock.fn(async () => indexRoles(SUPER_TEST_ROLES, [{ _id: 'g1', members: ['user1'], roles: ['super1'] }]))
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, true)
+    })
+
+    it('should return false if full access is only granted in a context', async () => {
+      const { inst } = createIsTargetSuperInstance([], [{ role: 'super1', context: { type: 'course', _id: 'c1' } }])
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, false)
+    })
+
+    it('should return true if another role denies scopes', async () => {
+      const { inst } = createIsTargetSuperInstance(['super1', 'restricted1'])
+      const result = await isTargetSuper.call(inst, 'user1')
+      assert.equal(result, true)
+    })
+
+    it('should return false if the super role is restricted by a role which extends it', async () => {
+      const { inst } = createIsTargetSuperInstance(['limited1'])
+      inst.find = mock.fn(async () => [...SUPER_TEST_ROLES, { _id: 'limited1', shortName: 'limited', extends: 'superuser', scopes: [], denyScopes: ['write:users'] }])
       const result = await isTargetSuper.call(inst, 'user1')
       assert.equal(result, false)
     })
@@ -409,12 +1842,108 @@ describe('RolesModule', () => {
       const result = await isTargetSuper.call(inst, 'user1')
       assert.equal(result, false)
     })
+  })
+
+  // ── getSuperUsers ──────────────────────────────────────────────────
+
+  describe('getSuperUsers', () => {
+    it('should return users with full access', async () => {
+      const mongodbMock = {
+        find: mock.fn(async () => [
+          { _id: 'u1', roles: ['super1'] },
+          { _id: 'u2', roles: ['super1', 'restricted1'] },
+          { _id: 'u3', roles: [], roleAssignments: [{ role: 'super1', context: { type: 'course', _id: 'c1' } }] }
+        ])
+      }
+      const inst = createInstance({
+        app: { waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]), errors: {} },
+        find: mock.fn(async () => SUPER_TEST_ROLES),
+        getSuperRoleIds
+      })
+      const result = await getSuperUsers.call(inst)
+      assert.deepEqual(result.map(u => u._id), ['u1', 'u2'])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1], {
+        $or: [{ roles: { $in: ['super1', 'admin1'] } }, { 'roleAssignments.role': { $in: ['super1', 'admin1'] } }]
+      })
+    })
+
+    it('should include members of groups with full access', async () => {
+      const mongodbMock = {
+        find: mock.fn(async () => [{ _id: 'u1', roles: [] }, { _id: 'u2', roles: ['restricted1'] }])
+      }
+      const groups = [
+        { _id: 'g1', members: ['u1', 'u2'], roles: ['admin1'] },
+        { _id: 'g2', members: ['u3'], roles: ['regular1'] }
+      ]
+      const inst = createInstance({
+        app: { waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]), errors: {} },
+        getRoleCache: mock.fn(async () => indexRoles(SUPER_TEST_ROLES, groups)),
+        getSuperRoleIds
+      })
+      const result = await getSuperUsers.call(inst)
+      assert.deepEqual(result.map(u => u._id), ['u1', 'u2'])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1].$or[2], { _id: { $in: ['u1', 'u2'] } })
+    })
+  })
+
+  // ── checkSuperUserRemains ──────────────────────────────────────────
+
+  describe('checkSuperUserRemains', () => {
+    function createRemainsInstance (superUsers) {
+      return createInstance({
+        app: { errors: { LAST_SUPERUSER: createError('LAST_SUPERUSER') } },
+        find: mock.fn(async () => SUPER_TEST_ROLES),
+        getSuperUsers: mock.fn(async () => superUsers)
+      })
+    }
+
+    it('should allow changes if no super users exist', async () => {
+      const inst = createRemainsInstance([])
+      await checkSuperUserRemains.call(inst, { updateUser: () => undefined })
+    })
+
+    it('should allow demoting a super user if another remains', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: ['super1'] }, { _id: 'u2', roles: ['admin1'] }])
+      await checkSuperUserRemains.call(inst, { updateUser: u => u._id === 'u1' ? { roles: [] } : u })
+    })
+
+    it('should reject demoting the last super user', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: ['super1'] }])
+      await assert.rejects(
+        async () => checkSuperUserRemains.call(inst, { updateUser: () => ({ roles: ['regular1'] }) }),
+        { code: 'LAST_SUPERUSER' }
+      )
+    })
+
+    it('should reject deleting the last super user', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: ['super1'] }])
+      await assert.rejects(
+        async () => checkSuperUserRemains.call(inst, { updateUser: () => undefined }),
+        { code: 'LAST_SUPERUSER' }
+      )
+    })
+
+    it('should take group roles into account', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: ['super1'] }])
+      inst.getRoleCache = mock.fn(async () => indexRoles(SUPER_TEST_ROLES, [{ _id: 'g1', members: ['u1'], roles: ['admin1'] }]))
+      await checkSuperUserRemains.call(inst, { updateUser: () => ({ roles: [] }) })
+    })
+
+    it('should reject group changes which remove full access from the last super user', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: [] }])
+      inst.getRoleCache = mock.fn(async () => indexRoles(SUPER_TEST_ROLES, [{ _id: 'g1', members: ['u1'], roles: ['super1'] }]))
+      await assert.rejects(
+        async () => checkSuperUserRemains.call(inst, { groups: [{ _id: 'g1', members: [], roles: ['super1'] }] }),
+        { code: 'LAST_SUPERUSER' }
+      )
+    })
 
-    it('should pass projection for roles only', async () => {
-      const { inst, usersModule } = createIsTargetSuperInstance(['super1'])
-      await isTargetSuper.call(inst, 'user1')
-      const findArgs = usersModule.find.mock.calls[0].arguments
-      assert.deepEqual(findArgs[1], { projection: { roles: 1 } })
+    it('should reject role changes which remove full access from the last super user', async () => {
+      const inst = createRemainsInstance([{ _id: 'u1', roles: ['super1'] }])
+      await assert.rejects(
+        async () => checkSuperUserRemains.call(inst, { roles: [{ _id: 'super1', shortName: 'superuser', scopes: ['read:*'] }] }),
+        { code: 'LAST_SUPERUSER' }
+      )
     })
   })
 
@@ -432,7 +1961,7 @@ describe('RolesModule', () => {
           user: { _id: { toString: () => 'user1' } }
         },
         apiData: {
-          modifying: false,
+          modifying: true,
           data: { roles: ['role1'] },
           query: { _id: 'target1' }
         },
@@ -440,13 +1969,22 @@ describe('RolesModule', () => {
       }
     }
 
-    it('should return early if modifying is not false', async () => {
-      const inst = createInstance()
+    it('should return early for requests which do not modify data', async () => {
+      const inst = createInstance({ getUserRoles: mock.fn(async () => ({ roles: [], roleAssignments: [] })) })
       const req = createReq({
-        apiData: { modifying: true, data: { roles: ['r1'] }, query: {} }
+        method: 'GET',
+        apiData: { modifying: false, data: { roles: ['r1'] }, query: {} }
       })
       const result = await onUpdateRoles.call(inst, req)
       assert.equal(result, undefined)
+      assert.equal(inst.getUserRoles.mock.callCount(), 0)
+    })
+
+    it('should check changes made by modifying requests', async () => {
+      const { inst } = createDisavowInstance()
+      await onUpdateRoles.call(inst, createReq({ method: 'PATCH' }))
+      assert.equal(inst.checkRoleDelegation.mock.callCount(), 1)
+      assert.equal(inst.checkSuperUserRemains.mock.callCount(), 1)
     })
 
     it('should return early if apiData is undefined', async () => {
@@ -460,7 +1998,7 @@ describe('RolesModule', () => {
       const inst = createInstance()
       const req = createReq({
         method: 'PUT',
-        apiData: { modifying: false, data: {}, query: {} }
+        apiData: { modifying: true, data: {}, query: {} }
       })
       const result = await onUpdateRoles.call(inst, req)
       assert.equal(result, undefined)
@@ -470,7 +2008,7 @@ describe('RolesModule', () => {
       const { inst, disavowMock } = createDisavowInstance()
       const req = createReq({
         method: 'DELETE',
-        apiData: { modifying: false, data: {}, query: { _id: 'target1' } },
+        apiData: { modifying: true, data: {}, query: { _id: 'target1' } },
         auth: {
           isSuper: true,
           scopes: [],
@@ -496,7 +2034,7 @@ describe('RolesModule', () => {
 
     it('should throw if non-super user lacks assign:roles scope', async () => {
       const inst = createInstance({
-        getSuperRoleId: mock.fn(async () => 'super1'),
+        getSuperRoleIds: mock.fn(async () => ['super1']),
         isTargetSuper: mock.fn(async () => false)
       })
       const req = createReq({
@@ -509,9 +2047,56 @@ describe('RolesModule', () => {
       await assert.rejects(async () => onUpdateRoles.call(inst, req))
     })
 
+    it('should reject changes which leave no super users', async () => {
+      const { inst } = createDisavowInstance()
+      inst.checkSuperUserRemains = mock.fn(async () => { throw createError('LAST_SUPERUSER') })
+      await assert.rejects(async () => onUpdateRoles.call(inst, createReq()), { code: 'LAST_SUPERUSER' })
+    })
+
+    it('should pass the updated roles to the super user check', async () => {
+      const { inst } = createDisavowInstance()
+      await onUpdateRoles.call(inst, createReq())
+      const { updateUser } = inst.checkSuperUserRemains.mock.calls[0].arguments[0]
+      const other = { _id: { toString: () => 'other' } }
+      assert.equal(updateUser(other), other)
+      assert.deepEqual(updateUser({ _id: { toString: () => 'target1' } }).roles, ['role1'])
+    })
+
+    it('should only check delegation of newly granted roles', async () => {
+      const { inst } = createDisavowInstance()
+      const context = { type: 'course', _id: 'c1' }
+      inst.getUserRoles = mock.fn(async () => ({ roles: ['role1'], roleAssignments: [{ role: 'role2', context }] }))
+      const req = createReq({
+        apiData: {
+          modifying: true,
+          data: { roles: ['role1', 'role3'], roleAssignments: [{ role: 'role4', context }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await onUpdateRoles.call(inst, req)
+      assert.deepEqual(inst.checkRoleDelegation.mock.calls[0].arguments[1], [{ role: 'role3' }, { role: 'role4', context }])
+    })
+
+    it('should accept a wildcard scope covering assign:roles', async () => {
+      const { inst, disavowMock } = createDisavowInstance()
+      Object.assign(inst, {
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false)
+      })
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: ['assign:*'],
+          user: { _id: { toString: () => 'u1' } }
+        }
+      })
+      await onUpdateRoles.call(inst, req)
+      assert.equal(disavowMock.mock.callCount(), 1)
+    })
+
     it('should throw if assigning super role', async () => {
       const inst = createInstance({
-        getSuperRoleId: mock.fn(async () => 'super1'),
+        getSuperRoleIds: mock.fn(async () => ['super1']),
         isTargetSuper: mock.fn(async () => false)
       })
       const req = createReq({
@@ -521,7 +2106,7 @@ describe('RolesModule', () => {
           user: { _id: { toString: () => 'u1' } }
         },
         apiData: {
-          modifying: false,
+          modifying: true,
           data: { roles: ['super1'] },
           query: { _id: 'target1' }
         }
@@ -531,7 +2116,7 @@ describe('RolesModule', () => {
 
     it('should throw if modifying a super user', async () => {
       const inst = createInstance({
-        getSuperRoleId: mock.fn(async () => 'super1'),
+        getSuperRoleIds: mock.fn(async () => ['super1']),
         isTargetSuper: mock.fn(async () => true)
       })
       const req = createReq({
@@ -541,7 +2126,7 @@ describe('RolesModule', () => {
           user: { _id: { toString: () => 'u1' } }
         },
         apiData: {
-          modifying: false,
+          modifying: true,
           data: { roles: ['regular1'] },
           query: { _id: 'target1' }
         }
@@ -549,6 +2134,117 @@ describe('RolesModule', () => {
       await assert.rejects(async () => onUpdateRoles.call(inst, req))
     })
 
+    it('should check assign:roles in the context of changed assignments', async () => {
+      const { inst, disavowMock } = createDisavowInstance()
+      Object.assign(inst, {
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false),
+        userHasScope: mock.fn(async () => true)
+      })
+      const context = { type: 'course', _id: 'c1' }
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: [],
+          user: { _id: { toString: () => 'u1' } }
+        },
+        apiData: {
+          modifying: true,
+          data: { roleAssignments: [{ role: 'r1', context }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await onUpdateRoles.call(inst, req)
+      assert.deepEqual(inst.userHasScope.mock.calls[0].arguments.slice(1), ['assign:roles', context])
+      assert.equal(disavowMock.mock.callCount(), 1)
+    })
+
+    it('should check assign:roles when only the validity of an assignment changes', async () => {
+      const { inst } = createDisavowInstance()
+      const context = { type: 'course', _id: 'c1' }
+      inst.getUserRoles = mock.fn(async () => ({ roles: [], roleAssignments: [{ role: 'r1', context, validUntil: new Date('2026-01-01') }] }))
+      inst.userHasScope = mock.fn(async () => false)
+      const req = createReq({
+        auth: { isSuper: false, scopes: [], user: { _id: { toString: () => 'u1' } } },
+        apiData: {
+          modifying: true,
+          data: { roleAssignments: [{ role: 'r1', context }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await assert.rejects(onUpdateRoles.call(inst, req), { message: 'UNAUTHORISED' })
+      assert.deepEqual(inst.userHasScope.mock.calls[0].arguments.slice(1), ['assign:roles', context])
+    })
+
+    it('should throw if lacking assign:roles in the context of an assignment', async () => {
+      const inst = createInstance({
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false)
+      })
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: [],
+          user: { _id: { toString: () => 'u1' } }
+        },
+        apiData: {
+          modifying: true,
+          data: { roleAssignments: [{ role: 'r1', context: { type: 'course', _id: 'c1' } }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await assert.rejects(async () => onUpdateRoles.call(inst, req))
+    })
+
+    it('should check the context of removed assignments', async () => {
+      const inst = createInstance({
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false),
+        getUserRoles: mock.fn(async () => ({
+          roles: [],
+          roleAssignments: [
+            { role: 'r1', context: { type: 'course', _id: 'c1' } },
+            { role: 'r1', context: { type: 'course', _id: 'c2' } }
+          ]
+        })),
+        userHasScope: mock.fn(async (userId, scope, context) => context._id === 'c1')
+      })
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: [],
+          user: { _id: { toString: () => 'u1' } }
+        },
+        apiData: {
+          modifying: true,
+          data: { roleAssignments: [{ role: 'r1', context: { type: 'course', _id: 'c1' } }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await assert.rejects(async () => onUpdateRoles.call(inst, req))
+    })
+
+    it('should throw if assigning super role within a context', async () => {
+      const inst = createInstance({
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false),
+        userHasScope: mock.fn(async () => true)
+      })
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: ['assign:roles'],
+          user: { _id: { toString: () => 'u1' } }
+        },
+        apiData: {
+          modifying: true,
+          data: { roleAssignments: [{ role: 'super1', context: { type: 'course', _id: 'c1' } }] },
+          query: { _id: 'target1' }
+        }
+      })
+      await assert.rejects(async () => onUpdateRoles.call(inst, req))
+    })
+
     it('should disavow user for non-POST methods', async () => {
       const { inst, disavowMock } = createDisavowInstance()
       const req = createReq({
@@ -586,6 +2282,76 @@ describe('RolesModule', () => {
       )
     })
 
+    it('should record the change in the audit log', async () => {
+      const { inst } = createDisavowInstance()
+      inst.getUserRoles = mock.fn(async () => ({ roles: ['r1'], roleAssignments: [] }))
+      const req = createReq({
+        apiData: {
+          modifying: true,
+          data: { roles: ['r2'] },
+          query: { _id: 'target1' }
+        }
+      })
+      await onUpdateRoles.call(inst, req)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+      await onAuditUserRoles.call(inst, 'user:target1', { _id: 'target1', roles: ['r2'] })
+      assert.equal(inst.logAudit.mock.callCount(), 1)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'assign')
+      assert.equal(entry.targetUser, 'target1')
+      assert.deepEqual(entry.roles, ['r1', 'r2'])
+      assert.deepEqual(entry.before, { roles: ['r1'], roleAssignments: [] })
+      assert.deepEqual(entry.after, { roles: ['r2'], roleAssignments: [] })
+    })
+
+    it('should match new users by email when recording the change', async () => {
+      const { inst } = createDisavowInstance()
+      const req = createReq({
+        method: 'POST',
+        apiData: {
+          modifying: true,
+          data: { email: 'new@example.com', roles: ['r2'] },
+          query: {}
+        }
+      })
+      await onUpdateRoles.call(inst, req)
+      await onAuditUserRoles.call(inst, 'user:new@example.com', { _id: 'new1', roles: ['r2'] })
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].targetUser, 'new1')
+    })
+
+    it('should not record changes which were never written', async () => {
+      const { inst } = createDisavowInstance()
+      const res = new EventEmitter()
+      const req = createReq({
+        apiData: {
+          modifying: true,
+          data: { roles: ['r2'] },
+          query: { _id: 'target1' }
+        },
+        res
+      })
+      await onUpdateRoles.call(inst, req)
+      res.emit('finish')
+      await onAuditUserRoles.call(inst, 'user:target1', { _id: 'target1', roles: ['r2'] })
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
+    it('should not record rejected changes in the audit log', async () => {
+      const inst = createInstance({
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => false)
+      })
+      const req = createReq({
+        auth: {
+          isSuper: false,
+          scopes: [],
+          user: { _id: { toString: () => 'u1' } }
+        }
+      })
+      await assert.rejects(async () => onUpdateRoles.call(inst, req))
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
     it('should not disavow user for POST method', async () => {
       const { inst, disavowMock } = createDisavowInstance()
       const req = createReq({
@@ -602,7 +2368,7 @@ describe('RolesModule', () => {
 
     it('should log the unauthorised attempt', async () => {
       const inst = createInstance({
-        getSuperRoleId: mock.fn(async () => 'super1'),
+        getSuperRoleIds: mock.fn(async () => ['super1']),
         isTargetSuper: mock.fn(async () => false)
       })
       const req = createReq({
@@ -619,225 +2385,3035 @@ describe('RolesModule', () => {
     })
   })
 
-  // ── onCheckUserAccess ──────────────────────────────────────────────
+  // ── removeExpiredAssignments ───────────────────────────────────────
 
-  describe('onCheckUserAccess', () => {
-    it('should return true for non-modifying requests', async () => {
+  describe('removeExpiredAssignments', () => {
+    const past = new Date(Date.now() - 60000)
+    const future = new Date(Date.now() + 60000)
+
+    function createExpiryInstance (userDocs) {
+      const disavowMock = mock.fn(async () => {})
+      const mongodbMock = {
+        find: mock.fn(async () => userDocs),
+        update: mock.fn(async () => {})
+      }
       const inst = createInstance({
-        isTargetSuper: mock.fn(async () => true)
+        app: {
+          waitForModule: mock.fn(async () => [
+            { authentication: { disavowUser: disavowMock } },
+            mongodbMock,
+            { collectionName: 'users' }
+          ]),
+          errors: {}
+        }
       })
-      const req = { apiData: { modifying: false, query: { _id: 'x' } } }
-      const result = await onCheckUserAccess.call(inst, req)
-      assert.equal(result, true)
+      return { inst, disavowMock, mongodbMock }
+    }
+
+    it('should remove only the expired assignments', async () => {
+      const { inst, mongodbMock } = createExpiryInstance([
+        { _id: 'u1', roleAssignments: [{ role: 'r1', validUntil: past }, { role: 'r2', validUntil: future }, { role: 'r3' }] }
+      ])
+      await removeExpiredAssignments.call(inst)
+      assert.equal(mongodbMock.update.mock.callCount(), 1)
+      assert.deepEqual(mongodbMock.update.mock.calls[0].arguments, [
+        'users',
+        { _id: 'u1' },
+        { $set: { roleAssignments: [{ role: 'r2', validUntil: future }, { role: 'r3' }] } }
+      ])
     })
 
-    it('should return true for non-super targets', async () => {
+    it('should disavow each affected user', async () => {
+      const { inst, disavowMock } = createExpiryInstance([
+        { _id: 'u1', roleAssignments: [{ role: 'r1', validUntil: past }] },
+        { _id: 'u2', roleAssignments: [{ role: 'r1', validUntil: past }] }
+      ])
+      const result = await removeExpiredAssignments.call(inst)
+      assert.equal(disavowMock.mock.callCount(), 2)
+      assert.deepEqual(disavowMock.mock.calls[0].arguments[0], { userId: 'u1' })
+      assert.deepEqual(result, ['u1', 'u2'])
+    })
+
+    it('should leave users without expired assignments untouched', async () => {
+      const { inst, disavowMock, mongodbMock } = createExpiryInstance([
+        { _id: 'u1', roleAssignments: [{ role: 'r1', validUntil: future }] }
+      ])
+      const result = await removeExpiredAssignments.call(inst)
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
+      assert.equal(disavowMock.mock.callCount(), 0)
+      assert.deepEqual(result, [])
+    })
+  })
+
+  // ── getRoleDependents ──────────────────────────────────────────────
+
+  describe('getRoleDependents', () => {
+    it('should return users holding the role and roles extending it', async () => {
+      const mongodbMock = { find: mock.fn(async () => [{ _id: 'u1' }]) }
       const inst = createInstance({
-        isTargetSuper: mock.fn(async () => false)
+        app: {
+          waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]),
+          errors: {}
+        },
+        getRoleMembersQuery,
+        find: mock.fn(async () => [
+          { _id: 'r1', shortName: 'base', scopes: [] },
+          { _id: 'r2', shortName: 'child', extends: 'base', scopes: [] },
+          { _id: 'r3', shortName: 'multi', extends: ['other', 'base'], scopes: [] },
+          { _id: 'r4', shortName: 'other', scopes: [] }
+        ])
       })
-      const req = { apiData: { modifying: true, query: { _id: 'x' } } }
-      const result = await onCheckUserAccess.call(inst, req)
-      assert.equal(result, true)
+      const result = await getRoleDependents.call(inst, { _id: 'r1', shortName: 'base' })
+      assert.deepEqual(result.users, [{ _id: 'u1' }])
+      assert.deepEqual(result.roles.map(r => r.shortName), ['child', 'multi'])
+      assert.deepEqual(result.groups, [])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments, [
+        'users',
+        { $or: [{ roles: { $in: ['r1'] } }, { 'roleAssignments.role': { $in: ['r1'] } }] }
+      ])
     })
 
-    it('should throw for modifying requests targeting super users', async () => {
+    it('should include user groups holding the role and their members', async () => {
+      const mongodbMock = { find: mock.fn(async () => []) }
+      const groups = [
+        { _id: 'g1', roles: ['r1'], members: ['u1'] },
+        { _id: 'g2', roles: ['r2'], members: ['u2'] }
+      ]
       const inst = createInstance({
-        isTargetSuper: mock.fn(async () => true)
+        app: {
+          waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]),
+          errors: {}
+        },
+        getRoleMembersQuery,
+        getRoleCache: mock.fn(async () => indexRoles([], groups))
       })
-      const req = { apiData: { modifying: true, query: { _id: 'x' } } }
-      await assert.rejects(
-        async () => onCheckUserAccess.call(inst, req)
-      )
+      const result = await getRoleDependents.call(inst, { _id: 'r1', shortName: 'base' })
+      assert.deepEqual(result.groups, [groups[0]])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1].$or[2], { _id: { $in: ['u1'] } })
     })
+  })
 
-    it('should not call isTargetSuper for non-modifying requests', async () => {
-      const isTargetSuperMock = mock.fn(async () => true)
-      const inst = createInstance({ isTargetSuper: isTargetSuperMock })
-      const req = { apiData: { modifying: false, query: { _id: 'x' } } }
-      await onCheckUserAccess.call(inst, req)
-      assert.equal(isTargetSuperMock.mock.callCount(), 0)
+  describe('removeGroupRole', () => {
+    it('should remove the role from any groups holding it', async () => {
+      const mongodbMock = { updateMany: mock.fn(async () => {}) }
+      const inst = createInstance({
+        groupCollectionName: 'rolegroups',
+        app: { waitForModule: mock.fn(async () => mongodbMock), errors: {} }
+      })
+      await removeGroupRole.call(inst, { _id: 'r1', shortName: 'old' })
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments, ['rolegroups', { roles: 'r1' }, { $pull: { roles: 'r1' } }])
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 1)
     })
   })
 
-  // ── initConfigRoles ────────────────────────────────────────────────
+  // ── role members ───────────────────────────────────────────────────
 
-  describe('initConfigRoles', () => {
-    it('should insert new roles that do not exist', async () => {
-      const { inst } = createConfigRolesInstance([
-        { shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] }
-      ])
-      await initConfigRoles.call(inst)
-      assert.equal(inst.insert.mock.callCount(), 1)
-      assert.equal(
-        inst.insert.mock.calls[0].arguments[0].shortName, 'newrole'
-      )
+  describe('role members', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', scopes: [] },
+      { _id: 'r2', shortName: 'creator', extends: 'authuser', scopes: [] },
+      { _id: 'r3', shortName: 'editor', extends: 'creator', scopes: [] }
+    ]
+
+    function createMembersInstance (mongodbMock = {}) {
+      return createInstance({
+        app: {
+          waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]),
+          errors: {}
+        },
+        find: mock.fn(async () => roles),
+        findOne: mock.fn(async () => roles[0]),
+        getRoleMembersQuery
+      })
+    }
+
+    it('should match users who hold the role globally or in a context', async () => {
+      const inst = createMembersInstance()
+      assert.deepEqual(await getRoleMembersQuery.call(inst, roles[0]), {
+        $or: [{ roles: { $in: ['r1'] } }, { 'roleAssignments.role': { $in: ['r1'] } }]
+      })
     })
 
-    it('should replace existing roles', async () => {
-      const { inst, mongodbMock } = createConfigRolesInstance(
-        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
-        { find: mock.fn(async () => [{ _id: 'existing1', shortName: 'admin' }]) }
-      )
-      await initConfigRoles.call(inst)
-      assert.equal(mongodbMock.replace.mock.callCount(), 1)
-      assert.deepEqual(
-        mongodbMock.replace.mock.calls[0].arguments[1], { _id: 'existing1' }
-      )
+    it('should optionally match users who hold an inheriting role', async () => {
+      const inst = createMembersInstance()
+      const query = await getRoleMembersQuery.call(inst, roles[0], { indirect: true })
+      assert.deepEqual(query.$or[0], { roles: { $in: ['r1', 'r2', 'r3'] } })
     })
 
-    it('should log debug on successful insert', async () => {
-      const { inst } = createConfigRolesInstance([
-        { shortName: 'testrole', displayName: 'Test', scopes: [] }
-      ], { insert: mock.fn(async () => {}) })
-      await initConfigRoles.call(inst)
-      assert.equal(inst.log.mock.calls[0].arguments[0], 'debug')
-      assert.equal(inst.log.mock.calls[0].arguments[1], 'INSERT')
+    it('should match the members of user groups which hold the role', async () => {
+      const inst = createMembersInstance()
+      const groups = [{ _id: 'g1', roles: ['r3'], members: ['u1'] }, { _id: 'g2', roles: [], members: ['u2'] }]
+      inst.getRoleCache = mock.fn(async () => indexRoles(roles, groups))
+      assert.equal((await getRoleMembersQuery.call(inst, roles[0])).$or.length, 2)
+      const query = await getRoleMembersQuery.call(inst, roles[0], { indirect: true })
+      assert.deepEqual(query.$or[2], { _id: { $in: ['u1'] } })
     })
 
-    it('should log debug on successful replace', async () => {
-      const { inst } = createConfigRolesInstance(
-        [{ shortName: 'admin', displayName: 'Admin', scopes: [] }],
-        { find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin' }]) }
+    it('should add a member count to each role', async () => {
+      const mongodbMock = { count: mock.fn(async (collectionName, query) => query.$or[0].roles.$in[0] === 'r1' ? 3 : 0) }
+      const inst = createMembersInstance(mongodbMock)
+      const result = await addMemberCounts.call(inst, roles.slice(0, 2))
+      assert.deepEqual(result.map(r => r.memberCount), [3, 0])
+      assert.equal(result[0].shortName, 'authuser')
+    })
+
+    it('should respond with a paginated list of members', async () => {
+      const mongodbMock = { find: mock.fn(async () => [{ _id: 'u1' }]) }
+      const inst = createMembersInstance(mongodbMock)
+      inst.setUpPagination = mock.fn(async (req, res, mongoOpts) => Object.assign(mongoOpts, { limit: 10, skip: 10 }))
+      const req = { params: { _id: 'r1' }, query: { indirect: 'true', page: '2' }, apiData: { collectionName: 'roles', query: {} } }
+      const res = { json: mock.fn() }
+      await membersHandler.call(inst, req, res, mock.fn())
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ _id: 'u1' }])
+      assert.equal(req.apiData.collectionName, 'users')
+      const [collectionName, query, opts] = mongodbMock.find.mock.calls[0].arguments
+      assert.equal(collectionName, 'users')
+      assert.deepEqual(query.$or[0], { roles: { $in: ['r1', 'r2', 'r3'] } })
+      assert.equal(opts.limit, 10)
+      assert.equal(opts.skip, 10)
+      assert.equal(opts.projection.password, undefined)
+    })
+
+    it('should pass errors to next', async () => {
+      const inst = createMembersInstance()
+      const error = new Error('not found')
+      inst.findOne = mock.fn(async () => { throw error })
+      const next = mock.fn()
+      await membersHandler.call(inst, { params: { _id: 'r9' }, query: {} }, { json: mock.fn() }, next)
+      assert.equal(next.mock.calls[0].arguments[0], error)
+    })
+  })
+
+  // ── reassignRole ───────────────────────────────────────────────────
+
+  describe('reassignRole', () => {
+    const oldRole = { _id: 'r1', shortName: 'old' }
+    const newRole = { _id: 'r2', shortName: 'new' }
+    const req = { auth: { isSuper: true, user: { _id: 'admin1' } } }
+
+    function createReassignInstance (dependents, allRoles) {
+      const disavowMock = mock.fn(async () => {})
+      const mongodbMock = { update: mock.fn(async () => {}) }
+      const inst = createInstance({
+        app: {
+          waitForModule: mock.fn(async () => [
+            { authentication: { disavowUser: disavowMock } },
+            mongodbMock,
+            { collectionName: 'users' }
+          ]),
+          errors: {
+            ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE'),
+            UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE')
+          }
+        },
+        find: mock.fn(async () => allRoles),
+        update: mock.fn(async () => {}),
+        getRoleDependents: mock.fn(async () => ({ groups: [], ...dependents })),
+        getRoleCache: mock.fn(async () => ({ roles: allRoles, groups: dependents.groups ?? [] })),
+        checkGroupChange: mock.fn(async () => []),
+        writeGroup: mock.fn(async () => {}),
+        validateRoleInheritance
+      })
+      return { inst, disavowMock, mongodbMock }
+    }
+
+    it('should move users to the new role and disavow them', async () => {
+      const { inst, disavowMock, mongodbMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: ['r1'] }], roles: [] },
+        [oldRole, newRole]
       )
-      await initConfigRoles.call(inst)
-      assert.equal(inst.log.mock.calls[0].arguments[0], 'debug')
-      assert.equal(inst.log.mock.calls[0].arguments[1], 'REPLACE')
+      await reassignRole.call(inst, req, oldRole, newRole)
+      assert.deepEqual(mongodbMock.update.mock.calls[0].arguments, [
+        'users',
+        { _id: 'u1' },
+        { $set: { roles: ['r2'], roleAssignments: [] } }
+      ])
+      assert.deepEqual(disavowMock.mock.calls[0].arguments[0], { userId: 'u1' })
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].actor, 'admin1')
     })
 
-    it('should suppress duplicate key errors on insert', async () => {
-      const dupError = new Error('duplicate key')
-      dupError.code = 11000
-      const { inst } = createConfigRolesInstance(
-        [{ shortName: 'dup', displayName: 'Dup', scopes: [] }],
-        { insert: mock.fn(async () => { throw dupError }) }
+    it('should update child roles to extend the new role', async () => {
+      const child = { _id: 'r3', shortName: 'child', extends: 'old' }
+      const { inst } = createReassignInstance(
+        { users: [], roles: [child] },
+        [oldRole, newRole, child]
       )
-      await initConfigRoles.call(inst)
-      const warnCalls = inst.log.mock.calls.filter(
-        c => c.arguments[0] === 'warn'
+      await reassignRole.call(inst, req, oldRole, newRole)
+      const [query, data] = inst.update.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: 'r3' })
+      assert.equal(data.extends, 'new')
+      assert.equal(data.version, 2)
+      assert.deepEqual(data.history.map(v => [v.extends, v.actor]), [['old', undefined], ['new', 'admin1']])
+    })
+
+    it('should refuse to reassign to a child role', async () => {
+      const child = { _id: 'r3', shortName: 'child', extends: 'old' }
+      const { inst, mongodbMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: ['r1'] }], roles: [child] },
+        [oldRole, child]
       )
-      assert.equal(warnCalls.length, 0)
+      await assert.rejects(
+        async () => reassignRole.call(inst, req, oldRole, child),
+        { code: 'ROLE_INHERITANCE_CYCLE' }
+      )
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
     })
 
-    it('should log warning for non-duplicate insert errors', async () => {
-      const error = new Error('some error')
-      error.code = 500
-      const { inst } = createConfigRolesInstance(
-        [{ shortName: 'fail', displayName: 'Fail', scopes: [] }],
-        { insert: mock.fn(async () => { throw error }) }
+    it('should check the new role can be assigned to each user in the contexts they held the old role', async () => {
+      const context = { type: 'course', _id: 'c1' }
+      const { inst } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: ['r1'] }, { _id: 'u2', roleAssignments: [{ role: 'r1', context }, { role: 'r3' }] }], roles: [] },
+        [oldRole, newRole]
       )
-      await initConfigRoles.call(inst)
-      const warnCalls = inst.log.mock.calls.filter(
-        c => c.arguments[0] === 'warn'
+      inst.checkRoleAssignment = mock.fn(async () => {})
+      await reassignRole.call(inst, req, oldRole, newRole)
+      assert.deepEqual(inst.checkRoleAssignment.mock.calls.map(c => c.arguments.slice(1)), [
+        ['u1', { roles: ['r2'], contexts: [undefined] }],
+        ['u2', { roles: ['r2'], contexts: [context] }]
+      ])
+      assert.deepEqual(inst.checkRoleDelegation.mock.calls[1].arguments[1], [{ role: 'r2', context }])
+    })
+
+    it('should not reassign anyone unless every user can be given the new role', async () => {
+      const superRole = { _id: 'super1', shortName: 'superuser', scopes: ['*:*'] }
+      const { inst, mongodbMock, disavowMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: ['r1'] }, { _id: 'mallory', roles: ['r1'] }], roles: [] },
+        [oldRole, superRole]
       )
-      assert.equal(warnCalls.length, 1)
-      assert.ok(warnCalls[0].arguments[1].includes('fail'))
+      inst.app.errors.UNAUTHORISED = createError('UNAUTHORISED')
+      inst.getSuperRoleIds = mock.fn(async () => ['super1'])
+      inst.isTargetSuper = mock.fn(async () => false)
+      const adminReq = { auth: { isSuper: false, scopes: ['write:roles', 'assign:roles'], user: { _id: 'admin1' } } }
+      await assert.rejects(reassignRole.call(inst, adminReq, oldRole, superRole), { code: 'UNAUTHORISED' })
+      assert.ok(inst.log.mock.calls.some(c => c.arguments.includes('assign superuser')))
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
+      assert.equal(disavowMock.mock.callCount(), 0)
     })
 
-    it('should suppress duplicate key errors on replace', async () => {
-      const dupError = new Error('duplicate key')
-      dupError.code = 11000
-      const { inst } = createConfigRolesInstance(
-        [{ shortName: 'admin', displayName: 'Admin', scopes: [] }],
-        {
-          find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin' }]),
-          mongodb: {
-            replace: mock.fn(async () => { throw dupError })
-          }
-        }
+    it('should reject reassignment to a role the user can\'t delegate', async () => {
+      const { inst, mongodbMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: ['r1'] }], roles: [] },
+        [oldRole, newRole]
       )
-      await initConfigRoles.call(inst)
-      const warnCalls = inst.log.mock.calls.filter(
-        c => c.arguments[0] === 'warn'
+      inst.checkRoleDelegation = mock.fn(async () => { throw createError('ROLE_DELEGATION_DENIED') })
+      await assert.rejects(reassignRole.call(inst, req, oldRole, newRole), { code: 'ROLE_DELEGATION_DENIED' })
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
+    })
+
+    it('should give user groups the new role instead of their members', async () => {
+      const group = { _id: 'g1', roles: ['r1', 'r4'], members: ['u1'] }
+      const { inst, mongodbMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: [] }], roles: [], groups: [group] },
+        [oldRole, newRole]
       )
-      assert.equal(warnCalls.length, 0)
+      await reassignRole.call(inst, req, oldRole, newRole)
+      assert.deepEqual(inst.checkGroupChange.mock.calls[0].arguments, [req, group, { ...group, roles: ['r4', 'r2'] }])
+      assert.deepEqual(inst.checkSuperUserRemains.mock.calls[0].arguments[0].groups, [{ ...group, roles: ['r4', 'r2'] }])
+      assert.deepEqual(inst.writeGroup.mock.calls[0].arguments, [req, { _id: 'g1', data: { roles: ['r4', 'r2'] } }])
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
     })
 
-    it('should handle empty roleDefinitions', async () => {
-      const { inst } = createConfigRolesInstance([])
-      const result = await initConfigRoles.call(inst)
-      assert.ok(Array.isArray(result))
-      assert.equal(result.length, 0)
+    it('should not change any groups unless every group member can be given the new role', async () => {
+      const group = { _id: 'g1', roles: ['r1'], members: ['u1'] }
+      const { inst, mongodbMock } = createReassignInstance(
+        { users: [{ _id: 'u1', roles: [] }, { _id: 'u2', roles: ['r1'] }], roles: [], groups: [group] },
+        [oldRole, newRole]
+      )
+      inst.checkGroupChange = mock.fn(async () => { throw createError('UNAUTHORISED') })
+      await assert.rejects(reassignRole.call(inst, req, oldRole, newRole), { code: 'UNAUTHORISED' })
+      assert.equal(inst.writeGroup.mock.callCount(), 0)
+      assert.equal(mongodbMock.update.mock.callCount(), 0)
     })
   })
 
-  // ── initDefaultRoles ───────────────────────────────────────────────
+  // ── onDeleteRole ───────────────────────────────────────────────────
 
-  describe('initDefaultRoles', () => {
-    it('should tap into users preInsertHook', async () => {
-      const tapMock = mock.fn()
-      const usersModule = { preInsertHook: { tap: tapMock } }
-      const inst = createInstance({
+  describe('onDeleteRole', () => {
+    const role = { _id: 'r1', shortName: 'editor' }
+
+    function createDeleteInstance (dependents = { users: [], roles: [] }) {
+      return createInstance({
         app: {
-          waitForModule: mock.fn(async () => usersModule),
-          errors: {}
+          waitForModule: mock.fn(async () => ({})),
+          errors: { ROLE_IN_USE: createError('ROLE_IN_USE') }
         },
-        shortNamesToIds: mock.fn(async (names) => {
-          return names.map(n => 'id-' + n)
-        }),
-        getConfig: mock.fn((key) => {
-          if (key === 'defaultRoles') return ['authuser']
-          if (key === 'defaultRolesForAuthTypes') return {}
-          return []
-        })
+        findOne: mock.fn(async query => query._id === 'r2' ? { _id: 'r2', shortName: 'other' } : role),
+        getRoleDependents: mock.fn(async () => dependents),
+        reassignRole: mock.fn(async () => dependents)
       })
-      await initDefaultRoles.call(inst)
-      assert.equal(tapMock.mock.callCount(), 1)
+    }
+
+    function createReq (query) {
+      return {
+        method: 'DELETE',
+        auth: { user: { _id: 'admin1' } },
+        apiData: { modifying: true, query: { _id: 'r1', ...query } }
+      }
+    }
+
+    it('should ignore non-DELETE requests', async () => {
+      const inst = createDeleteInstance()
+      await onDeleteRole.call(inst, { method: 'PATCH', apiData: { modifying: true, query: {} } })
+      assert.equal(inst.findOne.mock.callCount(), 0)
     })
 
-    it('should set default roles when no roles present', async () => {
-      let tapCallback
-      const usersModule = {
-        preInsertHook: {
-          tap: (cb) => { tapCallback = cb }
+    it('should allow deleting a role with no dependents', async () => {
+      const inst = createDeleteInstance()
+      await onDeleteRole.call(inst, createReq())
+    })
+
+    it('should refuse to delete a role with dependents, listing them', async () => {
+      const inst = createDeleteInstance({
+        users: [{ _id: { toString: () => 'u1' } }],
+        roles: [{ shortName: 'child' }]
+      })
+      await assert.rejects(
+        async () => onDeleteRole.call(inst, createReq()),
+        e => {
+          assert.equal(e.code, 'ROLE_IN_USE')
+          assert.deepEqual(e.data, { shortName: 'editor', users: ['u1'], roles: ['child'] })
+          return true
         }
+      )
+    })
+
+    it('should reassign dependents when reassignTo is given', async () => {
+      const inst = createDeleteInstance({ users: [{ _id: 'u1' }], roles: [] })
+      const req = createReq({ reassignTo: 'r2' })
+      await onDeleteRole.call(inst, req)
+      assert.deepEqual(inst.reassignRole.mock.calls[0].arguments, [req, role, { _id: 'r2', shortName: 'other' }])
+    })
+
+    it('should remove reassignTo from the delete query', async () => {
+      const inst = createDeleteInstance()
+      const req = createReq({ reassignTo: 'r2' })
+      await onDeleteRole.call(inst, req)
+      assert.deepEqual(req.apiData.query, { _id: 'r1' })
+    })
+  })
+
+  // ── logAudit ───────────────────────────────────────────────────────
+
+  describe('logAudit', () => {
+    function createAuditInstance (mongodbMock) {
+      return createInstance({
+        auditCollectionName: 'roleaudit',
+        app: { waitForModule: mock.fn(async () => mongodbMock), errors: {} }
+      })
+    }
+
+    it('should insert the entry into the audit collection with a timestamp', async () => {
+      const mongodbMock = { insert: mock.fn(async () => {}) }
+      const inst = createAuditInstance(mongodbMock)
+      await logAudit.call(inst, { action: 'update', actor: { toString: () => 'u1' }, role: { toString: () => 'r1' } })
+      const [collection, entry] = mongodbMock.insert.mock.calls[0].arguments
+      assert.equal(collection, 'roleaudit')
+      assert.equal(entry.actor, 'u1')
+      assert.equal(entry.role, 'r1')
+      assert.ok(entry.timestamp instanceof Date)
+    })
+
+    it('should log a warning rather than throw on failure', async () => {
+      const mongodbMock = { insert: mock.fn(async () => { throw new Error('db down') }) }
+      const inst = createAuditInstance(mongodbMock)
+      await logAudit.call(inst, { action: 'update', actor: 'u1' })
+      assert.equal(inst.log.mock.calls[0].arguments[0], 'warn')
+    })
+  })
+
+  // ── onAuditRoleRequest ─────────────────────────────────────────────
+
+  describe('onAuditRoleRequest', () => {
+    const existing = { _id: 'r1', shortName: 'editor', scopes: ['read:content'] }
+
+    function createReq (method, data = {}) {
+      return {
+        method,
+        auth: { user: { _id: 'u1' } },
+        apiData: { modifying: true, data, query: { _id: 'r1' } }
       }
+    }
+
+    function createAuditRequestInstance () {
+      return createInstance({ onAuditRoleChange })
+    }
+
+    it('should ignore non-modifying requests', async () => {
+      const inst = createAuditRequestInstance()
+      await onAuditRoleRequest.call(inst, { method: 'GET', apiData: { modifying: false } })
+      assert.equal(inst.pendingAudits.size, 0)
+    })
+
+    it('should not record anything until the change is written', async () => {
+      const inst = createAuditRequestInstance()
+      await onAuditRoleRequest.call(inst, createReq('PATCH', { scopes: ['write:content'] }))
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
+    it('should record new roles with their _id', async () => {
+      const inst = createAuditRequestInstance()
+      await onAuditRoleRequest.call(inst, createReq('POST', { shortName: 'new', scopes: [] }))
+      await onAuditRoleChange.call(inst, 'role:new', undefined, { _id: 'r2', shortName: 'new', scopes: [] })
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'insert')
+      assert.equal(entry.role, 'r2')
+      assert.equal(entry.shortName, 'new')
+      assert.equal(entry.before, undefined)
+    })
+
+    it('should record the before and after state of patched roles', async () => {
+      const inst = createAuditRequestInstance()
+      const updated = { ...existing, scopes: ['write:content'] }
+      await onAuditRoleRequest.call(inst, createReq('PATCH', { scopes: ['write:content'] }))
+      await onAuditRoleChange.call(inst, 'role:r1', existing, updated)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'update')
+      assert.equal(entry.actor, 'u1')
+      assert.equal(entry.role, 'r1')
+      assert.deepEqual(entry.before, existing)
+      assert.deepEqual(entry.after, updated)
+    })
+
+    it('should record deleted roles', async () => {
+      const inst = createAuditRequestInstance()
+      await onAuditRoleRequest.call(inst, createReq('DELETE'))
+      await onAuditRoleChange.call(inst, 'role:r1', existing)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'delete')
+      assert.equal(entry.shortName, 'editor')
+      assert.equal(entry.after, undefined)
+    })
+
+    it('should not record failed requests', async () => {
+      const inst = createAuditRequestInstance()
+      const req = { ...createReq('PATCH', { scopes: ['write:content'] }), res: new EventEmitter() }
+      await onAuditRoleRequest.call(inst, req)
+      req.res.emit('finish')
+      await onAuditRoleChange.call(inst, 'role:r1', existing, existing)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+      assert.equal(inst.pendingAudits.size, 0)
+    })
+
+    it('should not record aborted requests', async () => {
+      const inst = createAuditRequestInstance()
+      const req = { ...createReq('PATCH', { scopes: ['write:content'] }), res: new EventEmitter() }
+      await onAuditRoleRequest.call(inst, req)
+      req.res.emit('close')
+      await onAuditRoleChange.call(inst, 'role:r1', existing, existing)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+      assert.equal(inst.pendingAudits.size, 0)
+    })
+
+    it('should keep a separate entry for each request to the same role', async () => {
+      const inst = createAuditRequestInstance()
+      const first = { ...createReq('PATCH', { scopes: ['write:content'] }), res: new EventEmitter() }
+      const second = { ...createReq('DELETE'), auth: { user: { _id: 'u2' } }, res: new EventEmitter() }
+      await onAuditRoleRequest.call(inst, first)
+      await onAuditRoleRequest.call(inst, second)
+      await onAuditRoleChange.call(inst, 'role:r1', existing, existing)
+      first.res.emit('finish')
+      await onAuditRoleChange.call(inst, 'role:r1', existing)
+      assert.deepEqual(inst.logAudit.mock.calls.map(c => [c.arguments[0].action, c.arguments[0].actor]), [['update', 'u1'], ['delete', 'u2']])
+      assert.equal(inst.pendingAudits.size, 0)
+    })
+
+    it('should only discard the entry for the request which ended', async () => {
+      const inst = createAuditRequestInstance()
+      const aborted = { ...createReq('PATCH', { scopes: ['write:content'] }), res: new EventEmitter() }
+      const current = { ...createReq('PATCH', { scopes: ['read:content'] }), auth: { user: { _id: 'u2' } }, res: new EventEmitter() }
+      await onAuditRoleRequest.call(inst, aborted)
+      await onAuditRoleRequest.call(inst, current)
+      aborted.res.emit('close')
+      await onAuditRoleChange.call(inst, 'role:r1', existing, existing)
+      assert.equal(inst.logAudit.mock.callCount(), 1)
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].actor, 'u2')
+    })
+
+    it('should ignore changes which weren\'t made via the API', async () => {
+      const inst = createAuditRequestInstance()
+      await onAuditRoleChange.call(inst, 'role:r1', existing, existing)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+  })
+
+  describe('auditHandler', () => {
+    it('should respond with a paginated list of entries', async () => {
+      const mongodbMock = { find: mock.fn(async () => [{ action: 'insert' }]) }
       const inst = createInstance({
-        app: {
-          waitForModule: mock.fn(async () => usersModule),
-          errors: {}
-        },
-        shortNamesToIds: mock.fn(async (names) => {
-          return names.map(n => 'id-' + n)
-        }),
-        getConfig: mock.fn((key) => {
-          if (key === 'defaultRoles') return ['authuser']
-          if (key === 'defaultRolesForAuthTypes') return {}
-          return []
-        })
+        auditCollectionName: 'roleaudit',
+        app: { waitForModule: mock.fn(async () => mongodbMock), errors: {} },
+        setUpPagination: mock.fn(async (req, res, mongoOpts) => Object.assign(mongoOpts, { limit: 50, skip: 100 }))
       })
-      await initDefaultRoles.call(inst)
+      const req = { query: { role: 'r1', page: '3' }, apiData: { collectionName: 'roles', query: {} } }
+      const res = { json: mock.fn() }
+      await auditHandler.call(inst, req, res, mock.fn())
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [{ action: 'insert' }])
+      assert.equal(req.apiData.collectionName, 'roleaudit')
+      const [collectionName, query, opts] = mongodbMock.find.mock.calls[0].arguments
+      assert.equal(collectionName, 'roleaudit')
+      assert.deepEqual(query, { $or: [{ role: 'r1' }, { roles: 'r1' }] })
+      assert.deepEqual(opts, { sort: { timestamp: -1 }, limit: 50, skip: 100 })
+    })
+  })
 
-      const userData = { authType: 'local' }
-      tapCallback(userData)
-      assert.deepEqual(userData.roles, ['id-authuser'])
+  // ── role versioning ─────────────────────────────────────────────────
+
+  describe('onVersionRoleRequest', () => {
+    const existing = { _id: 'r1', shortName: 'editor', displayName: 'Editor', scopes: ['read:content'], version: 1, history: [{ version: 1, displayName: 'Editor', scopes: ['read:content'] }] }
+
+    function createReq (method, data = {}) {
+      return {
+        method,
+        auth: { user: { _id: 'u1' } },
+        apiData: { modifying: true, data, query: { _id: 'r1' } }
+      }
+    }
+
+    it('should ignore non-modifying requests', async () => {
+      const inst = createInstance({ findOne: mock.fn(async () => existing) })
+      const req = { method: 'GET', apiData: { modifying: false, data: {} } }
+      await onVersionRoleRequest.call(inst, req)
+      assert.deepEqual(req.apiData.data, {})
     })
 
-    it('should not override existing roles on user data', async () => {
-      let tapCallback
-      const usersModule = {
-        preInsertHook: {
-          tap: (cb) => { tapCallback = cb }
-        }
+    it('should add the first version to new roles', async () => {
+      const inst = createInstance({ findOne: mock.fn(async () => existing) })
+      const req = createReq('POST', { shortName: 'new', displayName: 'New', scopes: [] })
+      await onVersionRoleRequest.call(inst, req)
+      assert.equal(inst.findOne.mock.callCount(), 0)
+      assert.equal(req.apiData.data.version, 1)
+      assert.deepEqual(req.apiData.data.history.map(v => [v.version, v.actor]), [[1, 'u1']])
+    })
+
+    it('should add a new version to patched roles', async () => {
+      const inst = createInstance({ findOne: mock.fn(async () => existing) })
+      const req = createReq('PATCH', { scopes: ['write:content'] })
+      await onVersionRoleRequest.call(inst, req)
+      assert.equal(req.apiData.data.version, 2)
+      const { version, displayName, scopes, actor } = req.apiData.data.history[1]
+      assert.deepEqual({ version, displayName, scopes, actor }, { version: 2, displayName: 'Editor', scopes: ['write:content'], actor: 'u1' })
+    })
+
+    it('should not add a version if nothing versioned has changed', async () => {
+      const inst = createInstance({ findOne: mock.fn(async () => existing) })
+      const req = createReq('PATCH', { scopes: ['read:content'] })
+      await onVersionRoleRequest.call(inst, req)
+      assert.equal(req.apiData.data.version, 1)
+      assert.equal(req.apiData.data.history, existing.history)
+    })
+  })
+
+  describe('getRoleHistory', () => {
+    it('should return the role history', async () => {
+      const history = [{ version: 1, scopes: [] }, { version: 2, scopes: ['read:me'] }]
+      const inst = createInstance({ findOne: mock.fn(async () => ({ _id: 'r1', scopes: ['read:me'], version: 2, history })) })
+      assert.equal(await getRoleHistory.call(inst, 'r1'), history)
+    })
+
+    it('should treat roles without a history as being on the first version', async () => {
+      const inst = createInstance({ findOne: mock.fn(async () => ({ _id: 'r1', shortName: 'editor', displayName: 'Editor', scopes: ['read:me'] })) })
+      assert.deepEqual(await getRoleHistory.call(inst, 'r1'), [{ version: 1, displayName: 'Editor', scopes: ['read:me'] }])
+    })
+  })
+
+  describe('rollbackRole', () => {
+    const authuser = { _id: 'r1', shortName: 'authuser', displayName: 'Auth user', scopes: ['read:me'] }
+    const editor = {
+      _id: 'r2',
+      shortName: 'editor',
+      displayName: 'Editor',
+      extends: 'authuser',
+      scopes: ['write:content', 'write:users'],
+      denyScopes: ['read:me'],
+      version: 2,
+      history: [
+        { version: 1, displayName: 'Editor', extends: 'authuser', scopes: ['write:content'], actor: 'admin' },
+        { version: 2, displayName: 'Editor', extends: 'authuser', scopes: ['write:content', 'write:users'], denyScopes: ['read:me'], actor: 'admin' }
+      ]
+    }
+    const req = { auth: { user: { _id: 'u1' } } }
+
+    function createRollbackInstance (roles = [authuser, editor], users = [{ _id: 'user1' }]) {
+      const disavowMock = mock.fn(async () => {})
+      const mongodbMock = {
+        replace: mock.fn(async (collection, query, doc) => { roles = roles.map(r => r._id === doc._id ? doc : r) }),
+        find: mock.fn(async () => users)
       }
       const inst = createInstance({
         app: {
-          waitForModule: mock.fn(async () => usersModule),
-          errors: {}
+          waitForModule: mock.fn(async (...names) => names.length === 1 ? mongodbMock : [{ authentication: { disavowUser: disavowMock } }, mongodbMock, { collectionName: 'users' }]),
+          errors: {
+            NOT_FOUND: createError('NOT_FOUND'),
+            BUILT_IN_ROLE_LOCKED: createError('BUILT_IN_ROLE_LOCKED'),
+            TEMPLATE_ROLE_LOCKED: createError('TEMPLATE_ROLE_LOCKED'),
+            UNKNOWN_ROLE_VERSION: createError('UNKNOWN_ROLE_VERSION'),
+            UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE'),
+            ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE')
+          }
         },
-        shortNamesToIds: mock.fn(async (names) => {
-          return names.map(n => 'id-' + n)
-        }),
-        getConfig: mock.fn((key) => {
-          if (key === 'defaultRoles') return ['authuser']
-          if (key === 'defaultRolesForAuthTypes') return {}
-          return []
-        })
+        collectionName: 'roles',
+        find: mock.fn(async () => roles),
+        validateRoleInheritance,
+        validateRoleScopes: mock.fn(),
+        getRoleTemplates: mock.fn(() => [{ shortName: 'courseeditor', parameters: ['course'] }]),
+        hasRoleTemplate,
+        disavowChangedRoleMembers
       })
-      await initDefaultRoles.call(inst)
+      return { inst, mongodbMock, disavowMock }
+    }
 
-      const userData = { roles: ['existing-role'] }
-      tapCallback(userData)
-      assert.deepEqual(userData.roles, ['existing-role'])
+    it('should restore the previous version as a new version', async () => {
+      const { inst, mongodbMock } = createRollbackInstance()
+      const result = await rollbackRole.call(inst, req, 'r2', 1)
+      const [, query, doc] = mongodbMock.replace.mock.calls[0].arguments
+      assert.deepEqual(query, { _id: 'r2' })
+      assert.deepEqual(doc.scopes, ['write:content'])
+      assert.equal(doc.denyScopes, undefined)
+      assert.equal(doc.shortName, 'editor')
+      assert.equal(doc.version, 3)
+      assert.deepEqual(doc.history.map(v => [v.version, v.actor]), [[1, 'admin'], [2, 'admin'], [3, 'u1']])
+      assert.equal(result.version, 3)
+    })
+
+    it('should disavow users whose scopes changed', async () => {
+      const { inst, mongodbMock, disavowMock } = createRollbackInstance()
+      const result = await rollbackRole.call(inst, req, 'r2', 1)
+      assert.deepEqual(result, { version: 3, roles: ['editor'], users: ['user1'] })
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1], {
+        $or: [{ roles: { $in: ['r2'] } }, { 'roleAssignments.role': { $in: ['r2'] } }]
+      })
+      assert.deepEqual(disavowMock.mock.calls[0].arguments[0], { userId: 'user1' })
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 1)
+    })
+
+    it('should record the rollback in the audit log', async () => {
+      const { inst } = createRollbackInstance()
+      await rollbackRole.call(inst, req, 'r2', 1)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'rollback')
+      assert.equal(entry.actor, 'u1')
+      assert.equal(entry.role, 'r2')
+      assert.deepEqual(entry.after.scopes, ['write:content'])
+    })
+
+    it('should apply the same checks as other role changes', async () => {
+      const { inst, mongodbMock } = createRollbackInstance()
+      inst.getSuperRoleIds = mock.fn(async () => ['r2'])
+      await rollbackRole.call(inst, req, 'r2', 1)
+      assert.deepEqual(inst.validateRoleScopes.mock.calls[0].arguments[0].scopes, ['write:content'])
+      assert.deepEqual(inst.checkRoleDelegation.mock.calls[0].arguments[1], [{ role: 'r2' }])
+      assert.equal(inst.checkRoleDelegation.mock.calls[0].arguments[2].ranked, false)
+      assert.equal(inst.checkSuperUserRemains.mock.callCount(), 1)
+      assert.equal(mongodbMock.replace.mock.callCount(), 1)
+    })
+
+    it('should not restore versions which extend roles which no longer exist', async () => {
+      const { inst, mongodbMock } = createRollbackInstance([editor])
+      await assert.rejects(
+        async () => rollbackRole.call(inst, req, 'r2', 1),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should not modify built-in roles', async () => {
+      const { inst } = createRollbackInstance([authuser, { ...editor, isBuiltIn: true }])
+      await assert.rejects(
+        async () => rollbackRole.call(inst, req, 'r2', 1),
+        { code: 'BUILT_IN_ROLE_LOCKED' }
+      )
+    })
+
+    it('should not modify roles created from a template', async () => {
+      const { inst, mongodbMock } = createRollbackInstance([authuser, { ...editor, template: { name: 'courseeditor', parameters: { course: 'c1' } } }])
+      await assert.rejects(rollbackRole.call(inst, req, 'r2', 1), { code: 'TEMPLATE_ROLE_LOCKED' })
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should throw if the version does not exist', async () => {
+      const { inst } = createRollbackInstance()
+      await assert.rejects(
+        async () => rollbackRole.call(inst, req, 'r2', 5),
+        { code: 'UNKNOWN_ROLE_VERSION' }
+      )
+    })
+
+    it('should throw if the role does not exist', async () => {
+      const { inst } = createRollbackInstance()
+      await assert.rejects(
+        async () => rollbackRole.call(inst, req, 'missing', 1),
+        { code: 'NOT_FOUND' }
+      )
+    })
+  })
+
+  describe('historyHandler', () => {
+    it('should respond with the role history', async () => {
+      const inst = createInstance({ getRoleHistory: mock.fn(async () => ['history']) })
+      const res = { json: mock.fn() }
+      await historyHandler.call(inst, { params: { _id: 'r1' } }, res, mock.fn())
+      assert.deepEqual(inst.getRoleHistory.mock.calls[0].arguments, ['r1'])
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], ['history'])
+    })
+  })
+
+  describe('rollbackHandler', () => {
+    it('should roll back to the requested version', async () => {
+      const inst = createInstance({ rollbackRole: mock.fn(async () => 'report') })
+      const res = { json: mock.fn() }
+      const req = { params: { _id: 'r1', version: '2' } }
+      await rollbackHandler.call(inst, req, res, mock.fn())
+      assert.deepEqual(inst.rollbackRole.mock.calls[0].arguments, [req, 'r1', 2])
+      assert.equal(res.json.mock.calls[0].arguments[0], 'report')
+    })
+
+    it('should pass errors to next', async () => {
+      const inst = createInstance({ rollbackRole: mock.fn(async () => { throw createError('UNKNOWN_ROLE_VERSION') }) })
+      const next = mock.fn()
+      await rollbackHandler.call(inst, { params: { _id: 'r1', version: '9' } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].code, 'UNKNOWN_ROLE_VERSION')
+    })
+  })
+
+  // ── onCheckUserAccess ──────────────────────────────────────────────
+
+  describe('onCheckUserAccess', () => {
+    it('should return true for non-modifying requests', async () => {
+      const inst = createInstance({
+        isTargetSuper: mock.fn(async () => true)
+      })
+      const req = { apiData: { modifying: false, query: { _id: 'x' } } }
+      const result = await onCheckUserAccess.call(inst, req)
+      assert.equal(result, true)
+    })
+
+    it('should return true for non-super targets', async () => {
+      const inst = createInstance({
+        isTargetSuper: mock.fn(async () => false)
+      })
+      const req = { apiData: { modifying: true, query: { _id: 'x' } } }
+      const result = await onCheckUserAccess.call(inst, req)
+      assert.equal(result, true)
+    })
+
+    it('should throw for modifying requests targeting super users', async () => {
+      const inst = createInstance({
+        isTargetSuper: mock.fn(async () => true)
+      })
+      const req = { apiData: { modifying: true, query: { _id: 'x' } } }
+      await assert.rejects(
+        async () => onCheckUserAccess.call(inst, req)
+      )
+    })
+
+    it('should not call isTargetSuper for non-modifying requests', async () => {
+      const isTargetSuperMock = mock.fn(async () => true)
+      const inst = createInstance({ isTargetSuper: isTargetSuperMock })
+      const req = { apiData: { modifying: false, query: { _id: 'x' } } }
+      await onCheckUserAccess.call(inst, req)
+      assert.equal(isTargetSuperMock.mock.callCount(), 0)
+    })
+  })
+
+  // ── initConfigRoles ────────────────────────────────────────────────
+
+  describe('initConfigRoles', () => {
+    it('should log a warning if the scope check fails', async () => {
+      const { inst } = createConfigRolesInstance([{ shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] }], {
+        checkConfigRoleScopes: mock.fn(() => { throw new Error('scopes is not iterable') })
+      })
+      await initConfigRoles.call(inst)
+      await new Promise(resolve => setImmediate(resolve))
+      assert.ok(inst.log.mock.calls.some(c => c.arguments[0] === 'warn' && c.arguments[1].includes('scopes is not iterable')))
+    })
+
+    it('should insert new roles that do not exist', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] }
+      ])
+      await initConfigRoles.call(inst)
+      assert.equal(inst.insert.mock.callCount(), 1)
+      assert.equal(
+        inst.insert.mock.calls[0].arguments[0].shortName, 'newrole'
+      )
+    })
+
+    it('should replace existing roles', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
+        { find: mock.fn(async () => [{ _id: 'existing1', shortName: 'admin' }]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.replace.mock.callCount(), 1)
+      assert.deepEqual(
+        mongodbMock.replace.mock.calls[0].arguments[1], { _id: 'existing1' }
+      )
+    })
+
+    it('should start the version history of new roles', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] }
+      ])
+      await initConfigRoles.call(inst)
+      const { version, history } = inst.insert.mock.calls[0].arguments[0]
+      assert.equal(version, 1)
+      assert.deepEqual(history.map(v => [v.version, v.scopes, v.actor]), [[1, ['read:all'], 'config']])
+    })
+
+    it('should keep the version history of replaced roles', async () => {
+      const history = [{ version: 1, displayName: 'Admin', scopes: ['read:all'] }]
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
+        { find: mock.fn(async () => [{ _id: 'existing1', shortName: 'admin', displayName: 'Admin', scopes: ['read:all'], version: 1, history }]) }
+      )
+      await initConfigRoles.call(inst)
+      const replacement = mongodbMock.replace.mock.calls[0].arguments[2]
+      assert.equal(replacement.version, 2)
+      assert.deepEqual(replacement.history.map(v => [v.version, v.scopes]), [[1, ['read:all']], [2, ['*:*']]])
+    })
+
+    it('should not add a version for unchanged roles', async () => {
+      const doc = { _id: 'existing1', shortName: 'admin', displayName: 'Admin', scopes: ['*:*'], isBuiltIn: true, version: 3, history: [{ version: 3, displayName: 'Admin', scopes: ['*:*'] }] }
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
+        { find: mock.fn(async () => [doc]) }
+      )
+      await initConfigRoles.call(inst)
+      const replacement = mongodbMock.replace.mock.calls[0].arguments[2]
+      assert.equal(replacement.version, 3)
+      assert.equal(replacement.history, doc.history)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
+    it('should not add role templates as roles', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] },
+        { shortName: 'pluginmanager', displayName: 'Plugin manager ({type})', parameters: ['type'], scopes: ['write:plugins.{type}'] }
+      ])
+      await initConfigRoles.call(inst)
+      assert.deepEqual(inst.insert.mock.calls.map(c => c.arguments[0].shortName), ['newrole'])
+    })
+
+    it('should apply template changes to roles created from the template', async () => {
+      const doc = {
+        _id: 'instance1',
+        shortName: 'texteditor',
+        displayName: 'Plugin manager (text)',
+        scopes: ['write:plugins.text'],
+        template: { name: 'pluginmanager', parameters: { type: 'text' } },
+        isBuiltIn: false
+      }
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'pluginmanager', displayName: 'Plugin manager ({type})', parameters: ['type'], scopes: ['read:plugins', 'write:plugins.{type}'] }],
+        { find: mock.fn(async () => [doc]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.replace.mock.callCount(), 1)
+      const replacement = mongodbMock.replace.mock.calls[0].arguments[2]
+      assert.equal(replacement.shortName, 'texteditor')
+      assert.deepEqual(replacement.scopes, ['read:plugins', 'write:plugins.text'])
+      assert.deepEqual(replacement.template, doc.template)
+      assert.equal(replacement.version, 2)
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].action, 'replace')
+    })
+
+    it('should not change roles created from unchanged templates', async () => {
+      const doc = {
+        _id: 'instance1',
+        shortName: 'pluginmanager-text',
+        displayName: 'Plugin manager (text)',
+        scopes: ['write:plugins.text'],
+        template: { name: 'pluginmanager', parameters: { type: 'text' } },
+        isBuiltIn: false
+      }
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'pluginmanager', displayName: 'Plugin manager ({type})', parameters: ['type'], scopes: ['write:plugins.{type}'] }],
+        { find: mock.fn(async () => [doc]), config: { configRoleDryRun: true } }
+      )
+      const report = await initConfigRoles.call(inst)
+      assert.deepEqual(report.replace, [])
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should skip and warn on roles whose parameters no longer suit the template', async () => {
+      const doc = {
+        _id: 'instance1',
+        shortName: 'pluginmanager-text',
+        displayName: 'Plugin manager (text)',
+        scopes: ['write:plugins.text'],
+        template: { name: 'pluginmanager', parameters: { type: 'text' } },
+        isBuiltIn: false
+      }
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [{ shortName: 'pluginmanager', displayName: 'Plugin manager ({type})', parameters: ['type', 'tag'], scopes: ['write:plugins.{type}', 'read:{tag}'] }],
+        { find: mock.fn(async () => [doc]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+      const warning = inst.log.mock.calls.find(c => c.arguments[0] === 'warn')
+      assert.ok(warning.arguments[1].includes('pluginmanager-text'))
+      assert.ok(warning.arguments[1].includes('missing parameter \'tag\''))
+    })
+
+    it('should leave roles whose template no longer exists alone', async () => {
+      const doc = { _id: 'instance1', shortName: 'pluginmanager-text', displayName: 'Plugin manager (text)', scopes: [], template: { name: 'pluginmanager', parameters: { type: 'text' } } }
+      const { inst, mongodbMock } = createConfigRolesInstance([], { find: mock.fn(async () => [doc]) })
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+    })
+
+    it('should log debug on successful insert', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'testrole', displayName: 'Test', scopes: [] }
+      ], { insert: mock.fn(async (data) => ({ _id: 'new1', ...data })) })
+      await initConfigRoles.call(inst)
+      assert.equal(inst.log.mock.calls[0].arguments[0], 'debug')
+      assert.equal(inst.log.mock.calls[0].arguments[1], 'INSERT')
+    })
+
+    it('should log debug on successful replace', async () => {
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: [] }],
+        { find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin' }]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(inst.log.mock.calls[0].arguments[0], 'debug')
+      assert.equal(inst.log.mock.calls[0].arguments[1], 'REPLACE')
+    })
+
+    it('should suppress duplicate key errors on insert', async () => {
+      const dupError = new Error('duplicate key')
+      dupError.code = 11000
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'dup', displayName: 'Dup', scopes: [] }],
+        { insert: mock.fn(async () => { throw dupError }) }
+      )
+      await initConfigRoles.call(inst)
+      const warnCalls = inst.log.mock.calls.filter(
+        c => c.arguments[0] === 'warn'
+      )
+      assert.equal(warnCalls.length, 0)
+    })
+
+    it('should log warning for non-duplicate insert errors', async () => {
+      const error = new Error('some error')
+      error.code = 500
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'fail', displayName: 'Fail', scopes: [] }],
+        { insert: mock.fn(async () => { throw error }) }
+      )
+      await initConfigRoles.call(inst)
+      const warnCalls = inst.log.mock.calls.filter(
+        c => c.arguments[0] === 'warn'
+      )
+      assert.equal(warnCalls.length, 1)
+      assert.ok(warnCalls[0].arguments[1].includes('fail'))
+    })
+
+    it('should suppress duplicate key errors on replace', async () => {
+      const dupError = new Error('duplicate key')
+      dupError.code = 11000
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: [] }],
+        {
+          find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin' }]),
+          mongodb: {
+            replace: mock.fn(async () => { throw dupError })
+          }
+        }
+      )
+      await initConfigRoles.call(inst)
+      const warnCalls = inst.log.mock.calls.filter(
+        c => c.arguments[0] === 'warn'
+      )
+      assert.equal(warnCalls.length, 0)
+    })
+
+    it('should skip config roles which extend each other', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'authuser', displayName: 'Auth user', scopes: [] },
+        { shortName: 'a', displayName: 'A', extends: 'b', scopes: [] },
+        { shortName: 'b', displayName: 'B', extends: 'a', scopes: [] }
+      ])
+      await initConfigRoles.call(inst)
+      assert.deepEqual(inst.insert.mock.calls.map(c => c.arguments[0].shortName), ['authuser'])
+      const warnings = inst.log.mock.calls.filter(c => c.arguments[0] === 'warn').map(c => c.arguments[1])
+      assert.ok(warnings.some(w => w.includes("'a'") && w.includes('ROLE_INHERITANCE_CYCLE')))
+      assert.ok(warnings.some(w => w.includes("'b'") && w.includes('ROLE_INHERITANCE_CYCLE')))
+    })
+
+    it('should skip config roles which extend an unknown role, and still apply the others', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'authuser', displayName: 'Auth user', scopes: [] },
+        { shortName: 'editor', displayName: 'Editor', extends: 'authusr', scopes: [] }
+      ])
+      await initConfigRoles.call(inst)
+      assert.deepEqual(inst.insert.mock.calls.map(c => c.arguments[0].shortName), ['authuser'])
+      assert.ok(inst.log.mock.calls.some(c => c.arguments[0] === 'warn' && c.arguments[1].includes("'editor'") && c.arguments[1].includes('UNKNOWN_PARENT_ROLE')))
+    })
+
+    it('should keep the existing version of a role whose definition is invalid', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([
+        { shortName: 'editor', displayName: 'Editor', extends: 'authusr', scopes: [] },
+        { shortName: 'reviewer', displayName: 'Reviewer', extends: 'editor', scopes: [] }
+      ], {
+        find: mock.fn(async query => !query || query.shortName === 'editor' ? [{ _id: 'id1', shortName: 'editor', displayName: 'Editor', scopes: [] }] : [])
+      })
+      await initConfigRoles.call(inst)
+      assert.deepEqual(inst.insert.mock.calls.map(c => c.arguments[0].shortName), ['reviewer'])
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should allow config roles to extend existing database roles', async () => {
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'editor', displayName: 'Editor', extends: 'custom', scopes: [] }],
+        {
+          find: mock.fn(async query => query ? [] : [{ _id: 'id1', shortName: 'custom', scopes: [] }])
+        }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(inst.insert.mock.callCount(), 1)
+    })
+
+    it('should mark config roles as built-in', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [
+          { shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] },
+          { shortName: 'newrole', displayName: 'New Role', scopes: [] }
+        ],
+        { find: mock.fn(async query => query?.shortName === 'admin' ? [{ _id: 'id1', shortName: 'admin' }] : []) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.replace.mock.calls[0].arguments[2].isBuiltIn, true)
+      assert.equal(inst.insert.mock.calls[0].arguments[0].isBuiltIn, true)
+    })
+
+    it('should audit inserted config roles', async () => {
+      const { inst } = createConfigRolesInstance([
+        { shortName: 'newrole', displayName: 'New Role', scopes: ['read:all'] }
+      ], { insert: mock.fn(async (data) => ({ _id: 'new1', ...data })) })
+      await initConfigRoles.call(inst)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'insert')
+      assert.equal(entry.actor, 'config')
+      assert.equal(entry.role, 'new1')
+    })
+
+    it('should audit replaced config roles which have changed', async () => {
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
+        { find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin', displayName: 'Admin', scopes: [] }]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(inst.logAudit.mock.callCount(), 1)
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].action, 'replace')
+    })
+
+    it('should not audit replaced config roles which are unchanged', async () => {
+      const { inst } = createConfigRolesInstance(
+        [{ shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] }],
+        { find: mock.fn(async () => [{ _id: 'id1', shortName: 'admin', displayName: 'Admin', scopes: ['*:*'], isBuiltIn: true }]) }
+      )
+      await initConfigRoles.call(inst)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
+    it('should warn about removed config roles by default', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'old', isBuiltIn: true }])
+      })
+      await initConfigRoles.call(inst)
+      const warnCalls = inst.log.mock.calls.filter(c => c.arguments[0] === 'warn')
+      assert.equal(warnCalls.length, 1)
+      assert.ok(warnCalls[0].arguments[1].includes('old'))
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+    })
+
+    it('should ignore removed config roles when reconciliation is off', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'old', isBuiltIn: true }]),
+        config: { configRoleReconciliation: 'off' }
+      })
+      await initConfigRoles.call(inst)
+      assert.equal(inst.log.mock.callCount(), 0)
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+    })
+
+    it('should not treat custom roles as removed config roles', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'custom' }]),
+        config: { configRoleReconciliation: 'prune' }
+      })
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+    })
+
+    it('should delete and audit removed config roles when pruning', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'old', isBuiltIn: true }]),
+        config: { configRoleReconciliation: 'prune' }
+      })
+      await initConfigRoles.call(inst)
+      assert.deepEqual(mongodbMock.delete.mock.calls[0].arguments, ['roles', { _id: 'id1' }])
+      assert.equal(inst.removeGroupRole.mock.calls[0].arguments[0]._id, 'id1')
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'delete')
+      assert.equal(entry.actor, 'config')
+    })
+
+    it('should invalidate the role cache after changes are applied', async () => {
+      const { inst } = createConfigRolesInstance([{ shortName: 'new', displayName: 'New', scopes: [] }])
+      await initConfigRoles.call(inst)
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 1)
+    })
+
+    it('should invalidate the role cache after pruning', async () => {
+      const { inst } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'old', isBuiltIn: true }]),
+        config: { configRoleReconciliation: 'prune' }
+      })
+      await initConfigRoles.call(inst)
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 2)
+    })
+
+    it('should not prune removed config roles which are still in use', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async () => [{ _id: 'id1', shortName: 'old', isBuiltIn: true }]),
+        getRoleDependents: mock.fn(async () => ({ users: [{ _id: 'u1' }], roles: [] })),
+        config: { configRoleReconciliation: 'prune' }
+      })
+      await initConfigRoles.call(inst)
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+      const warnCalls = inst.log.mock.calls.filter(c => c.arguments[0] === 'warn')
+      assert.ok(warnCalls[0].arguments[1].includes('still in use'))
+    })
+
+    it('should report changes without applying them in a dry run', async () => {
+      const { inst, mongodbMock } = createConfigRolesInstance(
+        [
+          { shortName: 'admin', displayName: 'Admin', scopes: ['*:*'] },
+          { shortName: 'same', displayName: 'Same', scopes: [] },
+          { shortName: 'newrole', displayName: 'New Role', scopes: [] }
+        ],
+        {
+          find: mock.fn(async query => {
+            const roles = [
+              { _id: 'id1', shortName: 'admin', displayName: 'Admin', scopes: [], isBuiltIn: true },
+              { _id: 'id2', shortName: 'same', displayName: 'Same', scopes: [], isBuiltIn: true },
+              { _id: 'id3', shortName: 'old', isBuiltIn: true }
+            ]
+            return query ? roles.filter(r => r.shortName === query.shortName) : roles
+          }),
+          config: { configRoleReconciliation: 'prune', configRoleDryRun: true }
+        }
+      )
+      const report = await initConfigRoles.call(inst)
+      assert.deepEqual(report, { insert: ['newrole'], replace: ['admin'], remove: ['old'] })
+      assert.equal(inst.insert.mock.callCount(), 0)
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+      assert.equal(mongodbMock.delete.mock.callCount(), 0)
+    })
+
+    it('should handle empty roleDefinitions', async () => {
+      const { inst } = createConfigRolesInstance([])
+      const result = await initConfigRoles.call(inst)
+      assert.ok(Array.isArray(result))
+      assert.equal(result.length, 0)
+    })
+  })
+
+  // ── checkRoleDelegation ────────────────────────────────────────────
+
+  describe('checkRoleDelegation', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+      { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] },
+      { _id: 'r3', shortName: 'admin', extends: 'editor', scopes: ['write:users'] }
+    ]
+
+    function createDelegationInstance (assigner, roleRanks = []) {
+      return createInstance({
+        app: { errors: { ROLE_DELEGATION_DENIED: createError('ROLE_DELEGATION_DENIED') } },
+        getConfig: mock.fn(key => ({ roleRanks })[key]),
+        find: mock.fn(async () => roles),
+        getScopesForUser: mock.fn(async () => assigner)
+      })
+    }
+
+    const req = { auth: { isSuper: false, user: { _id: 'u1' } } }
+
+    it('should allow roles whose scopes the user holds', async () => {
+      const inst = createDelegationInstance({ roles: ['editor'], scopes: ['read:me', 'write:content'] })
+      await checkRoleDelegation.call(inst, req, [{ role: 'r2' }])
+    })
+
+    it('should allow roles covered by wildcard scopes', async () => {
+      const inst = createDelegationInstance({ roles: ['other'], scopes: ['read:*', 'write:*'] })
+      await checkRoleDelegation.call(inst, req, [{ role: 'r3' }])
+    })
+
+    it('should reject roles with scopes the user doesn\'t hold', async () => {
+      const inst = createDelegationInstance({ roles: ['editor'], scopes: ['read:me', 'write:content'] })
+      await assert.rejects(
+        async () => checkRoleDelegation.call(inst, req, [{ role: 'r3' }]),
+        { code: 'ROLE_DELEGATION_DENIED', data: { shortName: 'admin', scopes: ['write:users'] } }
+      )
+    })
+
+    it('should take inherited scopes into account', async () => {
+      const inst = createDelegationInstance({ roles: ['other'], scopes: ['write:content', 'write:users'] })
+      await assert.rejects(
+        async () => checkRoleDelegation.call(inst, req, [{ role: 'r3' }]),
+        { code: 'ROLE_DELEGATION_DENIED', data: { shortName: 'admin', scopes: ['read:me'] } }
+      )
+    })
+
+    it('should resolve the user\'s scopes in the assignment context', async () => {
+      const inst = createDelegationInstance({ roles: ['editor'], scopes: ['read:me', 'write:content'] })
+      const context = { type: 'course', _id: 'c1' }
+      await checkRoleDelegation.call(inst, req, [{ role: 'r2', context }])
+      assert.deepEqual(inst.getScopesForUser.mock.calls[0].arguments, ['u1', context])
+    })
+
+    it('should allow roles ranked at or below the user\'s own', async () => {
+      const inst = createDelegationInstance({ roles: ['editor'], scopes: [] }, ['admin', 'editor', 'authuser'])
+      await checkRoleDelegation.call(inst, req, [{ role: 'r2' }, { role: 'r1' }])
+    })
+
+    it('should reject roles ranked above the user\'s own', async () => {
+      const inst = createDelegationInstance({ roles: ['authuser', 'editor'], scopes: [] }, ['admin', 'editor', 'authuser'])
+      await assert.rejects(
+        async () => checkRoleDelegation.call(inst, req, [{ role: 'r3' }]),
+        { code: 'ROLE_DELEGATION_DENIED' }
+      )
+    })
+
+    it('should reject ranked roles if the user has no rank', async () => {
+      const inst = createDelegationInstance({ roles: ['other'], scopes: [] }, ['admin', 'editor', 'authuser'])
+      await assert.rejects(
+        async () => checkRoleDelegation.call(inst, req, [{ role: 'r1' }]),
+        { code: 'ROLE_DELEGATION_DENIED' }
+      )
+    })
+
+    it('should ignore ranks if ranked is false', async () => {
+      const inst = createDelegationInstance({ roles: ['editor'], scopes: [] }, ['admin', 'editor', 'authuser'])
+      await assert.rejects(
+        async () => checkRoleDelegation.call(inst, req, [{ role: 'r1' }], { ranked: false }),
+        { code: 'ROLE_DELEGATION_DENIED' }
+      )
+    })
+
+    it('should use the passed roles if specified', async () => {
+      const inst = createDelegationInstance({ roles: [], scopes: ['read:content'] })
+      await checkRoleDelegation.call(inst, req, [{ role: 'new' }], { allRoles: [{ _id: 'new', shortName: 'new', scopes: ['read:content'] }] })
+      assert.equal(inst.find.mock.callCount(), 0)
+    })
+
+    it('should allow super users to grant any role', async () => {
+      const inst = createDelegationInstance({ roles: [], scopes: [] })
+      await checkRoleDelegation.call(inst, { auth: { isSuper: true } }, [{ role: 'r3' }])
+      assert.equal(inst.getScopesForUser.mock.callCount(), 0)
+    })
+  })
+
+  // ── bulkAssignRole ─────────────────────────────────────────────────
+
+  describe('bulkAssignRole', () => {
+    const role = { _id: { toString: () => 'r1' } }
+
+    function createBulkInstance ({ targets = [], overrides = {} } = {}) {
+      const disavowMock = mock.fn(async () => {})
+      const mongodbMock = { updateMany: mock.fn(async () => {}) }
+      const usersMock = { collectionName: 'users', find: mock.fn(async () => targets) }
+      const inst = createInstance({
+        app: {
+          waitForModule: mock.fn(async () => [{ authentication: { disavowUser: disavowMock } }, mongodbMock, usersMock]),
+          errors: {
+            INVALID_ROLE_ASSIGNMENT: createError('INVALID_ROLE_ASSIGNMENT'),
+            UNAUTHORISED: createError('UNAUTHORISED')
+          }
+        },
+        findOne: mock.fn(async () => role),
+        checkRoleAssignment: mock.fn(async () => {}),
+        ...overrides
+      })
+      return { inst, disavowMock, mongodbMock, usersMock }
+    }
+
+    const req = { auth: { isSuper: false, user: { _id: 'admin1' } } }
+
+    it('should require users or a query', async () => {
+      const { inst } = createBulkInstance()
+      await assert.rejects(
+        async () => bulkAssignRole.call(inst, req, { roleId: 'r1' }),
+        { code: 'INVALID_ROLE_ASSIGNMENT' }
+      )
+    })
+
+    it('should reject incomplete contexts', async () => {
+      const { inst } = createBulkInstance()
+      await assert.rejects(
+        async () => bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], context: { type: 'course' } }),
+        { code: 'INVALID_ROLE_ASSIGNMENT' }
+      )
+    })
+
+    it('should assign the role to all users in a single update', async () => {
+      const { inst, mongodbMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: [] }, { _id: 'u2', roles: [] }] })
+      const results = await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1', 'u2'] })
+      assert.deepEqual(results, [{ _id: 'u1', success: true }, { _id: 'u2', success: true }])
+      assert.equal(mongodbMock.updateMany.mock.callCount(), 1)
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments, [
+        'users',
+        { _id: { $in: ['u1', 'u2'] } },
+        { $addToSet: { roles: role._id } }
+      ])
+    })
+
+    it('should select users with a query', async () => {
+      const { inst, usersMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: [] }] })
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', query: { email: 'a@b.com' } })
+      assert.deepEqual(usersMock.find.mock.calls[0].arguments[0], { email: 'a@b.com' })
+    })
+
+    it('should apply the assignment checks to each user', async () => {
+      const { inst } = createBulkInstance({ targets: [{ _id: 'u1', roles: [] }] })
+      const context = { type: 'course', _id: 'c1' }
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], context })
+      assert.deepEqual(inst.checkRoleAssignment.mock.calls[0].arguments, [req, 'u1', { roles: [role._id], contexts: [context] }])
+    })
+
+    it('should report users which fail the checks and leave them unchanged', async () => {
+      const { inst, mongodbMock, disavowMock } = createBulkInstance({
+        targets: [{ _id: 'u1', roles: [] }, { _id: 'super', roles: [] }],
+        overrides: {
+          checkRoleAssignment: mock.fn(async (req, userId) => {
+            if (userId === 'super') throw createError('UNAUTHORISED')
+          })
+        }
+      })
+      const results = await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1', 'super'] })
+      assert.deepEqual(results[1], { _id: 'super', success: false, error: 'UNAUTHORISED' })
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments[1], { _id: { $in: ['u1'] } })
+      assert.equal(disavowMock.mock.callCount(), 1)
+    })
+
+    it('should leave the last super users unchanged when unassigning', async () => {
+      const { inst, mongodbMock } = createBulkInstance({
+        targets: [{ _id: 'u1', roles: ['r1'] }, { _id: 'u2', roles: ['r1'] }],
+        overrides: {
+          checkSuperUserRemains: mock.fn(async () => { throw createError('LAST_SUPERUSER') }),
+          getSuperUsers: mock.fn(async () => [{ _id: 'u2', roles: ['r1'] }])
+        }
+      })
+      const results = await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1', 'u2'], remove: true })
+      assert.deepEqual(results, [{ _id: 'u1', success: true }, { _id: 'u2', success: false, error: 'LAST_SUPERUSER' }])
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments[1], { _id: { $in: ['u1'] } })
+    })
+
+    it('should check the role can be delegated before updating any users', async () => {
+      const { inst, mongodbMock } = createBulkInstance({
+        targets: [{ _id: 'u1', roles: [] }],
+        overrides: { checkRoleDelegation: mock.fn(async () => { throw createError('ROLE_DELEGATION_DENIED') }) }
+      })
+      const context = { type: 'course', _id: 'c1' }
+      await assert.rejects(
+        async () => bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], context }),
+        { code: 'ROLE_DELEGATION_DENIED' }
+      )
+      assert.deepEqual(inst.checkRoleDelegation.mock.calls[0].arguments[1], [{ role: role._id, context }])
+      assert.equal(mongodbMock.updateMany.mock.callCount(), 0)
+    })
+
+    it('should not check delegation when unassigning', async () => {
+      const { inst } = createBulkInstance({ targets: [{ _id: 'u1', roles: ['r1'] }] })
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], remove: true })
+      assert.equal(inst.checkRoleDelegation.mock.callCount(), 0)
+    })
+
+    it('should report users which do not exist', async () => {
+      const { inst } = createBulkInstance({ targets: [{ _id: 'u1', roles: [] }] })
+      const results = await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1', 'u9'] })
+      assert.deepEqual(results[1], { _id: 'u9', success: false, error: 'NOT_FOUND' })
+    })
+
+    it('should skip users who already have the role', async () => {
+      const { inst, mongodbMock, disavowMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: ['r1'] }] })
+      const results = await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'] })
+      assert.deepEqual(results, [{ _id: 'u1', success: true }])
+      assert.equal(mongodbMock.updateMany.mock.callCount(), 0)
+      assert.equal(disavowMock.mock.callCount(), 0)
+    })
+
+    it('should disavow and audit updated users', async () => {
+      const { inst, disavowMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: [] }] })
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'] })
+      assert.deepEqual(disavowMock.mock.calls[0].arguments[0], { userId: 'u1' })
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'assign')
+      assert.equal(entry.actor, 'admin1')
+      assert.deepEqual(entry.after.roles, [role._id])
+    })
+
+    it('should remove the role when unassigning', async () => {
+      const { inst, mongodbMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: ['r1'] }] })
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], remove: true })
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments[2], { $pull: { roles: role._id } })
+    })
+
+    it('should remove contextual role assignments when unassigning with a context', async () => {
+      const context = { type: 'course', _id: 'c1' }
+      const { inst, mongodbMock } = createBulkInstance({ targets: [{ _id: 'u1', roles: [], roleAssignments: [{ role: 'r1', context }] }] })
+      await bulkAssignRole.call(inst, req, { roleId: 'r1', userIds: ['u1'], context, remove: true })
+      assert.deepEqual(mongodbMock.updateMany.mock.calls[0].arguments[2], {
+        $pull: { roleAssignments: { role: role._id, 'context.type': 'course', 'context._id': 'c1' } }
+      })
+    })
+  })
+
+  // ── user groups ─────────────────────────────────────────────────────
+
+  describe('getGroup', () => {
+    it('should return the group', async () => {
+      const group = { _id: 'g1', displayName: 'Editors' }
+      const inst = createInstance({ getRoleCache: mock.fn(async () => indexRoles([], [group])) })
+      assert.equal(await getGroup.call(inst, 'g1'), group)
+    })
+
+    it('should throw if the group does not exist', async () => {
+      const inst = createInstance()
+      await assert.rejects(async () => getGroup.call(inst, 'missing'), { code: 'NOT_FOUND' })
+    })
+  })
+
+  describe('checkGroupChange', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+      { _id: 'r2', shortName: 'editor', scopes: ['write:content'] }
+    ]
+    const group = { _id: 'g1', displayName: 'Editors', members: ['u1', 'u2'], roles: ['r2'] }
+    const req = { auth: { user: { _id: 'admin' } } }
+
+    function createGroupInstance (groups = [group]) {
+      return createInstance({
+        getRoleCache: mock.fn(async () => indexRoles(roles, groups)),
+        checkRoleAssignment: mock.fn(async () => {})
+      })
+    }
+
+    it('should check the roles granted to each new member', async () => {
+      const inst = createGroupInstance([])
+      const result = await checkGroupChange.call(inst, req, undefined, { displayName: 'New', members: ['u1'], roles: ['r1', 'r2'] })
+      assert.deepEqual(result, ['u1'])
+      assert.deepEqual(inst.checkRoleAssignment.mock.calls[0].arguments, [req, 'u1', { roles: ['r1', 'r2'], contexts: [undefined] }])
+      assert.deepEqual(inst.checkRoleDelegation.mock.calls[0].arguments[1], [{ role: 'r1' }, { role: 'r2' }])
+    })
+
+    it('should check the roles granted to existing members', async () => {
+      const inst = createGroupInstance()
+      const result = await checkGroupChange.call(inst, req, group, { ...group, roles: ['r1', 'r2'] })
+      assert.deepEqual(result, ['u1', 'u2'])
+      assert.deepEqual(inst.checkRoleAssignment.mock.calls.map(c => c.arguments[2].roles), [['r1'], ['r1']])
+    })
+
+    it('should check members who lose roles', async () => {
+      const inst = createGroupInstance()
+      const result = await checkGroupChange.call(inst, req, group, { ...group, members: ['u1'] })
+      assert.deepEqual(result, ['u2'])
+      assert.deepEqual(inst.checkRoleAssignment.mock.calls[0].arguments.slice(1), ['u2', { roles: [], contexts: [undefined] }])
+      const { groups } = inst.checkSuperUserRemains.mock.calls[0].arguments[0]
+      assert.deepEqual(groups, [{ ...group, members: ['u1'] }])
+    })
+
+    it('should check every member of deleted groups', async () => {
+      const inst = createGroupInstance()
+      const result = await checkGroupChange.call(inst, req, group)
+      assert.deepEqual(result, ['u1', 'u2'])
+      assert.deepEqual(inst.checkSuperUserRemains.mock.calls[0].arguments[0].groups, [])
+    })
+
+    it('should ignore members whose roles are still granted by another group', async () => {
+      const other = { _id: 'g2', displayName: 'Others', members: ['u2'], roles: ['r2'] }
+      const inst = createGroupInstance([group, other])
+      const result = await checkGroupChange.call(inst, req, group, { ...group, members: ['u1'] })
+      assert.deepEqual(result, [])
+      assert.equal(inst.checkRoleAssignment.mock.callCount(), 0)
+      assert.equal(inst.checkSuperUserRemains.mock.callCount(), 0)
+    })
+
+    it('should not make any checks if only the displayName changes', async () => {
+      const inst = createGroupInstance()
+      const result = await checkGroupChange.call(inst, req, group, { ...group, displayName: 'Renamed' })
+      assert.deepEqual(result, [])
+      assert.equal(inst.checkRoleAssignment.mock.callCount(), 0)
+    })
+
+    it('should reject changes the user is not allowed to make', async () => {
+      const inst = createGroupInstance()
+      inst.checkRoleAssignment = mock.fn(async () => { throw createError('UNAUTHORISED') })
+      await assert.rejects(
+        async () => checkGroupChange.call(inst, req, group, { ...group, members: [] }),
+        { code: 'UNAUTHORISED' }
+      )
+    })
+  })
+
+  describe('writeGroup', () => {
+    const group = { _id: 'g1', displayName: 'Editors', members: ['u1'], roles: ['r1'] }
+    const req = { auth: { user: { _id: 'admin' } } }
+
+    function createWriteInstance (changed = ['u1']) {
+      const disavowMock = mock.fn(async () => {})
+      const inst = createInstance({
+        groupSchemaName: 'rolegroup',
+        groupCollectionName: 'rolegroups',
+        app: { waitForModule: mock.fn(async () => ({ authentication: { disavowUser: disavowMock } })), errors: {} },
+        getGroup: mock.fn(async () => group),
+        checkGroupChange: mock.fn(async () => changed),
+        insert: mock.fn(async data => ({ _id: 'g2', ...data })),
+        update: mock.fn(async (query, data) => ({ ...group, ...data })),
+        delete: mock.fn(async () => {})
+      })
+      return { inst, disavowMock }
+    }
+
+    it('should add new groups', async () => {
+      const { inst } = createWriteInstance()
+      const data = { displayName: 'New', members: ['u1'], roles: ['r1'] }
+      const result = await writeGroup.call(inst, req, { data })
+      assert.deepEqual(inst.checkGroupChange.mock.calls[0].arguments, [req, undefined, data])
+      const [inserted, options] = inst.insert.mock.calls[0].arguments
+      assert.equal(inserted, data)
+      assert.deepEqual(options, { schemaName: 'rolegroup', collectionName: 'rolegroups', invokePreHook: false, invokePostHook: false })
+      assert.equal(result._id, 'g2')
+    })
+
+    it('should update existing groups', async () => {
+      const { inst } = createWriteInstance()
+      const result = await writeGroup.call(inst, req, { _id: 'g1', data: { members: [] } })
+      assert.deepEqual(inst.checkGroupChange.mock.calls[0].arguments, [req, group, { ...group, members: [] }])
+      assert.deepEqual(inst.update.mock.calls[0].arguments.slice(0, 2), [{ _id: 'g1' }, { members: [] }])
+      assert.deepEqual(result.members, [])
+    })
+
+    it('should delete groups', async () => {
+      const { inst } = createWriteInstance()
+      const result = await writeGroup.call(inst, req, { _id: 'g1' })
+      assert.deepEqual(inst.checkGroupChange.mock.calls[0].arguments, [req, group, undefined])
+      assert.deepEqual(inst.delete.mock.calls[0].arguments[0], { _id: 'g1' })
+      assert.equal(result, undefined)
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].action, 'delete')
+    })
+
+    it('should clear the role cache and record the change', async () => {
+      const { inst } = createWriteInstance()
+      await writeGroup.call(inst, req, { _id: 'g1', data: { displayName: 'Renamed' } })
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 1)
+      const entry = inst.logAudit.mock.calls[0].arguments[0]
+      assert.equal(entry.action, 'update')
+      assert.equal(entry.actor, 'admin')
+      assert.equal(entry.group, 'g1')
+      assert.equal(entry.before, group)
+    })
+
+    it('should disavow members whose roles changed', async () => {
+      const { inst, disavowMock } = createWriteInstance(['u1', 'u2'])
+      await writeGroup.call(inst, req, { _id: 'g1', data: { roles: [] } })
+      assert.deepEqual(disavowMock.mock.calls.map(c => c.arguments[0]), [{ userId: 'u1' }, { userId: 'u2' }])
+    })
+
+    it('should not write anything if the change is rejected', async () => {
+      const { inst } = createWriteInstance()
+      inst.checkGroupChange = mock.fn(async () => { throw createError('LAST_SUPERUSER') })
+      await assert.rejects(async () => writeGroup.call(inst, req, { _id: 'g1' }), { code: 'LAST_SUPERUSER' })
+      assert.equal(inst.delete.mock.callCount(), 0)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+  })
+
+  describe('groupsHandler', () => {
+    const groups = [{ _id: 'g1', displayName: 'Editors' }]
+
+    function createHandlerInstance () {
+      return createInstance({
+        getRoleCache: mock.fn(async () => indexRoles([], groups)),
+        getGroup: mock.fn(async () => groups[0]),
+        writeGroup: mock.fn(async (req, { data }) => data && { _id: 'g1', ...data })
+      })
+    }
+
+    function createRes () {
+      const res = { json: mock.fn(), sendStatus: mock.fn() }
+      res.status = mock.fn(() => res)
+      return res
+    }
+
+    it('should list all groups', async () => {
+      const inst = createHandlerInstance()
+      const res = createRes()
+      await groupsHandler.call(inst, { method: 'GET', params: {} }, res, mock.fn())
+      assert.equal(res.json.mock.calls[0].arguments[0], groups)
+    })
+
+    it('should return a single group', async () => {
+      const inst = createHandlerInstance()
+      const res = createRes()
+      await groupsHandler.call(inst, { method: 'GET', params: { _id: 'g1' } }, res, mock.fn())
+      assert.deepEqual(inst.getGroup.mock.calls[0].arguments, ['g1'])
+      assert.equal(res.json.mock.calls[0].arguments[0], groups[0])
+    })
+
+    it('should add groups', async () => {
+      const inst = createHandlerInstance()
+      const res = createRes()
+      const req = { method: 'POST', params: {}, apiData: { data: { displayName: 'New' } } }
+      await groupsHandler.call(inst, req, res, mock.fn())
+      assert.deepEqual(inst.writeGroup.mock.calls[0].arguments, [req, { _id: undefined, data: { displayName: 'New' } }])
+      assert.equal(res.status.mock.calls[0].arguments[0], 201)
+    })
+
+    it('should update groups', async () => {
+      const inst = createHandlerInstance()
+      const res = createRes()
+      await groupsHandler.call(inst, { method: 'PATCH', params: { _id: 'g1' }, apiData: { data: { members: [] } } }, res, mock.fn())
+      assert.deepEqual(inst.writeGroup.mock.calls[0].arguments[1], { _id: 'g1', data: { members: [] } })
+      assert.equal(res.status.mock.calls[0].arguments[0], 200)
+    })
+
+    it('should delete groups', async () => {
+      const inst = createHandlerInstance()
+      const res = createRes()
+      await groupsHandler.call(inst, { method: 'DELETE', params: { _id: 'g1' }, apiData: { data: {} } }, res, mock.fn())
+      assert.deepEqual(inst.writeGroup.mock.calls[0].arguments[1], { _id: 'g1', data: undefined })
+      assert.equal(res.sendStatus.mock.calls[0].arguments[0], 204)
+    })
+
+    it('should pass errors to next', async () => {
+      const inst = createHandlerInstance()
+      inst.getGroup = mock.fn(async () => { throw createError('NOT_FOUND') })
+      const next = mock.fn()
+      await groupsHandler.call(inst, { method: 'GET', params: { _id: 'missing' } }, createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0].code, 'NOT_FOUND')
+    })
+  })
+
+  // ── exportRoles ────────────────────────────────────────────────────
+
+  describe('exportRoles', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', displayName: 'Auth user', scopes: ['read:me'], isBuiltIn: true },
+      { _id: 'r2', shortName: 'reviewer', displayName: 'Reviewer', extends: 'authuser', scopes: ['read:content'], isBuiltIn: false }
+    ]
+
+    it('should export custom roles without instance-specific data', async () => {
+      const inst = createInstance({ find: mock.fn(async () => roles) })
+      assert.deepEqual(await exportRoles.call(inst), {
+        version: 1,
+        roles: [{ shortName: 'reviewer', displayName: 'Reviewer', extends: 'authuser', scopes: ['read:content'] }]
+      })
+    })
+
+    it('should optionally include built-in roles', async () => {
+      const inst = createInstance({ find: mock.fn(async () => roles) })
+      const bundle = await exportRoles.call(inst, { includeBuiltIn: true })
+      assert.deepEqual(bundle.roles.map(r => r.shortName), ['authuser', 'reviewer'])
+    })
+  })
+
+  describe('exportHandler', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', displayName: 'Auth user', scopes: ['read:me'], isBuiltIn: true },
+      { _id: 'r2', shortName: 'reviewer', displayName: 'Reviewer', extends: 'authuser', scopes: ['read:content'], denyScopes: ['read:users'], isBuiltIn: false }
+    ]
+
+    function createExportInstance () {
+      return createInstance({
+        app: { errors: { INVALID_ROLE_IMPORT: createError('INVALID_ROLE_IMPORT') } },
+        find: mock.fn(async () => roles),
+        exportRoles
+      })
+    }
+
+    function createRes () {
+      const res = { json: mock.fn(), send: mock.fn() }
+      res.type = mock.fn(() => res)
+      return res
+    }
+
+    it('should respond with JSON by default', async () => {
+      const inst = createExportInstance()
+      const res = createRes()
+      await exportHandler.call(inst, { query: { includeBuiltIn: 'true' } }, res, mock.fn())
+      assert.deepEqual(res.json.mock.calls[0].arguments[0].roles.map(r => r.shortName), ['authuser', 'reviewer'])
+      assert.equal(res.send.mock.callCount(), 0)
+    })
+
+    it('should export YAML which can be imported again', async () => {
+      const inst = createExportInstance()
+      const res = createRes()
+      await exportHandler.call(inst, { query: { format: 'yaml' } }, res, mock.fn())
+      assert.equal(res.type.mock.calls[0].arguments[0], 'yaml')
+      const exported = res.send.mock.calls[0].arguments[0]
+      assert.equal(typeof exported, 'string')
+      assert.deepEqual(parseRoleBundle.call(inst, exported), [
+        { shortName: 'reviewer', displayName: 'Reviewer', extends: 'authuser', scopes: ['read:content'], denyScopes: ['read:users'] }
+      ])
+    })
+
+    it('should pass errors to next', async () => {
+      const inst = createExportInstance()
+      inst.find = mock.fn(async () => { throw new Error('db down') })
+      const next = mock.fn()
+      await exportHandler.call(inst, { query: {} }, createRes(), next)
+      assert.equal(next.mock.calls[0].arguments[0].message, 'db down')
+    })
+  })
+
+  describe('parseRoleBundle', () => {
+    const inst = createInstance({ app: { errors: { INVALID_ROLE_IMPORT: createError('INVALID_ROLE_IMPORT') } } })
+
+    it('should parse YAML bundles', () => {
+      const bundle = 'version: 1\nroles:\n  - shortName: reviewer\n    displayName: Reviewer\n    scopes:\n      - read:content\n'
+      assert.deepEqual(parseRoleBundle.call(inst, bundle), [{ shortName: 'reviewer', displayName: 'Reviewer', scopes: ['read:content'] }])
+    })
+
+    it('should parse JSON bundles', () => {
+      const bundle = JSON.stringify({ version: 1, roles: [{ shortName: 'reviewer', scopes: [] }] })
+      assert.deepEqual(parseRoleBundle.call(inst, bundle), [{ shortName: 'reviewer', scopes: [] }])
+    })
+
+    it('should reject malformed YAML', () => {
+      assert.throws(
+        () => parseRoleBundle.call(inst, 'version: 1\nroles: [\n  - shortName: {'),
+        e => e.code === 'INVALID_ROLE_IMPORT' && e.data.reason.startsWith('failed to parse bundle')
+      )
+    })
+
+    it('should reject unsupported bundle versions', () => {
+      assert.throws(() => parseRoleBundle.call(inst, { version: 2, roles: [] }), { code: 'INVALID_ROLE_IMPORT' })
+    })
+
+    it('should reject bundles without a roles array', () => {
+      assert.throws(() => parseRoleBundle.call(inst, 'version: 1\nroles: reviewer\n'), { code: 'INVALID_ROLE_IMPORT' })
+    })
+  })
+
+  // ── importRoles ────────────────────────────────────────────────────
+
+  describe('importRoles', () => {
+    const existing = [
+      { _id: 'r1', shortName: 'authuser', displayName: 'Auth user', scopes: ['read:me'], isBuiltIn: true },
+      { _id: 'r2', shortName: 'reviewer', displayName: 'Reviewer', scopes: ['read:content'], isBuiltIn: false }
+    ]
+
+    function createImportInstance (overrides = {}) {
+      const { inst, mongodbMock } = createConfigRolesInstance([], {
+        find: mock.fn(async query => query ? existing.filter(r => r.shortName === query.shortName) : existing),
+        insert: mock.fn(async data => ({ _id: 'new1', ...data })),
+        validate: mock.fn(async (schemaName, data) => ({ ...data, isBuiltIn: false })),
+        validateRoleScopes: mock.fn(),
+        parseRoleBundle,
+        hasRoleTemplate,
+        ...overrides
+      })
+      inst.app.errors.INVALID_ROLE_IMPORT = createError('INVALID_ROLE_IMPORT')
+      return { inst, mongodbMock }
+    }
+
+    function createBundle (...roles) {
+      return { version: 1, roles }
+    }
+
+    const req = { auth: { isSuper: false, user: { _id: 'admin1' } } }
+
+    const newRole = { shortName: 'author', displayName: 'Author', extends: 'authuser', scopes: ['write:content'] }
+    const changedRole = { shortName: 'reviewer', displayName: 'Reviewer', scopes: ['read:content', 'read:assets'] }
+    const changedBuiltIn = { shortName: 'authuser', displayName: 'Auth user', scopes: ['*:*'] }
+
+    it('should insert new roles and audit them against the actor', async () => {
+      const { inst } = createImportInstance()
+      const report = await importRoles.call(inst, req, createBundle(newRole))
+      assert.deepEqual(report.insert, ['author'])
+      assert.equal(inst.insert.mock.calls[0].arguments[0].shortName, 'author')
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].actor, 'admin1')
+    })
+
+    it('should report conflicts without replacing them when merging', async () => {
+      const { inst, mongodbMock } = createImportInstance()
+      const report = await importRoles.call(inst, req, createBundle(changedRole, changedBuiltIn))
+      assert.deepEqual(report.conflicts, [
+        { shortName: 'reviewer', reason: 'exists' },
+        { shortName: 'authuser', reason: 'built-in' }
+      ])
+      assert.deepEqual(report.replace, [])
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should replace conflicting custom roles in replace mode', async () => {
+      const { inst, mongodbMock } = createImportInstance()
+      const report = await importRoles.call(inst, req, createBundle(changedRole, changedBuiltIn), { mode: 'replace' })
+      assert.deepEqual(report.replace, ['reviewer'])
+      assert.equal(mongodbMock.replace.mock.callCount(), 1)
+      assert.deepEqual(mongodbMock.replace.mock.calls[0].arguments[1], { _id: 'r2' })
+    })
+
+    it('should not replace roles created from a role template', async () => {
+      const instance = { _id: 'r3', shortName: 'editor-c1', displayName: 'Editor', scopes: ['write:c1'], isBuiltIn: false, template: { name: 'courseeditor', parameters: { course: 'c1' } } }
+      const { inst, mongodbMock } = createImportInstance({
+        find: mock.fn(async query => query ? [...existing, instance].filter(r => r.shortName === query.shortName) : [...existing, instance]),
+        getRoleTemplates: mock.fn(() => [{ shortName: 'courseeditor', parameters: ['course'] }])
+      })
+      const report = await importRoles.call(inst, req, createBundle({ shortName: 'editor-c1', displayName: 'Editor', scopes: ['*:*'] }), { mode: 'replace' })
+      assert.deepEqual(report.conflicts, [{ shortName: 'editor-c1', reason: 'template' }])
+      assert.deepEqual(report.replace, [])
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should not replace the roles of the last super user', async () => {
+      const root = { _id: 'r3', shortName: 'root', displayName: 'Root', scopes: ['*:*'], isBuiltIn: false }
+      const { inst, mongodbMock } = createImportInstance({
+        find: mock.fn(async query => query ? [...existing, root].filter(r => r.shortName === query.shortName) : [...existing, root]),
+        getSuperUsers: mock.fn(async () => [{ _id: 'u1', roles: ['r3'] }]),
+        checkSuperUserRemains
+      })
+      inst.app.errors.LAST_SUPERUSER = createError('LAST_SUPERUSER')
+      await assert.rejects(
+        importRoles.call(inst, req, createBundle({ shortName: 'root', displayName: 'Root', scopes: ['read:content'] }), { mode: 'replace' }),
+        { code: 'LAST_SUPERUSER' }
+      )
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should check super users against the replaced roles', async () => {
+      const { inst } = createImportInstance()
+      await importRoles.call(inst, req, createBundle(changedRole), { mode: 'replace' })
+      const { roles } = inst.checkSuperUserRemains.mock.calls[0].arguments[0]
+      assert.deepEqual(roles.find(r => r.shortName === 'reviewer'), { ...changedRole, isBuiltIn: false, _id: 'r2' })
+    })
+
+    it('should check every imported role can be delegated by the user', async () => {
+      const { inst } = createImportInstance()
+      await importRoles.call(inst, req, createBundle(newRole, changedRole), { mode: 'replace' })
+      const [, assignments, { allRoles, ranked }] = inst.checkRoleDelegation.mock.calls[0].arguments
+      assert.deepEqual(assignments, [{ role: 'author' }, { role: 'r2' }])
+      assert.deepEqual(allRoles.find(r => r._id === 'author').scopes, ['write:content'])
+      assert.equal(ranked, false)
+    })
+
+    it('should not import roles which grant more than the user holds', async () => {
+      const { inst, mongodbMock } = createImportInstance({
+        checkRoleDelegation: mock.fn(async () => { throw createError('ROLE_DELEGATION_DENIED') })
+      })
+      await assert.rejects(
+        importRoles.call(inst, req, createBundle({ shortName: 'root', displayName: 'Root', scopes: ['*:*'] })),
+        { code: 'ROLE_DELEGATION_DENIED' }
+      )
+      assert.equal(inst.insert.mock.callCount(), 0)
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should not report identical roles as conflicts', async () => {
+      const { inst } = createImportInstance()
+      const report = await importRoles.call(inst, req, createBundle({ shortName: 'reviewer', displayName: 'Reviewer', scopes: ['read:content'] }))
+      assert.deepEqual(report.conflicts, [])
+      assert.deepEqual(report.insert, [])
+    })
+
+    it('should make no changes in a dry run', async () => {
+      const { inst, mongodbMock } = createImportInstance()
+      const report = await importRoles.call(inst, req, createBundle(newRole, changedRole), { mode: 'replace', dryRun: true })
+      assert.deepEqual(report.insert, ['author'])
+      assert.deepEqual(report.replace, ['reviewer'])
+      assert.equal(inst.insert.mock.callCount(), 0)
+      assert.equal(mongodbMock.replace.mock.callCount(), 0)
+    })
+
+    it('should report roles which fail to import', async () => {
+      const { inst } = createImportInstance({ insert: mock.fn(async () => { throw new Error('nope') }) })
+      const report = await importRoles.call(inst, req, createBundle(newRole))
+      assert.deepEqual(report.failed, ['author'])
+    })
+
+    it('should reject roles which extend unknown roles', async () => {
+      const { inst } = createImportInstance()
+      await assert.rejects(
+        async () => importRoles.call(inst, req, createBundle({ ...newRole, extends: 'missing' })),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+      assert.equal(inst.insert.mock.callCount(), 0)
+    })
+
+    it('should reject unknown modes', async () => {
+      const { inst } = createImportInstance()
+      await assert.rejects(
+        async () => importRoles.call(inst, req, createBundle(newRole), { mode: 'overwrite' }),
+        { code: 'INVALID_ROLE_IMPORT' }
+      )
+    })
+
+    it('should reject bundles with an unsupported version', async () => {
+      const { inst } = createImportInstance()
+      await assert.rejects(
+        async () => importRoles.call(inst, req, { version: 2, roles: [] }),
+        { code: 'INVALID_ROLE_IMPORT' }
+      )
+    })
+
+    it('should reject bundles without roles', async () => {
+      const { inst } = createImportInstance()
+      await assert.rejects(
+        async () => importRoles.call(inst, req, { version: 1 }),
+        { code: 'INVALID_ROLE_IMPORT' }
+      )
+    })
+  })
+
+  // ── onProtectBuiltInRole ───────────────────────────────────────────
+
+  describe('onProtectBuiltInRole', () => {
+    function createProtectInstance (role, allowChanges = false) {
+      return createInstance({
+        app: {
+          waitForModule: mock.fn(async () => ({})),
+          errors: {
+            BUILT_IN_ROLE_LOCKED: createError('BUILT_IN_ROLE_LOCKED'),
+            TEMPLATE_ROLE_LOCKED: createError('TEMPLATE_ROLE_LOCKED')
+          }
+        },
+        getConfig: mock.fn(key => key === 'allowBuiltInRoleChanges' ? allowChanges : undefined),
+        getRoleTemplates: mock.fn(() => [{ shortName: 'courseeditor', parameters: ['course'] }]),
+        hasRoleTemplate,
+        findOne: mock.fn(async () => role)
+      })
+    }
+
+    function createReq (method) {
+      return { method, apiData: { modifying: true, data: {}, query: { _id: 'r1' } } }
+    }
+
+    const builtIn = { _id: 'r1', shortName: 'authuser', isBuiltIn: true }
+
+    ;['PUT', 'PATCH', 'DELETE'].forEach(method => {
+      it(`should reject ${method} requests for built-in roles`, async () => {
+        const inst = createProtectInstance(builtIn)
+        await assert.rejects(
+          async () => onProtectBuiltInRole.call(inst, createReq(method)),
+          { code: 'BUILT_IN_ROLE_LOCKED' }
+        )
+      })
+    })
+
+    it('should allow changes to custom roles', async () => {
+      const inst = createProtectInstance({ _id: 'r1', shortName: 'custom', isBuiltIn: false })
+      await onProtectBuiltInRole.call(inst, createReq('PATCH'))
+    })
+
+    it('should allow changes to built-in roles when overridden in the config', async () => {
+      const inst = createProtectInstance(builtIn, true)
+      await onProtectBuiltInRole.call(inst, createReq('DELETE'))
+      assert.equal(inst.findOne.mock.callCount(), 0)
+    })
+
+    it('should not check new roles', async () => {
+      const inst = createProtectInstance(builtIn)
+      await onProtectBuiltInRole.call(inst, createReq('POST'))
+      assert.equal(inst.findOne.mock.callCount(), 0)
+    })
+
+    const instance = { _id: 'r1', shortName: 'editor-c1', isBuiltIn: false, template: { name: 'courseeditor', parameters: { course: 'c1' } } }
+
+    ;['PUT', 'PATCH'].forEach(method => {
+      it(`should reject ${method} requests for roles created from a template`, async () => {
+        const inst = createProtectInstance(instance)
+        await assert.rejects(onProtectBuiltInRole.call(inst, createReq(method)), err => {
+          assert.equal(err.code, 'TEMPLATE_ROLE_LOCKED')
+          assert.deepEqual(err.data, { shortName: 'editor-c1', template: 'courseeditor' })
+          return true
+        })
+      })
+    })
+
+    it('should allow roles created from a template to be deleted', async () => {
+      const inst = createProtectInstance(instance)
+      await onProtectBuiltInRole.call(inst, createReq('DELETE'))
+    })
+
+    it('should allow changes to roles whose template no longer exists', async () => {
+      const inst = createProtectInstance({ ...instance, template: { name: 'removed', parameters: {} } })
+      await onProtectBuiltInRole.call(inst, createReq('PATCH'))
+    })
+
+    it('should allow changes to roles created from a template when overridden in the config', async () => {
+      const inst = createProtectInstance(instance, true)
+      await onProtectBuiltInRole.call(inst, createReq('PATCH'))
+    })
+  })
+
+  // ── onValidateRoleRequest ──────────────────────────────────────────
+
+  describe('onValidateRoleRequest', () => {
+    function createValidateInstance () {
+      return createInstance({
+        app: {
+          waitForModule: mock.fn(async () => ({})),
+          errors: {
+            ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE'),
+            UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE')
+          }
+        },
+        find: mock.fn(async () => [
+          { _id: 'r1', shortName: 'authuser', scopes: [] },
+          { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: [] }
+        ]),
+        validateRoleInheritance,
+        validateRoleScopes: mock.fn()
+      })
+    }
+
+    function createReq (method, data, _id) {
+      return { method, apiData: { modifying: true, data, query: { _id } } }
+    }
+
+    it('should ignore non-modifying requests', async () => {
+      const inst = createValidateInstance()
+      await onValidateRoleRequest.call(inst, { method: 'GET', apiData: { modifying: false } })
+      assert.equal(inst.find.mock.callCount(), 0)
+    })
+
+    it('should allow a new role extending multiple parents', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('POST', { shortName: 'new', extends: ['authuser', 'editor'], scopes: [] })
+      await onValidateRoleRequest.call(inst, req)
+    })
+
+    it('should reject a new role with an unknown parent', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('POST', { shortName: 'new', extends: 'missing', scopes: [] })
+      await assert.rejects(
+        async () => onValidateRoleRequest.call(inst, req),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+    })
+
+    it('should reject a patch which introduces a cycle', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('PATCH', { extends: 'editor' }, 'r1')
+      await assert.rejects(
+        async () => onValidateRoleRequest.call(inst, req),
+        { code: 'ROLE_INHERITANCE_CYCLE' }
+      )
+    })
+
+    it('should reject a rename which orphans a child role', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('PATCH', { shortName: 'renamed' }, 'r1')
+      await assert.rejects(
+        async () => onValidateRoleRequest.call(inst, req),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+    })
+
+    it('should validate a PUT against the replacement data only', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('PUT', { shortName: 'authuser', scopes: [] }, 'r1')
+      await onValidateRoleRequest.call(inst, req)
+    })
+
+    it('should only validate the scopes being changed', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('PATCH', { denyScopes: ['write:content'] }, 'r2')
+      await onValidateRoleRequest.call(inst, req)
+      assert.deepEqual(inst.validateRoleScopes.mock.calls[0].arguments[0], {
+        shortName: 'editor',
+        scopes: undefined,
+        denyScopes: ['write:content']
+      })
+    })
+
+    it('should check the new role can be delegated by the user, ignoring ranks', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('POST', { shortName: 'new', extends: 'editor', scopes: ['read:content'] })
+      await onValidateRoleRequest.call(inst, req)
+      const [, assignments, { allRoles, ranked }] = inst.checkRoleDelegation.mock.calls[0].arguments
+      assert.deepEqual(assignments, [{ role: 'new' }])
+      assert.equal(allRoles.find(r => r._id === 'new').extends, 'editor')
+      assert.equal(ranked, false)
+    })
+
+    it('should check modified roles using their existing _id', async () => {
+      const inst = createValidateInstance()
+      const req = createReq('PATCH', { scopes: ['write:content'] }, 'r2')
+      await onValidateRoleRequest.call(inst, req)
+      const [, assignments, { allRoles }] = inst.checkRoleDelegation.mock.calls[0].arguments
+      assert.deepEqual(assignments, [{ role: 'r2' }])
+      assert.deepEqual(allRoles.filter(r => r._id === 'r2').map(r => r.scopes), [['write:content']])
+    })
+  })
+
+  // ── scope registry ─────────────────────────────────────────────────
+
+  describe('scope registry', () => {
+    function createRegistryInstance (instances = {}) {
+      return createInstance({
+        app: {
+          dependencyloader: { instances },
+          errors: { UNKNOWN_SCOPES: createError('UNKNOWN_SCOPES') }
+        },
+        registeredScopes: new Set(),
+        getKnownScopes
+      })
+    }
+
+    it('should collect scopes from API module routes', () => {
+      const inst = createRegistryInstance({
+        content: { routes: [{ permissions: { get: ['read:content'], post: ['write:content'] } }] },
+        server: {},
+        health: { routes: [{ permissions: { get: null } }, {}] }
+      })
+      assert.deepEqual(getKnownScopes.call(inst), ['read:content', 'write:content'])
+    })
+
+    it('should include registered scopes', () => {
+      const inst = createRegistryInstance({ content: { routes: [{ permissions: { get: ['read:content'] } }] } })
+      registerScopes.call(inst, 'publish:adapt', 'read:content')
+      assert.deepEqual(getKnownScopes.call(inst), ['publish:adapt', 'read:content'])
+    })
+
+    it('should reject roles with unknown scopes', () => {
+      const inst = createRegistryInstance()
+      registerScopes.call(inst, 'read:content')
+      assert.throws(
+        () => validateRoleScopes.call(inst, { shortName: 'editor', scopes: ['read:content'], denyScopes: ['write:contnet'] }),
+        e => {
+          assert.equal(e.code, 'UNKNOWN_SCOPES')
+          assert.deepEqual(e.data, { shortName: 'editor', scopes: ['write:contnet'] })
+          return true
+        }
+      )
+    })
+
+    it('should accept roles with known scopes', () => {
+      const inst = createRegistryInstance()
+      registerScopes.call(inst, 'read:content')
+      validateRoleScopes.call(inst, { shortName: 'editor', scopes: ['read:content', 'read:*'] })
+    })
+
+    it('should warn about config roles with unknown scopes', () => {
+      const inst = createRegistryInstance()
+      registerScopes.call(inst, 'read:content')
+      inst.getConfig = mock.fn(() => [
+        { shortName: 'good', scopes: ['read:content'] },
+        { shortName: 'bad', scopes: ['write:contnet'] }
+      ])
+      checkConfigRoleScopes.call(inst)
+      assert.equal(inst.log.mock.callCount(), 1)
+      assert.ok(inst.log.mock.calls[0].arguments[1].includes('write:contnet'))
+    })
+
+    it('should not warn about the placeholders in role templates', () => {
+      const inst = createRegistryInstance()
+      registerScopes.call(inst, 'read:content')
+      inst.getConfig = mock.fn(() => [
+        { shortName: 'good', scopes: ['read:content'] },
+        { shortName: 'template', parameters: ['tag'], scopes: ['read:content.{tag}'] }
+      ])
+      checkConfigRoleScopes.call(inst)
+      assert.equal(inst.log.mock.callCount(), 0)
+    })
+
+    it('should list known scopes with the roles which grant them', async () => {
+      const inst = createRegistryInstance()
+      registerScopes.call(inst, 'read:content', 'write:content')
+      inst.find = mock.fn(async () => [
+        { _id: 'r1', shortName: 'viewer', scopes: ['read:content'] },
+        { _id: 'r2', shortName: 'editor', extends: 'viewer', scopes: ['write:content'] },
+        { _id: 'r3', shortName: 'super', scopes: ['*:*'] }
+      ])
+      const res = { json: mock.fn() }
+      await scopesHandler.call(inst, {}, res, mock.fn())
+      assert.deepEqual(res.json.mock.calls[0].arguments[0], [
+        { scope: 'read:content', roles: ['viewer', 'editor', 'super'] },
+        { scope: 'write:content', roles: ['editor', 'super'] }
+      ])
+    })
+  })
+
+  // ── initDefaultRoles ───────────────────────────────────────────────
+
+  describe('getDefaultRoleRules', () => {
+    it('should evaluate defaultRoleRules, then defaultRolesForAuthTypes, then defaultRoles', () => {
+      const config = {
+        defaultRoleRules: [{ match: { email: '*@example.com' }, roles: ['contentcreator'] }],
+        defaultRolesForAuthTypes: { local: ['authuser', 'reviewer'] },
+        defaultRoles: ['authuser']
+      }
+      const inst = createInstance({ getConfig: mock.fn(key => config[key]) })
+      assert.deepEqual(getDefaultRoleRules.call(inst), [
+        { match: { email: '*@example.com' }, roles: ['contentcreator'] },
+        { match: { authType: 'local' }, roles: ['authuser', 'reviewer'] },
+        { roles: ['authuser'] }
+      ])
+    })
+  })
+
+  describe('getDefaultRoles', () => {
+    function createDefaultRolesInstance (defaultRoleRules = [], defaultRolesForAuthTypes = {}) {
+      const config = { defaultRoleRules, defaultRolesForAuthTypes, defaultRoles: ['authuser'] }
+      return createInstance({
+        getConfig: mock.fn(key => config[key]),
+        getDefaultRoleRules,
+        find: mock.fn(async () => ['authuser', 'contentcreator', 'reviewer', 'superuser'].map(n => ({ _id: 'id-' + n, shortName: n, scopes: [] })))
+      })
+    }
+
+    it('should use the first matching rule', async () => {
+      const inst = createDefaultRolesInstance([
+        { match: { email: '*@example.com' }, roles: ['contentcreator'] },
+        { match: { email: 'admin@*' }, roles: ['superuser'] }
+      ])
+      assert.deepEqual(await getDefaultRoles.call(inst, { email: 'admin@example.com' }), ['id-contentcreator'])
+    })
+
+    it('should use defaultRolesForAuthTypes if no rules match', async () => {
+      const inst = createDefaultRolesInstance([{ match: { email: '*@example.com' }, roles: ['contentcreator'] }], { local: ['reviewer'] })
+      assert.deepEqual(await getDefaultRoles.call(inst, { email: 'a@b.com', authType: 'local' }), ['id-reviewer'])
+    })
+
+    it('should fall back to defaultRoles', async () => {
+      const inst = createDefaultRolesInstance([], { sso: ['reviewer'] })
+      assert.deepEqual(await getDefaultRoles.call(inst, { authType: 'local' }), ['id-authuser'])
+    })
+
+    it('should resolve the roles to ids using the role cache', async () => {
+      const inst = createDefaultRolesInstance([], { local: ['reviewer', 'contentcreator'] })
+      const result = await getDefaultRoles.call(inst, { authType: 'local' })
+      assert.deepEqual(result, ['id-contentcreator', 'id-reviewer'])
+      assert.equal(inst.getRoleCache.mock.callCount(), 1)
+    })
+
+    it('should ignore roles which don\'t exist', async () => {
+      const inst = createDefaultRolesInstance([], { local: ['missing', 'reviewer'] })
+      assert.deepEqual(await getDefaultRoles.call(inst, { authType: 'local' }), ['id-reviewer'])
+    })
+  })
+
+  describe('initDefaultRoles', () => {
+    function createDefaultRolesInstance (config = {}) {
+      let tapCallback
+      const tapMock = mock.fn(cb => { tapCallback = cb })
+      const usersModule = { preInsertHook: { tap: tapMock } }
+      const inst = createInstance({
+        app: {
+          waitForModule: mock.fn(async () => usersModule),
+          errors: { UNKNOWN_DEFAULT_ROLES: createError('UNKNOWN_DEFAULT_ROLES') }
+        },
+        find: mock.fn(async () => [
+          { _id: 'id-authuser', shortName: 'authuser', scopes: [] },
+          { _id: 'id-contentcreator', shortName: 'contentcreator', scopes: [] }
+        ]),
+        getConfig: mock.fn((key) => ({
+          defaultRoleRules: [],
+          defaultRolesForAuthTypes: {},
+          defaultRoles: ['authuser'],
+          ...config
+        })[key]),
+        getDefaultRoleRules,
+        getDefaultRoles,
+        validateDefaultRoles
+      })
+      return { inst, tapMock, invoke: data => tapCallback(data) }
+    }
+
+    it('should tap into users preInsertHook', async () => {
+      const { inst, tapMock } = createDefaultRolesInstance()
+      await initDefaultRoles.call(inst)
+      assert.equal(tapMock.mock.callCount(), 1)
+    })
+
+    it('should set default roles when no roles present', async () => {
+      const { inst, invoke } = createDefaultRolesInstance()
+      await initDefaultRoles.call(inst)
+
+      const userData = { authType: 'local' }
+      await invoke(userData)
+      assert.deepEqual(userData.roles, ['id-authuser'])
+    })
+
+    it('should set resolved ids for defaultRolesForAuthTypes', async () => {
+      const { inst, invoke } = createDefaultRolesInstance({ defaultRolesForAuthTypes: { local: ['contentcreator'] } })
+      await initDefaultRoles.call(inst)
+
+      const userData = { authType: 'local' }
+      await invoke(userData)
+      assert.deepEqual(userData.roles, ['id-contentcreator'])
+    })
+
+    it('should set roles from matching rules', async () => {
+      const { inst, invoke } = createDefaultRolesInstance({
+        defaultRoleRules: [{ match: { email: '*@ourcompany.com' }, roles: ['contentcreator'] }]
+      })
+      await initDefaultRoles.call(inst)
+
+      const userData = { email: 'someone@ourcompany.com' }
+      await invoke(userData)
+      assert.deepEqual(userData.roles, ['id-contentcreator'])
+    })
+
+    it('should not override existing roles on user data', async () => {
+      const { inst, invoke } = createDefaultRolesInstance()
+      await initDefaultRoles.call(inst)
+
+      const userData = { roles: ['existing-role'] }
+      await invoke(userData)
+      assert.deepEqual(userData.roles, ['existing-role'])
+    })
+
+    it('should throw if any rules reference unknown roles', async () => {
+      const { inst } = createDefaultRolesInstance({
+        defaultRoleRules: [{ match: { authType: 'sso' }, roles: ['missing', 'authuser'] }],
+        defaultRolesForAuthTypes: { local: ['other'] }
+      })
+      await assert.rejects(
+        async () => initDefaultRoles.call(inst),
+        { code: 'UNKNOWN_DEFAULT_ROLES', data: { roles: ['missing', 'other'] } }
+      )
+    })
+
+    it('should still set default roles if validation fails', async () => {
+      const { inst, tapMock } = createDefaultRolesInstance({ defaultRolesForAuthTypes: { sso: ['missing'] } })
+      await assert.rejects(async () => initDefaultRoles.call(inst))
+      assert.equal(tapMock.mock.callCount(), 1)
+    })
+  })
+
+  // ── claim role mappings ──────────────────────────────────────────────
+
+  /**
+   * Build an instance wired to a stub auth module which supplies fake identity provider claims on login.
+   * The user's stored roles are updated in place, so consecutive logins see earlier changes.
+   */
+  function createClaimRolesInstance (claimRoleMappings, user, overrides = {}) {
+    const handlers = []
+    const auth = {
+      loginHook: { tap: (fn, scope) => handlers.push(fn.bind(scope)) },
+      login: claims => Promise.all(handlers.map(h => h({ _id: user._id }, claims)))
+    }
+    const mongodb = {
+      update: mock.fn(async (collectionName, query, { $set }) => Object.assign(user, $set))
+    }
+    const users = {
+      collectionName: 'users',
+      findOne: mock.fn(async () => ({ ...user }))
+    }
+    const modules = { auth, mongodb, users }
+    const inst = createInstance({
+      app: {
+        waitForModule: mock.fn(async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]),
+        errors: {}
+      },
+      getConfig: mock.fn(key => ({ claimRoleMappings })[key]),
+      find: mock.fn(async () => ['authuser', 'editor', 'reviewer', 'superuser'].map(n => ({ _id: 'id-' + n, shortName: n, scopes: [] }))),
+      getClaimRoles,
+      ...overrides
+    })
+    auth.loginHook.tap(onUserLogin, inst)
+    return { inst, auth, mongodb }
+  }
+
+  describe('getClaimRoles', () => {
+    it('should return the roles of every matching mapping', async () => {
+      const { inst } = createClaimRolesInstance([
+        { match: { groups: 'staff-*' }, roles: ['editor'] },
+        { match: { groups: 'reviewers' }, roles: ['reviewer', 'editor'] },
+        { match: { groups: 'admins' }, roles: ['superuser'] }
+      ], { _id: 'u1' })
+      assert.deepEqual(await getClaimRoles.call(inst, { groups: ['staff-tech', 'reviewers'] }), ['id-editor', 'id-reviewer'])
+    })
+
+    it('should ignore roles which do not exist', async () => {
+      const { inst } = createClaimRolesInstance([{ match: { department: 'IT' }, roles: ['missing', 'editor'] }], { _id: 'u1' })
+      assert.deepEqual(await getClaimRoles.call(inst, { department: 'it' }), ['id-editor'])
+    })
+  })
+
+  describe('onUserLogin', () => {
+    const mappings = [
+      { match: { groups: 'editors' }, roles: ['editor'] },
+      { match: { groups: 'reviewers' }, roles: ['reviewer'] }
+    ]
+
+    it('should add mapped roles on login', async () => {
+      const user = { _id: 'u1', roles: ['id-authuser'] }
+      const { inst, auth } = createClaimRolesInstance(mappings, user)
+      await auth.login({ groups: ['editors'] })
+      assert.deepEqual(user.roles, ['id-authuser', 'id-editor'])
+      assert.deepEqual(user.claimRoles, ['id-editor'])
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].actor, 'config')
+    })
+
+    it('should remove mapped roles once the claims no longer match', async () => {
+      const user = { _id: 'u1', roles: ['id-authuser'] }
+      const { auth } = createClaimRolesInstance(mappings, user)
+      await auth.login({ groups: ['editors'] })
+      await auth.login({ groups: ['reviewers'] })
+      assert.deepEqual(user.roles, ['id-authuser', 'id-reviewer'])
+      assert.deepEqual(user.claimRoles, ['id-reviewer'])
+    })
+
+    it('should leave manually assigned roles alone', async () => {
+      const user = { _id: 'u1', roles: ['id-authuser', 'id-editor'], claimRoles: [] }
+      const { auth } = createClaimRolesInstance(mappings, user)
+      await auth.login({ groups: ['editors'] })
+      await auth.login({ groups: [] })
+      assert.deepEqual(user.roles, ['id-authuser', 'id-editor'])
+    })
+
+    it('should not write anything if the roles are unchanged', async () => {
+      const user = { _id: 'u1', roles: ['id-editor'], claimRoles: ['id-editor'] }
+      const { inst, auth, mongodb } = createClaimRolesInstance(mappings, user)
+      await auth.login({ groups: ['editors'] })
+      assert.equal(mongodb.update.mock.callCount(), 0)
+      assert.equal(inst.logAudit.mock.callCount(), 0)
+    })
+
+    it('should do nothing if no mappings are configured', async () => {
+      const user = { _id: 'u1', roles: [] }
+      const { auth, mongodb } = createClaimRolesInstance([], user)
+      await auth.login({ groups: ['editors'] })
+      assert.equal(mongodb.update.mock.callCount(), 0)
+    })
+
+    it('should keep roles which would leave no super users, but still add new ones', async () => {
+      const user = { _id: 'u1', roles: ['id-superuser'], claimRoles: ['id-superuser'] }
+      const { inst, auth } = createClaimRolesInstance(mappings, user, {
+        checkSuperUserRemains: mock.fn(async () => { throw createError('LAST_SUPERUSER') })
+      })
+      await auth.login({ groups: ['editors'] })
+      assert.deepEqual(user.roles, ['id-superuser', 'id-editor'])
+      assert.deepEqual(user.claimRoles, ['id-superuser', 'id-editor'])
+      assert.equal(inst.log.mock.calls[0].arguments[0], 'warn')
+    })
+  })
+
+  // ── role templates ─────────────────────────────────────────────────
+
+  describe('createRoleFromTemplate', () => {
+    const template = {
+      shortName: 'pluginmanager',
+      displayName: 'Plugin manager ({type})',
+      extends: 'authuser',
+      parameters: ['type'],
+      scopes: ['write:plugins.{type}']
+    }
+    const req = { auth: { user: { _id: 'actor1' } } }
+
+    function createTemplateInstance (overrides) {
+      return createInstance({
+        app: {
+          waitForModule: mock.fn(async () => ({})),
+          errors: {
+            INVALID_ROLE_TEMPLATE: createError('INVALID_ROLE_TEMPLATE'),
+            UNKNOWN_ROLE_TEMPLATE: createError('UNKNOWN_ROLE_TEMPLATE'),
+            ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE'),
+            UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE')
+          }
+        },
+        getConfig: mock.fn(key => ({ roleDefinitions: [{ shortName: 'authuser', displayName: 'Authenticated user', scopes: [] }, template] })[key]),
+        find: mock.fn(async () => [{ _id: 'authuser1', shortName: 'authuser', scopes: [] }]),
+        insert: mock.fn(async data => ({ ...data, _id: 'new1' })),
+        getRoleTemplates,
+        getRoleTemplate,
+        validateRoleInheritance,
+        validateRoleScopes: mock.fn(),
+        ...overrides
+      })
+    }
+
+    it('should create a role from the template', async () => {
+      const inst = createTemplateInstance()
+      const doc = await createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: 'text' } })
+      assert.equal(doc.shortName, 'pluginmanager-text')
+      assert.deepEqual(doc.scopes, ['write:plugins.text'])
+      assert.deepEqual(doc.template, { name: 'pluginmanager', parameters: { type: 'text' } })
+      assert.equal(doc.isBuiltIn, false)
+      assert.deepEqual(doc.history.map(v => [v.version, v.actor]), [[1, 'actor1']])
+      assert.equal(inst.logAudit.mock.calls[0].arguments[0].action, 'insert')
+    })
+
+    it('should use a given shortName', async () => {
+      const inst = createTemplateInstance()
+      const doc = await createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: 'text' }, shortName: 'texteditor' })
+      assert.equal(doc.shortName, 'texteditor')
+    })
+
+    it('should check the new role can be delegated by the user', async () => {
+      const inst = createTemplateInstance()
+      await createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: 'text' } })
+      const [, assignments, { allRoles, ranked }] = inst.checkRoleDelegation.mock.calls[0].arguments
+      assert.deepEqual(assignments, [{ role: 'pluginmanager-text' }])
+      assert.ok(allRoles.some(r => r._id === 'pluginmanager-text'))
+      assert.equal(ranked, false)
+      assert.equal(inst.validateRoleScopes.mock.callCount(), 1)
+    })
+
+    it('should throw UNKNOWN_ROLE_TEMPLATE for unknown templates', async () => {
+      const inst = createTemplateInstance()
+      await assert.rejects(
+        createRoleFromTemplate.call(inst, req, 'authuser', { parameters: {} }),
+        { code: 'UNKNOWN_ROLE_TEMPLATE', data: { name: 'authuser' } }
+      )
+    })
+
+    it('should throw INVALID_ROLE_TEMPLATE for invalid parameters', async () => {
+      const inst = createTemplateInstance()
+      await assert.rejects(
+        createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: '*' } }),
+        { code: 'INVALID_ROLE_TEMPLATE', data: { name: 'pluginmanager', reason: "invalid value for parameter 'type'" } }
+      )
+      assert.equal(inst.insert.mock.callCount(), 0)
+    })
+
+    it('should throw INVALID_ROLE_TEMPLATE if the role already exists', async () => {
+      const inst = createTemplateInstance({
+        find: mock.fn(async () => [{ _id: 'r1', shortName: 'authuser', scopes: [] }, { _id: 'r2', shortName: 'pluginmanager-text', scopes: [] }])
+      })
+      await assert.rejects(
+        createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: 'text' } }),
+        { code: 'INVALID_ROLE_TEMPLATE' }
+      )
+    })
+
+    it('should validate the new role\'s inheritance', async () => {
+      const inst = createTemplateInstance({ find: mock.fn(async () => []) })
+      await assert.rejects(
+        createRoleFromTemplate.call(inst, req, 'pluginmanager', { parameters: { type: 'text' } }),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+    })
+  })
+
+  // ── simulation ───────────────────────────────────────────────────────
+
+  describe('getSuperUserViolations', () => {
+    function createViolationsInstance (isSuper) {
+      return createInstance({
+        getSuperRoleIds: mock.fn(async () => ['super1']),
+        isTargetSuper: mock.fn(async () => isSuper)
+      })
+    }
+
+    it('should return nothing for super users', async () => {
+      const inst = createViolationsInstance(true)
+      assert.deepEqual(await getSuperUserViolations.call(inst, { auth: { isSuper: true } }, 'u1', ['super1']), [])
+    })
+
+    it('should report assigning a super role', async () => {
+      const inst = createViolationsInstance(false)
+      assert.deepEqual(await getSuperUserViolations.call(inst, { auth: {} }, 'u1', ['super1']), ['assign superuser'])
+    })
+
+    it('should report modifying a super user', async () => {
+      const inst = createViolationsInstance(true)
+      assert.deepEqual(await getSuperUserViolations.call(inst, { auth: {} }, 'u1', ['r1']), ['modify superuser'])
+    })
+
+    it('should report every violation', async () => {
+      const inst = createViolationsInstance(true)
+      assert.deepEqual(await getSuperUserViolations.call(inst, { auth: {} }, 'u1', ['super1']), ['assign superuser', 'modify superuser'])
+    })
+  })
+
+  describe('simulateRoleChange', () => {
+    const roles = [
+      { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+      { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] }
+    ]
+
+    function createSimulateInstance (users = []) {
+      const mongodbMock = { find: mock.fn(async () => users) }
+      const inst = createInstance({
+        app: {
+          waitForModule: mock.fn(async () => [mongodbMock, { collectionName: 'users' }]),
+          errors: {
+            NOT_FOUND: createError('NOT_FOUND'),
+            LAST_SUPERUSER: createError('LAST_SUPERUSER'),
+            UNKNOWN_PARENT_ROLE: createError('UNKNOWN_PARENT_ROLE'),
+            ROLE_INHERITANCE_CYCLE: createError('ROLE_INHERITANCE_CYCLE')
+          }
+        },
+        find: mock.fn(async () => roles),
+        validateRoleInheritance,
+        getRoleMembersQuery: mock.fn(async () => ({ query: true }))
+      })
+      return { inst, mongodbMock }
+    }
+
+    it('should report scope changes for users of the role and its child roles', async () => {
+      const { inst, mongodbMock } = createSimulateInstance([
+        { _id: 'u1', roles: ['r1'] },
+        { _id: 'u2', roles: ['r2'] }
+      ])
+      const result = await simulateRoleChange.call(inst, { _id: 'r1', scopes: ['read:me', 'write:me'] })
+      assert.deepEqual(inst.getRoleMembersQuery.mock.calls[0].arguments, [roles[0], { indirect: true }])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1], { query: true })
+      assert.deepEqual(result, {
+        users: [
+          { _id: 'u1', added: ['write:me'], removed: [] },
+          { _id: 'u2', added: ['write:me'], removed: [] }
+        ],
+        protections: []
+      })
+    })
+
+    it('should report changes in each context', async () => {
+      const context = { type: 'course', _id: 'c1' }
+      const { inst } = createSimulateInstance([{ _id: 'u1', roles: [], roleAssignments: [{ role: 'r2', context }] }])
+      const result = await simulateRoleChange.call(inst, { _id: 'r2', scopes: [] })
+      assert.deepEqual(result.users, [{ _id: 'u1', context, added: [], removed: ['write:content'] }])
+    })
+
+    it('should report changes for users who hold the role via a user group', async () => {
+      const { inst } = createSimulateInstance([{ _id: 'u1', roles: [] }])
+      inst.getRoleCache = mock.fn(async () => indexRoles(roles, [{ _id: 'g1', roles: ['r2'], members: ['u1'] }]))
+      const result = await simulateRoleChange.call(inst, { _id: 'r2', scopes: [] })
+      assert.deepEqual(result.users, [{ _id: 'u1', added: [], removed: ['write:content'] }])
+    })
+
+    it('should not include users whose scopes are unchanged', async () => {
+      const { inst } = createSimulateInstance([{ _id: 'u1', roles: ['r1'] }])
+      const result = await simulateRoleChange.call(inst, { _id: 'r1', displayName: 'Changed' })
+      assert.deepEqual(result.users, [])
+    })
+
+    it('should report if no super users would remain', async () => {
+      const { inst } = createSimulateInstance()
+      inst.checkSuperUserRemains = mock.fn(async () => { throw createError('LAST_SUPERUSER') })
+      const result = await simulateRoleChange.call(inst, { _id: 'r1', scopes: [] })
+      assert.deepEqual(result.protections, [{ code: 'LAST_SUPERUSER' }])
+      assert.equal(inst.checkSuperUserRemains.mock.calls[0].arguments[0].roles.find(r => r._id === 'r1').scopes.length, 0)
+    })
+
+    it('should validate the changed role', async () => {
+      const { inst } = createSimulateInstance()
+      await assert.rejects(
+        async () => simulateRoleChange.call(inst, { _id: 'r1', extends: 'missing' }),
+        { code: 'UNKNOWN_PARENT_ROLE' }
+      )
+    })
+
+    it('should report no changes for new roles', async () => {
+      const { inst, mongodbMock } = createSimulateInstance()
+      const result = await simulateRoleChange.call(inst, { shortName: 'new', extends: 'authuser', scopes: [] })
+      assert.deepEqual(result, { users: [], protections: [] })
+      assert.equal(mongodbMock.find.mock.callCount(), 0)
+    })
+
+    it('should throw if the role does not exist', async () => {
+      const { inst } = createSimulateInstance()
+      await assert.rejects(
+        async () => simulateRoleChange.call(inst, { _id: 'missing', scopes: [] }),
+        { code: 'NOT_FOUND' }
+      )
+    })
+  })
+
+  describe('simulateUserChange', () => {
+    function createSimulateInstance (existing, overrides) {
+      return createInstance({
+        app: { errors: { LAST_SUPERUSER: createError('LAST_SUPERUSER') } },
+        find: mock.fn(async () => SUPER_TEST_ROLES),
+        getUserRoles: mock.fn(async () => existing),
+        isTargetSuper: mock.fn(async () => false),
+        ...overrides
+      })
+    }
+
+    const req = { auth: { isSuper: false, user: { _id: 'admin' } } }
+
+    it('should report the scope changes for the user', async () => {
+      const inst = createSimulateInstance({ roles: ['regular1'], roleAssignments: [] })
+      const result = await simulateUserChange.call(inst, req, { _id: 'u1', roles: ['restricted1'] })
+      assert.deepEqual(result, {
+        users: [{ _id: 'u1', added: ['!write:users'], removed: ['read:content'] }],
+        protections: []
+      })
+    })
+
+    it('should keep existing roles which are not being changed', async () => {
+      const context = { type: 'course', _id: 'c1' }
+      const inst = createSimulateInstance({ roles: ['regular1'], roleAssignments: [] })
+      const result = await simulateUserChange.call(inst, req, { _id: 'u1', roleAssignments: [{ role: 'restricted1', context }] })
+      assert.deepEqual(result.users, [{ _id: 'u1', context, added: ['!write:users'], removed: [] }])
+    })
+
+    it('should report the superuser protections which would apply', async () => {
+      const inst = createSimulateInstance({ roles: ['super1'], roleAssignments: [] }, {
+        getSuperRoleIds: mock.fn(async () => ['super1', 'admin1']),
+        isTargetSuper: mock.fn(async () => true)
+      })
+      const result = await simulateUserChange.call(inst, req, { _id: 'u1', roles: ['admin1'] })
+      assert.deepEqual(result.protections, [
+        { code: 'UNAUTHORISED', reason: 'assign superuser' },
+        { code: 'UNAUTHORISED', reason: 'modify superuser' }
+      ])
+    })
+
+    it('should only check newly changed role assignments', async () => {
+      const context = { type: 'course', _id: 'c1' }
+      const existing = { roles: ['regular1'], roleAssignments: [{ role: 'super1', context }] }
+      const inst = createSimulateInstance(existing, { getSuperUserViolations: mock.fn(async () => []) })
+      await simulateUserChange.call(inst, req, { _id: 'u1', roleAssignments: [...existing.roleAssignments, { role: 'regular1', context }] })
+      assert.deepEqual(inst.getSuperUserViolations.mock.calls[0].arguments.slice(1), ['u1', ['regular1']])
+    })
+
+    it('should report if no super users would remain', async () => {
+      const inst = createSimulateInstance({ roles: ['super1'], roleAssignments: [] }, {
+        checkSuperUserRemains: mock.fn(async () => { throw createError('LAST_SUPERUSER') })
+      })
+      const result = await simulateUserChange.call(inst, { auth: { isSuper: true } }, { _id: 'u1', roles: [] })
+      assert.deepEqual(result.protections, [{ code: 'LAST_SUPERUSER' }])
+      const { updateUser } = inst.checkSuperUserRemains.mock.calls[0].arguments[0]
+      assert.deepEqual(updateUser({ _id: 'u1' }), { _id: 'u1', roles: [], roleAssignments: [] })
+    })
+  })
+
+  describe('simulateHandler', () => {
+    function createHandlerInstance () {
+      return createInstance({
+        app: { errors: { INVALID_SIMULATION: createError('INVALID_SIMULATION') } },
+        simulateRoleChange: mock.fn(async () => 'role report'),
+        simulateUserChange: mock.fn(async () => 'user report')
+      })
+    }
+
+    it('should simulate role changes', async () => {
+      const inst = createHandlerInstance()
+      const res = { json: mock.fn() }
+      await simulateHandler.call(inst, { apiData: { data: { role: { _id: 'r1' } } } }, res, mock.fn())
+      assert.deepEqual(inst.simulateRoleChange.mock.calls[0].arguments, [{ _id: 'r1' }])
+      assert.equal(res.json.mock.calls[0].arguments[0], 'role report')
+    })
+
+    it('should simulate user changes', async () => {
+      const inst = createHandlerInstance()
+      const res = { json: mock.fn() }
+      const req = { apiData: { data: { user: { _id: 'u1', roles: [] } } } }
+      await simulateHandler.call(inst, req, res, mock.fn())
+      assert.deepEqual(inst.simulateUserChange.mock.calls[0].arguments, [req, { _id: 'u1', roles: [] }])
+      assert.equal(res.json.mock.calls[0].arguments[0], 'user report')
+    })
+
+    it('should require either a role or a user', async () => {
+      const inst = createHandlerInstance()
+      const next = mock.fn()
+      await simulateHandler.call(inst, { apiData: { data: {} } }, {}, next)
+      await simulateHandler.call(inst, { apiData: { data: { role: {}, user: {} } } }, {}, next)
+      assert.deepEqual(next.mock.calls.map(c => c.arguments[0].code), ['INVALID_SIMULATION', 'INVALID_SIMULATION'])
+    })
+
+    it('should require a user _id', async () => {
+      const inst = createHandlerInstance()
+      const next = mock.fn()
+      await simulateHandler.call(inst, { apiData: { data: { user: { roles: [] } } } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].code, 'INVALID_SIMULATION')
+    })
+  })
+
+  // ── reloading config roles ───────────────────────────────────────────
+
+  describe('readRoleConfig', () => {
+    /** Writes a temporary config file, and passes an instance which reads from it to fn */
+    const DEFAULTS = { roleDefinitions: [], defaultRoleRules: [], defaultRolesForAuthTypes: {}, defaultRoles: ['authuser'], claimRoleMappings: [] }
+    /** Mimics the schema applying its defaults */
+    const applyDefaults = async data => ({ ...DEFAULTS, ...data })
+    async function withConfigFile (contents, validate, fn) {
+      const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roles-'))
+      const env = process.env.NODE_ENV
+      process.env.NODE_ENV = 'testing'
+      try {
+        await fs.mkdir(path.join(rootDir, 'conf'))
+        const configPath = path.join(rootDir, 'conf', 'testing.config.js')
+        await fs.writeFile(configPath, contents)
+        const schema = { validate: mock.fn(validate) }
+        const jsonschemaMock = { createSchema: mock.fn(async () => schema) }
+        const inst = createInstance({
+          name: 'adapt-authoring-roles',
+          rootDir: '/modules/roles',
+          app: { rootDir, waitForModule: mock.fn(async () => jsonschemaMock) }
+        })
+        await fn({ inst, configPath, schema, jsonschemaMock })
+      } finally {
+        process.env.NODE_ENV = env
+        await fs.rm(rootDir, { recursive: true })
+      }
+    }
+
+    it('should read the reloadable settings from the config file', async () => {
+      await withConfigFile("export default { 'adapt-authoring-roles': { defaultRoles: ['editor'], assignmentExpiryInterval: 0 } }", applyDefaults, async ({ inst, configPath }) => {
+        assert.deepEqual(await readRoleConfig.call(inst), { ...DEFAULTS, defaultRoles: ['editor'] })
+
+        await fs.writeFile(configPath, "export default { 'adapt-authoring-roles': { defaultRoles: ['contentcreator'] } }")
+        assert.deepEqual(await readRoleConfig.call(inst), { ...DEFAULTS, defaultRoles: ['contentcreator'] })
+      })
+    })
+
+    it('should include claimRoleMappings', async () => {
+      const contents = "export default { 'adapt-authoring-roles': { claimRoleMappings: [{ match: { groups: 'staff' }, roles: ['editor'] }] } }"
+      await withConfigFile(contents, applyDefaults, async ({ inst }) => {
+        assert.deepEqual(await readRoleConfig.call(inst), { ...DEFAULTS, claimRoleMappings: [{ match: { groups: 'staff' }, roles: ['editor'] }] })
+      })
+    })
+
+    it('should validate the settings against the module config schema', async () => {
+      const contents = "export default { 'adapt-authoring-roles': { roleDefinitions: [{ shortName: 'a', displayName: 'A', scopes: [] }] } }"
+      const validate = async data => applyDefaults({ ...data, roleDefinitions: data.roleDefinitions.map(r => ({ ...r, denyScopes: [] })) })
+      await withConfigFile(contents, validate, async ({ inst, schema, jsonschemaMock }) => {
+        assert.deepEqual(await readRoleConfig.call(inst), {
+          ...DEFAULTS,
+          roleDefinitions: [{ shortName: 'a', displayName: 'A', scopes: [], denyScopes: [] }]
+        })
+        assert.deepEqual(jsonschemaMock.createSchema.mock.calls[0].arguments, ['/modules/roles/conf/config.schema.json'])
+        assert.deepEqual(schema.validate.mock.calls[0].arguments[0], { roleDefinitions: [{ shortName: 'a', displayName: 'A', scopes: [] }] })
+      })
+    })
+
+    it('should restore the schema default for settings removed from the file', async () => {
+      await withConfigFile("export default { 'adapt-authoring-roles': { defaultRoles: ['editor'] } }", applyDefaults, async ({ inst, configPath }) => {
+        assert.deepEqual((await readRoleConfig.call(inst)).defaultRoles, ['editor'])
+
+        await fs.writeFile(configPath, "export default { 'adapt-authoring-roles': {} }")
+        assert.deepEqual((await readRoleConfig.call(inst)).defaultRoles, ['authuser'])
+      })
+    })
+
+    it('should not include settings which cannot be reloaded', async () => {
+      await withConfigFile("export default { 'adapt-authoring-roles': { assignmentExpiryInterval: 0 } }", applyDefaults, async ({ inst }) => {
+        assert.deepEqual(Object.keys(await readRoleConfig.call(inst)).sort(), Object.keys(DEFAULTS).sort())
+      })
+    })
+
+    it('should throw if the settings are invalid', async () => {
+      const contents = "export default { 'adapt-authoring-roles': { roleDefinitions: [{ shortName: 'a', displayName: 'A' }] } }"
+      await withConfigFile(contents, async () => { throw createError('VALIDATION_FAILED') }, async ({ inst }) => {
+        await assert.rejects(readRoleConfig.call(inst), { code: 'VALIDATION_FAILED' })
+      })
+    })
+  })
+
+  describe('reloadConfigRoles', () => {
+    function createReloadInstance (before, after, users = []) {
+      const disavowMock = mock.fn(async () => {})
+      const mongodbMock = { find: mock.fn(async () => users) }
+      let roles = before
+      const inst = createInstance({
+        app: {
+          waitForModule: mock.fn(async () => [{ authentication: { disavowUser: disavowMock } }, mongodbMock, { collectionName: 'users' }]),
+          errors: {}
+        },
+        find: mock.fn(async () => roles),
+        readRoleConfig: mock.fn(async () => ({ defaultRoles: ['authuser'] })),
+        planConfigRoles: mock.fn(async () => ({ insert: [], replace: [], remove: [] })),
+        initConfigRoles: mock.fn(async () => { roles = after }),
+        validateDefaultRoles: mock.fn(async () => {}),
+        disavowChangedRoleMembers
+      })
+      return { inst, disavowMock, mongodbMock }
+    }
+
+    const authuser = { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] }
+    const editor = { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] }
+
+    it('should store the reloaded settings and reapply the config roles', async () => {
+      const { inst } = createReloadInstance([authuser], [authuser])
+      await reloadConfigRoles.call(inst)
+      assert.deepEqual(inst.reloadedConfig, { defaultRoles: ['authuser'] })
+      assert.equal(inst.initConfigRoles.mock.callCount(), 1)
+      assert.equal(inst.invalidateRoleCache.mock.callCount(), 1)
+      assert.equal(inst.validateDefaultRoles.mock.callCount(), 1)
+    })
+
+    it('should plan the reloaded roleDefinitions before storing the settings', async () => {
+      const roleDefinitions = [{ shortName: 'authuser', displayName: 'Auth user', scopes: ['read:me'] }]
+      const { inst } = createReloadInstance([authuser], [authuser])
+      inst.readRoleConfig = mock.fn(async () => ({ roleDefinitions }))
+      await reloadConfigRoles.call(inst)
+      assert.deepEqual(inst.planConfigRoles.mock.calls[0].arguments, [roleDefinitions])
+      assert.deepEqual(inst.reloadedConfig, { roleDefinitions })
+    })
+
+    it('should leave the current settings in place if the reloaded roles are invalid', async () => {
+      const { inst } = createReloadInstance([authuser], [authuser])
+      const current = { defaultRoles: ['contentcreator'] }
+      inst.reloadedConfig = current
+      inst.planConfigRoles = mock.fn(async () => { throw createError('UNKNOWN_PARENT_ROLE') })
+      await assert.rejects(reloadConfigRoles.call(inst), { code: 'UNKNOWN_PARENT_ROLE' })
+      assert.equal(inst.reloadedConfig, current)
+      assert.equal(inst.initConfigRoles.mock.callCount(), 0)
+    })
+
+    it('should leave the current settings in place if the config file is invalid', async () => {
+      const { inst } = createReloadInstance([authuser], [authuser])
+      inst.readRoleConfig = mock.fn(async () => { throw createError('VALIDATION_FAILED') })
+      await assert.rejects(reloadConfigRoles.call(inst), { code: 'VALIDATION_FAILED' })
+      assert.equal(inst.reloadedConfig, undefined)
+      assert.equal(inst.planConfigRoles.mock.callCount(), 0)
+    })
+
+    it('should not disavow anyone if no scopes changed', async () => {
+      const { inst, disavowMock, mongodbMock } = createReloadInstance([authuser, editor], [{ ...authuser, displayName: 'Changed' }, editor])
+      const result = await reloadConfigRoles.call(inst)
+      assert.deepEqual(result, { roles: [], users: [] })
+      assert.equal(mongodbMock.find.mock.callCount(), 0)
+      assert.equal(disavowMock.mock.callCount(), 0)
+    })
+
+    it('should disavow users of roles whose scopes changed, including inherited scopes', async () => {
+      const { inst, disavowMock, mongodbMock } = createReloadInstance(
+        [authuser, editor],
+        [{ ...authuser, scopes: ['read:me', 'write:me'] }, editor],
+        [{ _id: 'u1' }, { _id: 'u2' }]
+      )
+      const result = await reloadConfigRoles.call(inst)
+      assert.deepEqual(result, { roles: ['authuser', 'editor'], users: ['u1', 'u2'] })
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1], {
+        $or: [{ roles: { $in: ['r1', 'r2'] } }, { 'roleAssignments.role': { $in: ['r1', 'r2'] } }]
+      })
+      assert.deepEqual(disavowMock.mock.calls.map(c => c.arguments[0]), [{ userId: 'u1' }, { userId: 'u2' }])
+    })
+
+    it('should include added and removed roles', async () => {
+      const { inst } = createReloadInstance([authuser, { _id: 'r3', shortName: 'old', scopes: [] }], [authuser, editor])
+      const result = await reloadConfigRoles.call(inst)
+      assert.deepEqual(result.roles, ['old', 'editor'])
+    })
+
+    it('should disavow users who hold a changed role via a user group', async () => {
+      const { inst, mongodbMock } = createReloadInstance([authuser], [{ ...authuser, scopes: ['read:me', 'write:me'] }], [{ _id: 'u1' }])
+      const groups = [{ _id: 'g1', roles: ['r1'], members: ['u1'] }]
+      inst.getRoleCache = mock.fn(async function () { return indexRoles(await this.find(), groups) })
+      const result = await reloadConfigRoles.call(inst)
+      assert.deepEqual(result.users, ['u1'])
+      assert.deepEqual(mongodbMock.find.mock.calls[0].arguments[1].$or[2], { _id: { $in: ['u1'] } })
+    })
+  })
+
+  describe('reloadHandler', () => {
+    it('should respond with the reload report', async () => {
+      const report = { roles: [], users: [] }
+      const inst = createInstance({ reloadConfigRoles: mock.fn(async () => report) })
+      const res = { json: mock.fn() }
+      await reloadHandler.call(inst, { auth: { isSuper: true } }, res, mock.fn())
+      assert.equal(res.json.mock.calls[0].arguments[0], report)
+    })
+
+    it('should only allow super users', async () => {
+      const inst = createInstance({ reloadConfigRoles: mock.fn(async () => {}) })
+      const next = mock.fn()
+      await reloadHandler.call(inst, { method: 'POST', originalUrl: '/api/roles/reload', auth: { isSuper: false, user: { _id: 'u1' } } }, {}, next)
+      assert.equal(next.mock.calls[0].arguments[0].code, 'UNAUTHORISED')
+      assert.equal(inst.reloadConfigRoles.mock.callCount(), 0)
     })
   })
 })
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { addRoleVersion } from '../lib/utils/addRoleVersion.js'
+
+describe('addRoleVersion()', () => {
+  const timestamp = new Date('2024-01-01')
+  const existing = {
+    _id: 'r1',
+    shortName: 'editor',
+    scopes: ['read:content'],
+    version: 1,
+    history: [{ version: 1, scopes: ['read:content'], actor: 'u1', timestamp }]
+  }
+
+  it('should start the history of new roles', () => {
+    assert.deepEqual(addRoleVersion(undefined, { shortName: 'editor', scopes: [] }, { actor: 'u1', timestamp }), {
+      version: 1,
+      history: [{ version: 1, scopes: [], actor: 'u1', timestamp }]
+    })
+  })
+
+  it('should add a version if the role has changed', () => {
+    const result = addRoleVersion(existing, { ...existing, scopes: ['write:content'] }, { actor: 'u2', timestamp })
+    assert.equal(result.version, 2)
+    assert.deepEqual(result.history, [...existing.history, { version: 2, scopes: ['write:content'], actor: 'u2', timestamp }])
+  })
+
+  it('should not add a version if only unversioned attributes have changed', () => {
+    const result = addRoleVersion(existing, { ...existing, shortName: 'renamed' }, { actor: 'u2' })
+    assert.deepEqual(result, { version: 1, history: existing.history })
+  })
+
+  it('should treat roles without a history as being on version 1', () => {
+    const legacy = { _id: 'r1', shortName: 'editor', scopes: ['read:content'] }
+    const result = addRoleVersion(legacy, { ...legacy, scopes: [] }, { actor: 'u1', timestamp })
+    assert.deepEqual(result, {
+      version: 2,
+      history: [{ version: 1, scopes: ['read:content'] }, { version: 2, scopes: [], actor: 'u1', timestamp }]
+    })
+  })
+
+  it('should default the timestamp to now', () => {
+    const before = Date.now()
+    const { history } = addRoleVersion(undefined, { scopes: [] })
+    assert.ok(history[0].timestamp.getTime() >= before)
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildAuditQuery } from '../lib/utils/buildAuditQuery.js'
+
+describe('buildAuditQuery()', () => {
+  it('should return an empty query with no filters', () => {
+    assert.deepEqual(buildAuditQuery(), {})
+    assert.deepEqual(buildAuditQuery({}), {})
+  })
+
+  it('should filter by actor', () => {
+    assert.deepEqual(buildAuditQuery({ actor: 'u1' }), { actor: 'u1' })
+  })
+
+  it('should filter by target user', () => {
+    assert.deepEqual(buildAuditQuery({ user: 'u2' }), { targetUser: 'u2' })
+  })
+
+  it('should match a role on either the role or roles fields', () => {
+    assert.deepEqual(buildAuditQuery({ role: 'r1' }), { $or: [{ role: 'r1' }, { roles: 'r1' }] })
+  })
+
+  it('should filter by a date range', () => {
+    const query = buildAuditQuery({ from: '2026-01-01', to: '2026-02-01' })
+    assert.deepEqual(query, { timestamp: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') } })
+  })
+
+  it('should support open-ended date ranges', () => {
+    assert.deepEqual(buildAuditQuery({ from: '2026-01-01' }), { timestamp: { $gte: new Date('2026-01-01') } })
+    assert.deepEqual(buildAuditQuery({ to: '2026-02-01' }), { timestamp: { $lte: new Date('2026-02-01') } })
+  })
+
+  it('should ignore unrelated parameters', () => {
+    assert.deepEqual(buildAuditQuery({ actor: 'u1', limit: '10' }), { actor: 'u1' })
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildRoleMembersQuery } from '../lib/utils/buildRoleMembersQuery.js'
+
+describe('buildRoleMembersQuery()', () => {
+  it('should match global roles and role assignments', () => {
+    assert.deepEqual(buildRoleMembersQuery(['r1', 'r2']), {
+      $or: [{ roles: { $in: ['r1', 'r2'] } }, { 'roleAssignments.role': { $in: ['r1', 'r2'] } }]
+    })
+  })
+
+  it('should match the members of groups which hold any of the roles', () => {
+    const groups = [
+      { _id: 'g1', roles: ['r1'], members: ['u1', 'u2'] },
+      { _id: 'g2', roles: ['r3'], members: ['u3'] },
+      { _id: 'g3', roles: ['r2', 'r3'], members: ['u4'] }
+    ]
+    assert.deepEqual(buildRoleMembersQuery(['r1', 'r2'], groups).$or[2], { _id: { $in: ['u1', 'u2', 'u4'] } })
+  })
+
+  it('should compare role _ids as strings', () => {
+    const roleId = { toString: () => 'r1' }
+    const groups = [{ _id: 'g1', roles: [{ toString: () => 'r1' }], members: ['u1'] }]
+    assert.deepEqual(buildRoleMembersQuery([roleId], groups).$or[2], { _id: { $in: ['u1'] } })
+  })
+
+  it('should only include each member once', () => {
+    const groups = [{ _id: 'g1', roles: ['r1'], members: ['u1'] }, { _id: 'g2', roles: ['r2'], members: ['u1', 'u2'] }]
+    assert.deepEqual(buildRoleMembersQuery(['r1', 'r2'], groups).$or[2], { _id: { $in: ['u1', 'u2'] } })
+  })
+
+  it('should ignore groups without members or roles', () => {
+    const groups = [{ _id: 'g1', roles: ['r1'] }, { _id: 'g2', members: ['u1'] }]
+    assert.equal(buildRoleMembersQuery(['r1'], groups).$or.length, 2)
+  })
+})
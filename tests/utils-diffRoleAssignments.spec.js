@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffRoleAssignments } from '../lib/utils/diffRoleAssignments.js'
+
+describe('diffRoleAssignments()', () => {
+  const course1 = { role: 'r1', context: { type: 'course', _id: 'c1' } }
+  const course2 = { role: 'r1', context: { type: 'course', _id: 'c2' } }
+  const global = { role: 'r2' }
+
+  it('should return added assignments', () => {
+    assert.deepEqual(diffRoleAssignments([course1], [course1, course2]), [course2])
+  })
+
+  it('should return removed assignments', () => {
+    assert.deepEqual(diffRoleAssignments([course1, global], [course1]), [global])
+  })
+
+  it('should return both added and removed assignments', () => {
+    assert.deepEqual(diffRoleAssignments([course1], [course2]), [course2, course1])
+  })
+
+  it('should return nothing for unchanged assignments', () => {
+    assert.deepEqual(diffRoleAssignments([course1, global], [{ ...global }, { ...course1 }]), [])
+  })
+
+  it('should treat a change of role as a change', () => {
+    const changed = { ...course1, role: 'r3' }
+    assert.deepEqual(diffRoleAssignments([course1], [changed]), [changed, course1])
+  })
+
+  it('should treat a change of validity dates as a change', () => {
+    const temporary = { ...course1, validUntil: new Date('2026-01-01') }
+    const extended = { ...course1, validUntil: new Date('2027-01-01') }
+    assert.deepEqual(diffRoleAssignments([temporary], [extended]), [extended, temporary])
+    assert.deepEqual(diffRoleAssignments([temporary], [course1]), [course1, temporary])
+    assert.deepEqual(diffRoleAssignments([course1], [{ ...course1, validFrom: '2026-01-01' }]), [{ ...course1, validFrom: '2026-01-01' }, course1])
+  })
+
+  it('should compare validity dates by time', () => {
+    const temporary = { ...course1, validUntil: new Date('2026-01-01T00:00:00.000Z') }
+    assert.deepEqual(diffRoleAssignments([temporary], [{ ...course1, validUntil: '2026-01-01T00:00:00.000Z' }]), [])
+  })
+
+  it('should handle missing lists', () => {
+    assert.deepEqual(diffRoleAssignments(undefined, [global]), [global])
+    assert.deepEqual(diffRoleAssignments([global], undefined), [global])
+  })
+})
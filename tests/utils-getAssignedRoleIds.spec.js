@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getAssignedRoleIds } from '../lib/utils/getAssignedRoleIds.js'
+
+describe('getAssignedRoleIds()', () => {
+  const user = {
+    roles: ['r1'],
+    roleAssignments: [
+      { role: 'r2' },
+      { role: 'r3', context: { type: 'course', _id: 'c1' } },
+      { role: 'r4', context: { type: 'course', _id: 'c2' } },
+      { role: 'r1', context: { type: 'course', _id: 'c1' } }
+    ]
+  }
+
+  it('should return global roles and context-free assignments when no context is given', () => {
+    assert.deepEqual(getAssignedRoleIds(user), ['r1', 'r2'])
+  })
+
+  it('should include assignments matching the context', () => {
+    assert.deepEqual(getAssignedRoleIds(user, { type: 'course', _id: 'c1' }), ['r1', 'r2', 'r3'])
+  })
+
+  it('should exclude assignments for other contexts', () => {
+    assert.deepEqual(getAssignedRoleIds(user, { type: 'course', _id: 'c2' }), ['r1', 'r2', 'r4'])
+  })
+
+  it('should exclude assignments outside of their validity window', () => {
+    const date = new Date('2026-06-01T00:00:00Z')
+    const timed = {
+      roleAssignments: [
+        { role: 'expired', validUntil: '2026-05-01T00:00:00Z' },
+        { role: 'pending', validFrom: '2026-07-01T00:00:00Z' },
+        { role: 'current', validFrom: '2026-05-01T00:00:00Z', validUntil: '2026-07-01T00:00:00Z' }
+      ]
+    }
+    assert.deepEqual(getAssignedRoleIds(timed, undefined, date), ['current'])
+  })
+
+  it('should stringify ObjectId-like _ids', () => {
+    const result = getAssignedRoleIds({ roles: [{ toString: () => 'r1' }] })
+    assert.deepEqual(result, ['r1'])
+  })
+
+  it('should handle users without any roles', () => {
+    assert.deepEqual(getAssignedRoleIds({}), [])
+  })
+})
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getDescendantRoles } from '../lib/utils/getDescendantRoles.js'
+
+describe('getDescendantRoles()', () => {
+  const roles = [
+    { shortName: 'authuser' },
+    { shortName: 'creator', extends: 'authuser' },
+    { shortName: 'editor', extends: ['creator', 'reviewer'] },
+    { shortName: 'reviewer' },
+    { shortName: 'other' }
+  ]
+
+  it('should return direct and indirect descendants', () => {
+    assert.deepEqual(getDescendantRoles(roles, 'authuser').map(r => r.shortName), ['creator', 'editor'])
+  })
+
+  it('should handle roles with multiple parents', () => {
+    assert.deepEqual(getDescendantRoles(roles, 'reviewer').map(r => r.shortName), ['editor'])
+  })
+
+  it('should return nothing for roles without descendants', () => {
+    assert.deepEqual(getDescendantRoles(roles, 'other'), [])
+  })
+
+  it('should not loop on cyclic roles', () => {
+    const cyclic = [{ shortName: 'a', extends: 'b' }, { shortName: 'b', extends: 'a' }]
+    assert.deepEqual(getDescendantRoles(cyclic, 'a').map(r => r.shortName), ['b'])
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getExcessScopes } from '../lib/utils/getExcessScopes.js'
+
+describe('getExcessScopes()', () => {
+  it('should return scopes which are not granted', () => {
+    assert.deepEqual(getExcessScopes(['read:content', 'write:users'], ['read:content']), ['write:users'])
+  })
+
+  it('should return nothing if all scopes are granted', () => {
+    assert.deepEqual(getExcessScopes(['read:content'], ['read:content', 'write:content']), [])
+  })
+
+  it('should treat scopes covered by a wildcard as granted', () => {
+    assert.deepEqual(getExcessScopes(['read:content', 'read:*'], ['read:*']), [])
+  })
+
+  it('should return wildcards which are broader than the granted scopes', () => {
+    assert.deepEqual(getExcessScopes(['read:*'], ['read:content']), ['read:*'])
+  })
+
+  it('should return scopes which are denied', () => {
+    assert.deepEqual(getExcessScopes(['write:users'], ['write:*', '!write:users']), ['write:users'])
+  })
+
+  it('should return wildcards which cover a denied scope', () => {
+    assert.deepEqual(getExcessScopes(['write:*'], ['*:*', '!write:users']), ['write:*'])
+  })
+
+  it('should ignore denied scopes in the list being checked', () => {
+    assert.deepEqual(getExcessScopes(['read:content', '!write:users'], ['read:content']), [])
+  })
+
+  it('should handle undefined scopes', () => {
+    assert.deepEqual(getExcessScopes(undefined, ['read:content']), [])
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getInvalidRoleDefinitions } from '../lib/utils/getInvalidRoleDefinitions.js'
+
+describe('getInvalidRoleDefinitions()', () => {
+  const authuser = { shortName: 'authuser', scopes: [] }
+
+  it('should return nothing for valid definitions', () => {
+    assert.deepEqual(getInvalidRoleDefinitions([authuser, { shortName: 'editor', extends: 'authuser', scopes: [] }], []), [])
+  })
+
+  it('should return definitions which extend an unknown role', () => {
+    const result = getInvalidRoleDefinitions([authuser, { shortName: 'editor', extends: 'authusr', scopes: [] }], [])
+    assert.deepEqual(result, [{ shortName: 'editor', error: { code: 'UNKNOWN_PARENT_ROLE', data: { shortName: 'editor', parent: 'authusr' } } }])
+  })
+
+  it('should return every definition in a cycle', () => {
+    const result = getInvalidRoleDefinitions([
+      authuser,
+      { shortName: 'a', extends: 'b', scopes: [] },
+      { shortName: 'b', extends: 'a', scopes: [] }
+    ], [])
+    assert.deepEqual(result.map(r => [r.shortName, r.error.code]), [['a', 'ROLE_INHERITANCE_CYCLE'], ['b', 'ROLE_INHERITANCE_CYCLE']])
+  })
+
+  it('should return definitions which extend an invalid definition', () => {
+    const result = getInvalidRoleDefinitions([
+      { shortName: 'editor', extends: 'authusr', scopes: [] },
+      { shortName: 'reviewer', extends: 'editor', scopes: [] }
+    ], [])
+    assert.deepEqual(result.map(r => r.shortName), ['editor', 'reviewer'])
+  })
+
+  it('should use the existing version of an invalid definition', () => {
+    const result = getInvalidRoleDefinitions([
+      { shortName: 'editor', extends: 'authusr', scopes: [] },
+      { shortName: 'reviewer', extends: 'editor', scopes: [] }
+    ], [{ _id: 'r1', shortName: 'editor', scopes: [] }])
+    assert.deepEqual(result.map(r => r.shortName), ['editor'])
+  })
+
+  it('should allow definitions to extend existing roles', () => {
+    assert.deepEqual(getInvalidRoleDefinitions([{ shortName: 'editor', extends: 'custom', scopes: [] }], [{ _id: 'r1', shortName: 'custom', scopes: [] }]), [])
+  })
+
+  it('should ignore problems with the existing roles alone', () => {
+    const existing = [{ _id: 'r1', shortName: 'custom', extends: 'missing', scopes: [] }]
+    assert.deepEqual(getInvalidRoleDefinitions([authuser], existing), [])
+  })
+})
@@ -0,0 +1,15 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getPortableRole } from '../lib/utils/getPortableRole.js'
+
+describe('getPortableRole()', () => {
+  it('should remove instance-specific attributes', () => {
+    const role = { _id: 'r1', shortName: 'editor', displayName: 'Editor', scopes: ['read:content'], isBuiltIn: false, createdAt: '2024-01-01' }
+    assert.deepEqual(getPortableRole(role), { shortName: 'editor', displayName: 'Editor', scopes: ['read:content'] })
+  })
+
+  it('should keep extends and denyScopes', () => {
+    const role = { shortName: 'editor', displayName: 'Editor', extends: ['a', 'b'], scopes: [], denyScopes: ['write:users'] }
+    assert.deepEqual(getPortableRole(role), role)
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getRemovedConfigRoles } from '../lib/utils/getRemovedConfigRoles.js'
+
+describe('getRemovedConfigRoles()', () => {
+  const definitions = [{ shortName: 'authuser' }]
+
+  it('should return built-in roles which are no longer defined', () => {
+    const roles = [{ shortName: 'authuser', isBuiltIn: true }, { shortName: 'old', isBuiltIn: true }]
+    assert.deepEqual(getRemovedConfigRoles(definitions, roles), [{ shortName: 'old', isBuiltIn: true }])
+  })
+
+  it('should ignore roles which were not added from the config', () => {
+    const roles = [{ shortName: 'custom' }, { shortName: 'other', isBuiltIn: false }]
+    assert.deepEqual(getRemovedConfigRoles(definitions, roles), [])
+  })
+
+  it('should return nothing when all built-in roles are defined', () => {
+    assert.deepEqual(getRemovedConfigRoles(definitions, [{ shortName: 'authuser', isBuiltIn: true }]), [])
+  })
+})
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getRoleParents } from '../lib/utils/getRoleParents.js'
+
+describe('getRoleParents()', () => {
+  const cases = [
+    { name: 'a single parent', role: { extends: 'authuser' }, expected: ['authuser'] },
+    { name: 'multiple parents', role: { extends: ['authuser', 'reviewer'] }, expected: ['authuser', 'reviewer'] },
+    { name: 'no parent', role: {}, expected: [] },
+    { name: 'an empty parent', role: { extends: '' }, expected: [] },
+    { name: 'an undefined role', role: undefined, expected: [] }
+  ]
+  cases.forEach(({ name, role, expected }) => {
+    it(`should handle ${name}`, () => {
+      assert.deepEqual(getRoleParents(role), expected)
+    })
+  })
+})
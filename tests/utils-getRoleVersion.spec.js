@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getRoleVersion } from '../lib/utils/getRoleVersion.js'
+
+describe('getRoleVersion()', () => {
+  const role = { _id: 'r1', shortName: 'editor', displayName: 'Editor', extends: 'authuser', scopes: ['read:content'], isBuiltIn: false }
+
+  it('should only include the versioned attributes', () => {
+    assert.deepEqual(getRoleVersion(role), { displayName: 'Editor', extends: 'authuser', scopes: ['read:content'] })
+  })
+
+  it('should include the version data', () => {
+    const timestamp = new Date()
+    assert.deepEqual(getRoleVersion(role, { version: 2, actor: { toString: () => 'u1' }, timestamp }), {
+      version: 2,
+      displayName: 'Editor',
+      extends: 'authuser',
+      scopes: ['read:content'],
+      actor: 'u1',
+      timestamp
+    })
+  })
+
+  it('should not take the version data from the role', () => {
+    assert.deepEqual(getRoleVersion({ version: 1, scopes: [], actor: 'u1' }), { scopes: [] })
+  })
+})
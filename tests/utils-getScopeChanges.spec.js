@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getScopeChanges } from '../lib/utils/getScopeChanges.js'
+
+describe('getScopeChanges()', () => {
+  const roles = [
+    { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+    { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] }
+  ]
+  const context = { type: 'course', _id: 'c1' }
+
+  it('should return added and removed global scopes', () => {
+    const result = getScopeChanges({ roles, user: { roles: ['r2'] } }, { roles, user: { roles: ['r1'] } })
+    assert.deepEqual(result, [{ added: [], removed: ['write:content'] }])
+  })
+
+  it('should compare scopes using the roles before and after the change', () => {
+    const changed = [{ ...roles[0], scopes: ['read:me', 'write:me'] }, roles[1]]
+    const result = getScopeChanges({ roles, user: { roles: ['r2'] } }, { roles: changed, user: { roles: ['r2'] } })
+    assert.deepEqual(result, [{ added: ['write:me'], removed: [] }])
+  })
+
+  it('should compare scopes in each context', () => {
+    const result = getScopeChanges(
+      { roles, user: { roles: ['r1'], roleAssignments: [] } },
+      { roles, user: { roles: ['r1'], roleAssignments: [{ role: 'r2', context }] } }
+    )
+    assert.deepEqual(result, [{ context, added: ['write:content'], removed: [] }])
+  })
+
+  it('should only compare each context once', () => {
+    const user = { roles: [], roleAssignments: [{ role: 'r1', context }, { role: 'r2', context: { ...context } }] }
+    const result = getScopeChanges({ roles, user }, { roles, user: { roles: [], roleAssignments: [] } })
+    assert.equal(result.length, 1)
+  })
+
+  it('should return nothing if the scopes are unchanged', () => {
+    const user = { roles: ['r1'], roleAssignments: [{ role: 'r2', context }] }
+    assert.deepEqual(getScopeChanges({ roles, user }, { roles, user }), [])
+  })
+
+  it('should include the roles of the user\'s groups', () => {
+    const user = { _id: 'u1', roles: ['r1'] }
+    const groups = [{ _id: 'g1', roles: ['r2'], members: ['u1'] }]
+    const result = getScopeChanges({ roles, groups: [], user }, { roles, groups, user })
+    assert.deepEqual(result, [{ added: ['write:content'], removed: [] }])
+  })
+
+  it('should include group roles when the roles themselves change', () => {
+    const user = { _id: 'u1', roles: [] }
+    const groups = [{ _id: 'g1', roles: ['r1'], members: ['u1'] }]
+    const changed = [{ ...roles[0], scopes: ['read:me', 'write:me'] }, roles[1]]
+    const result = getScopeChanges({ roles, groups, user }, { roles: changed, groups, user })
+    assert.deepEqual(result, [{ added: ['write:me'], removed: [] }])
+  })
+})
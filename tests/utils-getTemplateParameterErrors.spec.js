@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getTemplateParameterErrors } from '../lib/utils/getTemplateParameterErrors.js'
+
+describe('getTemplateParameterErrors()', () => {
+  const template = { shortName: 'pluginmanager', parameters: ['type', 'tag'] }
+
+  it('should return nothing for valid parameters', () => {
+    assert.deepEqual(getTemplateParameterErrors(template, { type: 'adapt-contrib-text', tag: 'v1.2_x' }), [])
+  })
+
+  it('should report missing parameters', () => {
+    assert.deepEqual(getTemplateParameterErrors(template, { type: 'text' }), ["missing parameter 'tag'"])
+    assert.equal(getTemplateParameterErrors(template).length, 2)
+  })
+
+  it('should report unknown parameters', () => {
+    assert.deepEqual(getTemplateParameterErrors(template, { type: 'a', tag: 'b', other: 'c' }), ["unknown parameter 'other'"])
+  })
+
+  it('should not allow values which could widen scopes', () => {
+    assert.deepEqual(getTemplateParameterErrors(template, { type: '*', tag: 'a:b' }), [
+      "invalid value for parameter 'type'",
+      "invalid value for parameter 'tag'"
+    ])
+  })
+
+  it('should only allow string values', () => {
+    assert.deepEqual(getTemplateParameterErrors(template, { type: ['a'], tag: 1 }), [
+      "invalid value for parameter 'type'",
+      "invalid value for parameter 'tag'"
+    ])
+  })
+})
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getUnknownScopes } from '../lib/utils/getUnknownScopes.js'
+
+describe('getUnknownScopes()', () => {
+  const known = ['read:content', 'write:content', 'read:users']
+
+  it('should return scopes which are not known', () => {
+    assert.deepEqual(getUnknownScopes(['read:content', 'write:contnet'], known), ['write:contnet'])
+  })
+
+  it('should accept wildcards which match a known scope', () => {
+    assert.deepEqual(getUnknownScopes(['*:*', 'read:*', '*:content'], known), [])
+  })
+
+  it('should reject wildcards which match no known scope', () => {
+    assert.deepEqual(getUnknownScopes(['publish:*', '*:assets'], known), ['publish:*', '*:assets'])
+  })
+
+  it('should reject malformed scopes', () => {
+    assert.deepEqual(getUnknownScopes(['readcontent'], known), ['readcontent'])
+  })
+
+  it('should handle missing scopes', () => {
+    assert.deepEqual(getUnknownScopes(undefined, known), [])
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getUserRoleIds } from '../lib/utils/getUserRoleIds.js'
+
+describe('getUserRoleIds()', () => {
+  const groups = [
+    { _id: 'g1', members: ['u1', 'u2'], roles: ['r2', 'r3'] },
+    { _id: 'g2', members: [{ toString: () => 'u1' }], roles: [{ toString: () => 'r4' }] },
+    { _id: 'g3', members: ['u3'], roles: ['r5'] },
+    { _id: 'g4' }
+  ]
+
+  it('should include the user\'s own roles and the roles of their groups', () => {
+    assert.deepEqual(getUserRoleIds({ _id: 'u1', roles: ['r1'] }, groups), ['r1', 'r2', 'r3', 'r4'])
+  })
+
+  it('should remove duplicates', () => {
+    assert.deepEqual(getUserRoleIds({ _id: 'u2', roles: ['r2'] }, groups), ['r2', 'r3'])
+  })
+
+  it('should include group roles in every context', () => {
+    const user = { _id: 'u3', roles: [], roleAssignments: [{ role: 'r1', context: { type: 'course', _id: 'c1' } }] }
+    assert.deepEqual(getUserRoleIds(user, groups, { type: 'course', _id: 'c1' }), ['r1', 'r5'])
+  })
+
+  it('should not include group roles for users without an _id', () => {
+    assert.deepEqual(getUserRoleIds({ roles: ['r1'] }, groups), ['r1'])
+  })
+})
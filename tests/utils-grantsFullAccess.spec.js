@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { grantsFullAccess } from '../lib/utils/grantsFullAccess.js'
+
+describe('grantsFullAccess()', () => {
+  it('should return true for the full wildcard scope', () => {
+    assert.equal(grantsFullAccess(['*:*']), true)
+  })
+
+  it('should return true alongside other scopes', () => {
+    assert.equal(grantsFullAccess(['read:content', '*:*']), true)
+  })
+
+  it('should return false if any scope is denied', () => {
+    assert.equal(grantsFullAccess(['*:*', '!write:users']), false)
+  })
+
+  it('should return false without the full wildcard scope', () => {
+    assert.equal(grantsFullAccess(['read:*', 'write:*']), false)
+  })
+
+  it('should return false for no scopes', () => {
+    assert.equal(grantsFullAccess([]), false)
+  })
+})
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { hasRoleChanged } from '../lib/utils/hasRoleChanged.js'
+
+describe('hasRoleChanged()', () => {
+  const doc = { _id: 'r1', shortName: 'editor', displayName: 'Editor', scopes: ['read:content'] }
+  const cases = [
+    { name: 'an identical definition', definition: { shortName: 'editor', displayName: 'Editor', scopes: ['read:content'] }, expected: false },
+    { name: 'changed scopes', definition: { shortName: 'editor', displayName: 'Editor', scopes: ['write:content'] }, expected: true },
+    { name: 'reordered scopes', definition: { shortName: 'editor', displayName: 'Editor', scopes: ['read:content', 'read:me'] }, expected: true },
+    { name: 'an added property', definition: { ...doc, extends: 'authuser' }, expected: true },
+    { name: 'a removed property', definition: { shortName: 'editor', scopes: ['read:content'] }, expected: true },
+    { name: 'differing version history', definition: { shortName: 'editor', displayName: 'Editor', scopes: ['read:content'], version: 2, history: [] }, expected: false }
+  ]
+  cases.forEach(({ name, definition, expected }) => {
+    it(`should return ${expected} for ${name}`, () => {
+      assert.equal(hasRoleChanged(doc, definition), expected)
+    })
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { hasScope } from '../lib/utils/hasScope.js'
+
+describe('hasScope()', () => {
+  const cases = [
+    { name: 'an exact match', granted: ['read:me', 'read:content'], required: 'read:content', expected: true },
+    { name: 'a missing scope', granted: ['read:me'], required: 'read:content', expected: false },
+    { name: 'an action wildcard', granted: ['read:*'], required: 'read:content', expected: true },
+    { name: 'a resource wildcard', granted: ['*:content'], required: 'write:content', expected: true },
+    { name: 'the superuser wildcard', granted: ['*:*'], required: 'assign:roles', expected: true },
+    { name: 'a wildcard for another action', granted: ['read:*'], required: 'write:content', expected: false },
+    { name: 'an explicitly denied scope', granted: ['read:content', '!read:content'], required: 'read:content', expected: false },
+    { name: 'a denied scope covered by a wildcard grant', granted: ['*:*', '!publish:adapt'], required: 'publish:adapt', expected: false },
+    { name: 'a wildcard deny', granted: ['*:*', '!write:*'], required: 'write:content', expected: false },
+    { name: 'a scope not covered by a deny', granted: ['*:*', '!publish:adapt'], required: 'read:content', expected: true },
+    { name: 'a deny on its own', granted: ['!publish:adapt'], required: 'publish:adapt', expected: false },
+    { name: 'no granted scopes', granted: [], required: 'read:me', expected: false },
+    { name: 'undefined granted scopes', granted: undefined, required: 'read:me', expected: false }
+  ]
+  cases.forEach(({ name, granted, required, expected }) => {
+    it(`should return ${expected} for ${name}`, () => {
+      assert.equal(hasScope(granted, required), expected)
+    })
+  })
+})
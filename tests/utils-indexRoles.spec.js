@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { indexRoles } from '../lib/utils/indexRoles.js'
+
+describe('indexRoles()', () => {
+  const roles = [
+    { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+    { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content'] }
+  ]
+
+  it('should return the roles', () => {
+    assert.equal(indexRoles(roles).roles, roles)
+  })
+
+  it('should return the groups', () => {
+    const groups = [{ _id: 'g1', members: [], roles: ['r1'] }]
+    assert.equal(indexRoles(roles, groups).groups, groups)
+    assert.deepEqual(indexRoles(roles).groups, [])
+  })
+
+  it('should index roles by _id', () => {
+    assert.equal(indexRoles(roles).byId.get('r2'), roles[1])
+  })
+
+  it('should resolve the scopes for each role, including inherited scopes', () => {
+    const { scopes } = indexRoles(roles)
+    assert.deepEqual(scopes.get('r1').scopes, ['read:me'])
+    assert.deepEqual(scopes.get('r2').scopes, ['write:content', 'read:me'])
+  })
+
+  it('should key roles using string _ids', () => {
+    const { byId } = indexRoles([{ _id: { toString: () => 'r1' }, shortName: 'authuser', scopes: [] }])
+    assert.ok(byId.has('r1'))
+  })
+
+  it('should handle no roles', () => {
+    const { byId, scopes } = indexRoles([])
+    assert.equal(byId.size, 0)
+    assert.equal(scopes.size, 0)
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { instantiateRoleTemplate } from '../lib/utils/instantiateRoleTemplate.js'
+
+describe('instantiateRoleTemplate()', () => {
+  const template = {
+    shortName: 'pluginmanager',
+    displayName: 'Plugin manager ({type})',
+    extends: 'authuser',
+    parameters: ['type'],
+    scopes: ['read:contentplugins', 'write:contentplugins.{type}'],
+    denyScopes: ['delete:contentplugins.{type}']
+  }
+
+  it('should replace placeholders with parameter values', () => {
+    assert.deepEqual(instantiateRoleTemplate(template, { type: 'text' }), {
+      shortName: 'pluginmanager-text',
+      displayName: 'Plugin manager (text)',
+      extends: 'authuser',
+      scopes: ['read:contentplugins', 'write:contentplugins.text'],
+      denyScopes: ['delete:contentplugins.text'],
+      template: { name: 'pluginmanager', parameters: { type: 'text' } }
+    })
+  })
+
+  it('should replace placeholders in parent roles', () => {
+    const role = instantiateRoleTemplate({ ...template, extends: ['authuser', 'viewer-{type}'] }, { type: 'text' })
+    assert.deepEqual(role.extends, ['authuser', 'viewer-text'])
+  })
+
+  it('should generate the shortName from every parameter in order', () => {
+    const role = instantiateRoleTemplate({ ...template, parameters: ['type', 'tag'] }, { tag: 'demo', type: 'text' })
+    assert.equal(role.shortName, 'pluginmanager-text-demo')
+  })
+
+  it('should use a given shortName', () => {
+    assert.equal(instantiateRoleTemplate(template, { type: 'text' }, { shortName: 'texteditor' }).shortName, 'texteditor')
+  })
+
+  it('should leave unknown placeholders alone', () => {
+    const role = instantiateRoleTemplate({ ...template, scopes: ['read:{other}'] }, { type: 'text' })
+    assert.deepEqual(role.scopes, ['read:{other}'])
+  })
+
+  it('should omit undefined attributes', () => {
+    const role = instantiateRoleTemplate({ shortName: 't', displayName: 'T', parameters: ['a'], scopes: [] }, { a: 'x' })
+    assert.deepEqual(Object.keys(role), ['shortName', 'displayName', 'scopes', 'template'])
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { isAssignmentActive } from '../lib/utils/isAssignmentActive.js'
+
+describe('isAssignmentActive()', () => {
+  const now = new Date('2026-06-01T12:00:00Z')
+  const past = '2026-05-01T00:00:00Z'
+  const future = '2026-07-01T00:00:00Z'
+  const cases = [
+    { name: 'an assignment without dates', assignment: { role: 'r1' }, expected: true },
+    { name: 'an assignment which has started', assignment: { validFrom: past }, expected: true },
+    { name: 'an assignment which has not started', assignment: { validFrom: future }, expected: false },
+    { name: 'an assignment which has not expired', assignment: { validUntil: future }, expected: true },
+    { name: 'an assignment which has expired', assignment: { validUntil: past }, expected: false },
+    { name: 'an assignment within its window', assignment: { validFrom: past, validUntil: future }, expected: true },
+    { name: 'an assignment starting now', assignment: { validFrom: now }, expected: true },
+    { name: 'Date objects', assignment: { validFrom: new Date(past), validUntil: new Date(future) }, expected: true }
+  ]
+  cases.forEach(({ name, assignment, expected }) => {
+    it(`should return ${expected} for ${name}`, () => {
+      assert.equal(isAssignmentActive(assignment, now), expected)
+    })
+  })
+
+  it('should default to the current date', () => {
+    assert.equal(isAssignmentActive({ validUntil: new Date(Date.now() + 60000) }), true)
+    assert.equal(isAssignmentActive({ validUntil: new Date(Date.now() - 60000) }), false)
+  })
+})
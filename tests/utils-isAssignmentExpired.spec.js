@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { isAssignmentExpired } from '../lib/utils/isAssignmentExpired.js'
+
+describe('isAssignmentExpired()', () => {
+  const now = new Date('2026-06-01T12:00:00Z')
+  const cases = [
+    { name: 'an assignment without an expiry', assignment: { role: 'r1' }, expected: false },
+    { name: 'an assignment expiring in the future', assignment: { validUntil: new Date('2026-06-02T00:00:00Z') }, expected: false },
+    { name: 'an assignment which has expired', assignment: { validUntil: new Date('2026-05-31T00:00:00Z') }, expected: true },
+    { name: 'an assignment expiring now', assignment: { validUntil: now }, expected: true },
+    { name: 'a date string expiry', assignment: { validUntil: '2026-05-31T00:00:00Z' }, expected: true },
+    { name: 'a future start date only', assignment: { validFrom: new Date('2026-07-01T00:00:00Z') }, expected: false }
+  ]
+  cases.forEach(({ name, assignment, expected }) => {
+    it(`should return ${expected} for ${name}`, () => {
+      assert.equal(isAssignmentExpired(assignment, now), expected)
+    })
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesContext } from '../lib/utils/matchesContext.js'
+
+describe('matchesContext()', () => {
+  const course1 = { type: 'course', _id: 'c1' }
+  const cases = [
+    { name: 'a global assignment with no context', assignment: { role: 'r1' }, context: undefined, expected: true },
+    { name: 'a global assignment within a context', assignment: { role: 'r1' }, context: course1, expected: true },
+    { name: 'a matching context', assignment: { role: 'r1', context: course1 }, context: { type: 'course', _id: 'c1' }, expected: true },
+    { name: 'a different context _id', assignment: { role: 'r1', context: course1 }, context: { type: 'course', _id: 'c2' }, expected: false },
+    { name: 'a different context type', assignment: { role: 'r1', context: course1 }, context: { type: 'tenant', _id: 'c1' }, expected: false },
+    { name: 'a contextual assignment with no context', assignment: { role: 'r1', context: course1 }, context: undefined, expected: false },
+    { name: 'ObjectId-like context _ids', assignment: { role: 'r1', context: { type: 'course', _id: { toString: () => 'c1' } } }, context: course1, expected: true }
+  ]
+  cases.forEach(({ name, assignment, context, expected }) => {
+    it(`should return ${expected} for ${name}`, () => {
+      assert.equal(matchesContext(assignment, context), expected)
+    })
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesRoleRule } from '../lib/utils/matchesRoleRule.js'
+
+describe('matchesRoleRule()', () => {
+  const user = { email: 'Someone@OurCompany.com', authType: 'local', firstName: 'Sam' }
+
+  it('should match rules without a match object', () => {
+    assert.equal(matchesRoleRule({ roles: [] }, user), true)
+  })
+
+  it('should match exact values', () => {
+    assert.equal(matchesRoleRule({ match: { authType: 'local' } }, user), true)
+    assert.equal(matchesRoleRule({ match: { authType: 'sso' } }, user), false)
+  })
+
+  it('should support wildcards', () => {
+    assert.equal(matchesRoleRule({ match: { email: '*@ourcompany.com' } }, user), true)
+    assert.equal(matchesRoleRule({ match: { email: '*@other.com' } }, user), false)
+  })
+
+  it('should not match partial values', () => {
+    assert.equal(matchesRoleRule({ match: { email: 'ourcompany.com' } }, user), false)
+  })
+
+  it('should be case-insensitive', () => {
+    assert.equal(matchesRoleRule({ match: { authType: 'LOCAL' } }, user), true)
+  })
+
+  it('should treat other regular expression characters literally', () => {
+    assert.equal(matchesRoleRule({ match: { email: '*@ourcompany.com' } }, { email: 'a@ourcompanyXcom' }), false)
+  })
+
+  it('should match any value in an array', () => {
+    assert.equal(matchesRoleRule({ match: { authType: ['sso', 'local'] } }, user), true)
+  })
+
+  it('should match fields with multiple values if any value matches', () => {
+    assert.equal(matchesRoleRule({ match: { groups: 'staff-*' } }, { groups: ['students', 'staff-admin'] }), true)
+    assert.equal(matchesRoleRule({ match: { groups: ['editors', 'admins'] } }, { groups: ['students'] }), false)
+    assert.equal(matchesRoleRule({ match: { groups: '*' } }, { groups: [] }), false)
+  })
+
+  it('should require all fields to match', () => {
+    assert.equal(matchesRoleRule({ match: { authType: 'local', email: '*@other.com' } }, user), false)
+    assert.equal(matchesRoleRule({ match: { authType: 'local', firstName: 'S*' } }, user), true)
+  })
+
+  it('should not match missing fields', () => {
+    assert.equal(matchesRoleRule({ match: { lastName: '*' } }, user), false)
+  })
+})
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesScope } from '../lib/utils/matchesScope.js'
+
+describe('matchesScope()', () => {
+  const cases = [
+    { pattern: 'read:content', scope: 'read:content', expected: true },
+    { pattern: 'read:content', scope: 'write:content', expected: false },
+    { pattern: 'read:content', scope: 'read:assets', expected: false },
+    { pattern: 'read:*', scope: 'read:content', expected: true },
+    { pattern: 'read:*', scope: 'write:content', expected: false },
+    { pattern: '*:content', scope: 'write:content', expected: true },
+    { pattern: '*:content', scope: 'write:assets', expected: false },
+    { pattern: '*:*', scope: 'publish:adapt', expected: true },
+    { pattern: 'read:*', scope: 'read:*', expected: true },
+    { pattern: 'read:content', scope: 'read:*', expected: false },
+    { pattern: '*', scope: 'read:content', expected: false },
+    { pattern: 'debug', scope: 'debug', expected: true },
+    { pattern: '*:*', scope: 'debug', expected: false },
+    { pattern: 'read:content:extra', scope: 'read:content:extra', expected: true }
+  ]
+  cases.forEach(({ pattern, scope, expected }) => {
+    it(`should return ${expected} for '${pattern}' against '${scope}'`, () => {
+      assert.equal(matchesScope(pattern, scope), expected)
+    })
+  })
+})
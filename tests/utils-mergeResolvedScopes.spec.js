@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeResolvedScopes } from '../lib/utils/mergeResolvedScopes.js'
+import { resolveScopes } from '../lib/utils/resolveScopes.js'
+
+describe('mergeResolvedScopes()', () => {
+  const roles = [
+    { _id: 'r1', shortName: 'authuser', scopes: ['read:me'] },
+    { _id: 'r2', shortName: 'editor', extends: 'authuser', scopes: ['write:content', 'write:users'] },
+    { _id: 'r3', shortName: 'reviewer', scopes: ['read:content', 'read:me'] },
+    { _id: 'r4', shortName: 'restricted', scopes: [], denyScopes: ['write:users'] },
+    { _id: 'r5', shortName: 'writer', scopes: ['write:*'] }
+  ]
+  const merge = ids => mergeResolvedScopes(ids.map(_id => resolveScopes(roles, [_id])))
+
+  it('should combine the scopes of each role', () => {
+    assert.deepEqual(merge(['r2', 'r3']).scopes, ['write:content', 'write:users', 'read:me', 'read:content'])
+  })
+
+  it('should combine the sources of each scope', () => {
+    assert.deepEqual(merge(['r2', 'r3']).sources['read:me'], ['authuser', 'reviewer'])
+  })
+
+  it('should not apply a denied scope which another role grants', () => {
+    const result = merge(['r2', 'r4'])
+    assert.deepEqual(result.scopes, ['write:content', 'write:users', 'read:me'])
+    assert.deepEqual(result.sources['write:users'], ['editor'])
+  })
+
+  it('should not apply a denied scope which another role grants with a wildcard', () => {
+    assert.deepEqual(merge(['r5', 'r4']).scopes, ['write:*'])
+  })
+
+  it('should apply a denied scope which no other role grants', () => {
+    const result = merge(['r3', 'r4'])
+    assert.deepEqual(result.scopes, ['read:content', 'read:me', '!write:users'])
+    assert.deepEqual(result.sources['!write:users'], ['restricted'])
+  })
+
+  it('should apply a denied scope which other roles only partly grant', () => {
+    const result = mergeResolvedScopes([
+      { scopes: ['*:*', '!write:*'], sources: {} },
+      { scopes: ['write:users'], sources: {} }
+    ])
+    assert.deepEqual(result.scopes, ['*:*', '!write:*'])
+  })
+
+  it('should give the same result as resolving the roles together', () => {
+    const ids = ['r2', 'r3', 'r4', 'r5']
+    assert.deepEqual(merge(ids), resolveScopes(roles, ids))
+  })
+
+  it('should return empty results for no roles', () => {
+    assert.deepEqual(mergeResolvedScopes([]), { scopes: [], sources: {} })
+  })
+})
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { reassignUserRoles } from '../lib/utils/reassignUserRoles.js'
+
+describe('reassignUserRoles()', () => {
+  it('should replace the role in the global roles', () => {
+    const result = reassignUserRoles({ roles: ['r1', 'r2'] }, 'r1', 'r3')
+    assert.deepEqual(result.roles, ['r3', 'r2'])
+  })
+
+  it('should not duplicate a role the user already has', () => {
+    const result = reassignUserRoles({ roles: ['r1', 'r3'] }, 'r1', 'r3')
+    assert.deepEqual(result.roles, ['r3'])
+  })
+
+  it('should replace the role in role assignments, keeping the context', () => {
+    const context = { type: 'course', _id: 'c1' }
+    const result = reassignUserRoles({ roleAssignments: [{ role: 'r1', context }, { role: 'r2' }] }, 'r1', 'r3')
+    assert.deepEqual(result.roleAssignments, [{ role: 'r3', context }, { role: 'r2' }])
+  })
+
+  it('should compare ObjectId-like _ids', () => {
+    const fromId = { toString: () => 'r1' }
+    const result = reassignUserRoles({ roles: [{ toString: () => 'r1' }] }, fromId, 'r3')
+    assert.deepEqual(result.roles, ['r3'])
+  })
+
+  it('should handle users without roles', () => {
+    assert.deepEqual(reassignUserRoles({}, 'r1', 'r3'), { roles: [], roleAssignments: [] })
+  })
+})
@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { replaceParentRole } from '../lib/utils/replaceParentRole.js'
+
+describe('replaceParentRole()', () => {
+  const cases = [
+    { name: 'a single parent', role: { extends: 'old' }, expected: 'new' },
+    { name: 'an unrelated single parent', role: { extends: 'other' }, expected: 'other' },
+    { name: 'multiple parents', role: { extends: ['other', 'old'] }, expected: ['other', 'new'] },
+    { name: 'multiple parents which already include the replacement', role: { extends: ['new', 'old'] }, expected: ['new'] }
+  ]
+  cases.forEach(({ name, role, expected }) => {
+    it(`should handle ${name}`, () => {
+      assert.deepEqual(replaceParentRole(role, 'old', 'new'), expected)
+    })
+  })
+})
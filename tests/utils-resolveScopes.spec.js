@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveScopes } from '../lib/utils/resolveScopes.js'
+
+describe('resolveScopes()', () => {
+  const roles = [
+    { _id: 'r1', shortName: 'authuser', scopes: ['read:me', 'write:me'] },
+    { _id: 'r2', shortName: 'contentcreator', extends: 'authuser', scopes: ['read:content', 'write:content'] },
+    { _id: 'r3', shortName: 'publisher', extends: 'contentcreator', scopes: ['publish:adapt'] },
+    { _id: 'r4', shortName: 'reviewer', scopes: ['read:content'] }
+  ]
+
+  it('should return the scopes of a single role', () => {
+    assert.deepEqual(resolveScopes(roles, ['r1']).scopes, ['read:me', 'write:me'])
+  })
+
+  it('should include scopes inherited through the extends chain', () => {
+    assert.deepEqual(resolveScopes(roles, ['r3']).scopes, ['publish:adapt', 'read:content', 'write:content', 'read:me', 'write:me'])
+  })
+
+  it('should merge and de-duplicate scopes across roles', () => {
+    assert.deepEqual(resolveScopes(roles, ['r4', 'r2']).scopes, ['read:content', 'write:content', 'read:me', 'write:me'])
+  })
+
+  it('should record every role which defines a scope', () => {
+    const { sources } = resolveScopes(roles, ['r4', 'r2'])
+    assert.deepEqual(sources['read:content'], ['reviewer', 'contentcreator'])
+    assert.deepEqual(sources['read:me'], ['authuser'])
+  })
+
+  it('should not repeat a source reached by more than one path', () => {
+    const { sources } = resolveScopes(roles, ['r2', 'r3'])
+    assert.deepEqual(sources['read:me'], ['authuser'])
+  })
+
+  it('should include scopes from every parent of a role with multiple parents', () => {
+    const multi = [...roles, { _id: 'r5', shortName: 'multi', extends: ['reviewer', 'authuser'], scopes: ['read:tags'] }]
+    assert.deepEqual(resolveScopes(multi, ['r5']).scopes, ['read:tags', 'read:content', 'read:me', 'write:me'])
+  })
+
+  it('should terminate for cyclic inheritance', () => {
+    const cyclic = [
+      { _id: 'a', shortName: 'a', extends: 'b', scopes: ['scope:a'] },
+      { _id: 'b', shortName: 'b', extends: 'a', scopes: ['scope:b'] }
+    ]
+    assert.deepEqual(resolveScopes(cyclic, ['a']).scopes, ['scope:a', 'scope:b'])
+  })
+
+  describe('denyScopes', () => {
+    const denyRoles = [
+      ...roles,
+      { _id: 'd1', shortName: 'nopublish', extends: 'publisher', scopes: [], denyScopes: ['publish:adapt'] },
+      { _id: 'd2', shortName: 'readonly', extends: 'contentcreator', scopes: [], denyScopes: ['write:*'] },
+      { _id: 'd3', shortName: 'limitedsuper', scopes: ['*:*'], denyScopes: ['publish:adapt'] }
+    ]
+
+    it('should remove a denied scope granted by a parent role', () => {
+      assert.deepEqual(resolveScopes(denyRoles, ['d1']).scopes, ['!publish:adapt', 'read:content', 'write:content', 'read:me', 'write:me'])
+    })
+
+    it('should remove all scopes matching a wildcard deny', () => {
+      assert.deepEqual(resolveScopes(denyRoles, ['d2']).scopes, ['!write:*', 'read:content', 'read:me'])
+    })
+
+    it('should keep the deny alongside a wildcard grant', () => {
+      assert.deepEqual(resolveScopes(denyRoles, ['d3']).scopes, ['*:*', '!publish:adapt'])
+    })
+
+    it('should not apply a deny to grants from other assigned roles', () => {
+      const { scopes } = resolveScopes(denyRoles, ['r3', 'd1'])
+      assert.ok(scopes.includes('publish:adapt'))
+      assert.ok(!scopes.includes('!publish:adapt'))
+    })
+
+    it('should keep a deny which the other assigned roles don\'t grant', () => {
+      assert.deepEqual(resolveScopes(denyRoles, ['d3', 'r4']).scopes, ['*:*', '!publish:adapt', 'read:content'])
+    })
+
+    it('should not restrict a wildcard grant from another role', () => {
+      const superRoles = [...denyRoles, { _id: 's1', shortName: 'superuser', scopes: ['*:*'] }]
+      assert.deepEqual(resolveScopes(superRoles, ['s1', 'd1']).scopes, ['*:*', 'read:content', 'write:content', 'read:me', 'write:me'])
+    })
+
+    it('should record the source of a deny and drop sources of denied scopes', () => {
+      const { sources } = resolveScopes(denyRoles, ['d1'])
+      assert.deepEqual(sources['!publish:adapt'], ['nopublish'])
+      assert.equal(sources['publish:adapt'], undefined)
+    })
+  })
+
+  it('should accept ObjectId-like _ids', () => {
+    const _id = { toString: () => 'r1' }
+    assert.deepEqual(resolveScopes(roles, [_id]).scopes, ['read:me', 'write:me'])
+  })
+
+  it('should ignore unknown role _ids', () => {
+    assert.deepEqual(resolveScopes(roles, ['missing']), { scopes: [], sources: {} })
+  })
+
+  it('should return empty results for no roles', () => {
+    assert.deepEqual(resolveScopes(roles, []), { scopes: [], sources: {} })
+  })
+})
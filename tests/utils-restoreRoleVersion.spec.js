@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { restoreRoleVersion } from '../lib/utils/restoreRoleVersion.js'
+
+describe('restoreRoleVersion()', () => {
+  const role = { _id: 'r1', shortName: 'editor', displayName: 'Editor', extends: 'authuser', scopes: ['write:content'], denyScopes: ['read:me'], isBuiltIn: false }
+
+  it('should replace the versioned attributes', () => {
+    const version = { version: 1, displayName: 'Old editor', extends: 'authuser', scopes: ['read:content'], denyScopes: [], actor: 'u1' }
+    assert.deepEqual(restoreRoleVersion(role, version), {
+      _id: 'r1',
+      shortName: 'editor',
+      displayName: 'Old editor',
+      extends: 'authuser',
+      scopes: ['read:content'],
+      denyScopes: [],
+      isBuiltIn: false
+    })
+  })
+
+  it('should remove attributes which were not set in the version', () => {
+    const restored = restoreRoleVersion(role, { version: 1, displayName: 'Editor', scopes: [] })
+    assert.equal('extends' in restored, false)
+    assert.equal('denyScopes' in restored, false)
+  })
+
+  it('should not modify the role', () => {
+    const copy = structuredClone(role)
+    restoreRoleVersion(role, { version: 1, scopes: [] })
+    assert.deepEqual(role, copy)
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { updateClaimRoles } from '../lib/utils/updateClaimRoles.js'
+
+describe('updateClaimRoles()', () => {
+  it('should add mapped roles', () => {
+    assert.deepEqual(updateClaimRoles({ roles: ['r1'] }, ['r2']), {
+      roles: ['r1', 'r2'],
+      claimRoles: ['r2'],
+      added: ['r2'],
+      removed: []
+    })
+  })
+
+  it('should remove roles which are no longer mapped', () => {
+    assert.deepEqual(updateClaimRoles({ roles: ['r1', 'r2'], claimRoles: ['r2'] }, []), {
+      roles: ['r1'],
+      claimRoles: [],
+      added: [],
+      removed: ['r2']
+    })
+  })
+
+  it('should not remove manually assigned roles', () => {
+    assert.deepEqual(updateClaimRoles({ roles: ['r1'], claimRoles: [] }, []).roles, ['r1'])
+  })
+
+  it('should not take ownership of manually assigned roles which are also mapped', () => {
+    const result = updateClaimRoles({ roles: ['r1'] }, ['r1'])
+    assert.deepEqual(result, { roles: ['r1'], claimRoles: [], added: [], removed: [] })
+    assert.deepEqual(updateClaimRoles(result, []).roles, ['r1'])
+  })
+
+  it('should keep roles which are still mapped', () => {
+    assert.deepEqual(updateClaimRoles({ roles: ['r1', 'r2'], claimRoles: ['r2'] }, ['r2']), {
+      roles: ['r1', 'r2'],
+      claimRoles: ['r2'],
+      added: [],
+      removed: []
+    })
+  })
+
+  it('should forget claim roles which have since been removed from the user', () => {
+    assert.deepEqual(updateClaimRoles({ roles: ['r1'], claimRoles: ['r2'] }, []).claimRoles, [])
+  })
+
+  it('should compare ObjectIds by value', () => {
+    const id = { toString: () => 'r2' }
+    const result = updateClaimRoles({ roles: ['r1', id], claimRoles: ['r2'] }, ['r2', 'r2'])
+    assert.deepEqual(result.roles, ['r1', id])
+    assert.deepEqual(result.added, [])
+  })
+
+  it('should not add duplicate mapped roles', () => {
+    assert.deepEqual(updateClaimRoles({}, ['r1', 'r1']).roles, ['r1'])
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { updateUserRole } from '../lib/utils/updateUserRole.js'
+
+describe('updateUserRole()', () => {
+  const context = { type: 'course', _id: 'c1' }
+
+  it('should add a global role', () => {
+    assert.deepEqual(updateUserRole({ roles: ['r1'] }, 'r2'), { roles: ['r1', 'r2'], roleAssignments: [] })
+  })
+
+  it('should not duplicate an existing global role', () => {
+    assert.deepEqual(updateUserRole({ roles: ['r1'] }, 'r1').roles, ['r1'])
+  })
+
+  it('should remove a global role', () => {
+    assert.deepEqual(updateUserRole({ roles: ['r1', 'r2'] }, 'r1', { remove: true }).roles, ['r2'])
+  })
+
+  it('should add a contextual role as a role assignment', () => {
+    assert.deepEqual(updateUserRole({ roles: ['r1'] }, 'r2', { context }), {
+      roles: ['r1'],
+      roleAssignments: [{ role: 'r2', context }]
+    })
+  })
+
+  it('should not duplicate an existing role assignment', () => {
+    const roleAssignments = [{ role: 'r2', context: { type: 'course', _id: 'c1' }, validUntil: '2030-01-01' }]
+    assert.equal(updateUserRole({ roleAssignments }, 'r2', { context }).roleAssignments, roleAssignments)
+  })
+
+  it('should only remove role assignments for the given context', () => {
+    const roleAssignments = [{ role: 'r2', context }, { role: 'r2', context: { type: 'course', _id: 'c2' } }]
+    assert.deepEqual(updateUserRole({ roleAssignments }, 'r2', { context, remove: true }).roleAssignments, [roleAssignments[1]])
+  })
+})
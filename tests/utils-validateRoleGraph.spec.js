@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateRoleGraph } from '../lib/utils/validateRoleGraph.js'
+
+describe('validateRoleGraph()', () => {
+  it('should return no errors for a valid graph', () => {
+    const roles = [
+      { shortName: 'authuser' },
+      { shortName: 'reviewer', extends: 'authuser' },
+      { shortName: 'editor', extends: ['authuser', 'reviewer'] }
+    ]
+    assert.deepEqual(validateRoleGraph(roles), [])
+  })
+
+  it('should return no errors for an empty graph', () => {
+    assert.deepEqual(validateRoleGraph([]), [])
+  })
+
+  it('should report a role extending an unknown role', () => {
+    const roles = [{ shortName: 'editor', extends: 'authusr' }]
+    assert.deepEqual(validateRoleGraph(roles), [
+      { code: 'UNKNOWN_PARENT_ROLE', data: { shortName: 'editor', parent: 'authusr' } }
+    ])
+  })
+
+  it('should report each unknown parent of a role with multiple parents', () => {
+    const roles = [{ shortName: 'editor', extends: ['one', 'two'] }]
+    assert.equal(validateRoleGraph(roles).length, 2)
+  })
+
+  it('should report a role which extends itself', () => {
+    const roles = [{ shortName: 'a', extends: 'a' }]
+    assert.deepEqual(validateRoleGraph(roles), [
+      { code: 'ROLE_INHERITANCE_CYCLE', data: { cycle: 'a > a' } }
+    ])
+  })
+
+  it('should report a cycle between two roles', () => {
+    const roles = [
+      { shortName: 'a', extends: 'b' },
+      { shortName: 'b', extends: 'a' }
+    ]
+    assert.deepEqual(validateRoleGraph(roles), [
+      { code: 'ROLE_INHERITANCE_CYCLE', data: { cycle: 'a > b > a' } }
+    ])
+  })
+
+  it('should report a cycle reached through multiple inheritance', () => {
+    const roles = [
+      { shortName: 'base' },
+      { shortName: 'a', extends: ['base', 'c'] },
+      { shortName: 'b', extends: 'a' },
+      { shortName: 'c', extends: 'b' }
+    ]
+    const errors = validateRoleGraph(roles)
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].code, 'ROLE_INHERITANCE_CYCLE')
+    assert.equal(errors[0].data.cycle, 'a > c > b > a')
+  })
+
+  it('should not report a shared ancestor as a cycle', () => {
+    const roles = [
+      { shortName: 'base' },
+      { shortName: 'left', extends: 'base' },
+      { shortName: 'right', extends: 'base' },
+      { shortName: 'both', extends: ['left', 'right'] }
+    ]
+    assert.deepEqual(validateRoleGraph(roles), [])
+  })
+})